@@ -5,10 +5,265 @@
  * Handles room creation, joining, drawing, and real-time collaboration.
  */
 
-import { useEffect, useRef, useState } from "react";
-import { redrawCanvas } from "./canvasLogic";
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  redrawCanvas,
+  applyRoomOp,
+  findTextAt,
+  findElementAt,
+  getElementBounds,
+  transformElement,
+  transformPoint,
+  getBoxCorners,
+  getSelectionHandles,
+  drawSelection,
+  getPointWidth,
+  taperStroke,
+  TAPER_POINTS,
+  SELECTION_HANDLE_SIZE,
+  TEXT_LINE_HEIGHT,
+  DEFAULT_LAYER_ID,
+  interpolateCursor,
+  getViewportRect,
+  fitViewport,
+  drawViewport,
+  compositeLayers,
+  getContentBounds,
+  expandRect,
+  pinchViewport,
+  drawMinimap,
+  splitEraserPath
+} from "./canvasLogic";
+import { parseDrawingFile } from "./importers";
 import { io } from "socket.io-client";
 
+// Socket.IO and REST API server
+const SERVER_URL = "http://localhost:3001";
+
+// Where this browser keeps its secret client key (see getClientKey)
+const CLIENT_KEY_STORAGE = 'collab-canvas-client-key';
+
+// Colour of the eraser trail shown while erasing
+const ERASER_TRAIL_COLOR = 'rgba(120, 120, 120, 0.25)';
+
+// Colours of the marquee and of other users' selection outlines
+const MARQUEE_COLOR = '#999999';
+const REMOTE_SELECTION_COLOR = '#f39c12';
+
+// Rotation snapping step while Shift is held (15 degrees)
+const ROTATION_SNAP = Math.PI / 12;
+
+// Without pen pressure the brush thins out with speed: at this speed
+// (screen pixels per millisecond) it reaches its thinnest
+const SPEED_FOR_MIN_WIDTH = 3;
+
+// How much of the previous width carries over to the next point (0-1),
+// so speed changes don't make the width jump
+const WIDTH_SMOOTHING = 0.7;
+
+// Brush points are streamed to the room in batches at most this often (ms)
+const STREAM_INTERVAL = 50;
+
+// Our cursor position is sent at most this often (ms). The server broadcasts
+// cursors in frames at the same interval, and ghost cursors glide from one
+// frame's position to the next over it
+const CURSOR_INTERVAL = 50;
+
+// Our viewport is sent once zooming or panning has paused this long (ms)
+const VIEWPORT_INTERVAL = 100;
+
+// Zoom range of the canvas
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 5;
+
+// Space around the drawing when zooming to fit it, and around the drawing
+// and the view on the minimap (drawing pixels)
+const FIT_MARGIN = 40;
+
+// The minimap is redrawn at most this often (ms), as it draws everything again
+const MINIMAP_INTERVAL = 200;
+
+// Size of the minimap (pixels)
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+
+// How each presence status is shown in the Users panel
+const STATUS_LABELS = { drawing: '✏️ drawing', active: 'active', idle: 'idle', away: 'away' };
+
+// Longest username the server keeps (it cuts longer ones)
+const MAX_USERNAME_LENGTH = 32;
+
+// Events that only show something to others; if the server refuses one there
+// is nothing to roll back (a refused streamed stroke is reported by stroke-end)
+const PREVIEW_EVENTS = [
+  'cursor-move', 'shape-preview', 'text-preview', 'selection-preview', 'stroke-begin', 'stroke-append'
+];
+
+// Burst and refill rate (per second) of the server's rate limit buckets for
+// the changes we queue offline (same as DEFAULT_LIMITS in server/rate-limit.js).
+// The queue is sent within QUEUE_RATE_SHARE of them, leaving room for network
+// jitter, so the server doesn't drop any of it
+const QUEUE_RATE_LIMITS = {
+  'stroke': { capacity: 100, refill: 10 },
+  'import-strokes': { capacity: 3, refill: 0.2 },
+  'erase': { capacity: 20, refill: 5 },
+  'undo': { capacity: 20, refill: 5 },
+  'redo': { capacity: 20, refill: 5 },
+  'clear-canvas': { capacity: 5, refill: 1 }
+};
+const DEFAULT_QUEUE_RATE_LIMIT = { capacity: 30, refill: 5 };
+const QUEUE_RATE_SHARE = 0.8;
+
+// How long to wait before asking for the full drawing again when the server
+// dropped the request for being sent too often (ms)
+const SYNC_RETRY_DELAY = 5000;
+
+// How long a notice about refused changes stays up (ms)
+const NOTICE_DURATION = 8000;
+
+// Connection indicator text; changes made while not connected are queued
+const CONNECTION_LABELS = {
+  connecting: 'Connecting…',
+  connected: 'Connected',
+  offline: 'Offline, reconnecting…'
+};
+
+// What each role in a room is called, and why the server refused to let us in
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer (view only)'
+};
+const ACCESS_MESSAGES = {
+  'password-required': 'This room is protected. Enter its password to join.',
+  'wrong-password': 'Wrong password, please try again.',
+  'too-many-attempts': 'Too many wrong passwords. Wait a minute, then try again.',
+  'invalid-invite': 'This invite link is invalid or has expired. Enter the room password to join.',
+  banned: 'The room owner banned you from this room.',
+  kicked: 'The room owner removed you from this room.',
+  flooding: 'You were disconnected for sending changes too quickly.'
+};
+
+// Reasons for being out of the room that no password can fix
+const REMOVED_REASONS = ['banned', 'kicked', 'flooding'];
+
+// Invite links open the page with the room and the signed invite: ?room=...&invite=...
+const LINK_PARAMS = new URLSearchParams(window.location.search);
+
+// Drawing tools: selection, freehand brush, vector eraser, drag-to-size shapes and text
+const TOOLS = [
+  { id: 'select', label: '⬚ Select', title: 'Select, move, scale and rotate (drag for marquee, Shift to add)' },
+  { id: 'brush', label: '🖌 Brush', title: 'Freehand brush' },
+  { id: 'eraser', label: '🧽 Eraser', title: 'Erase parts of strokes' },
+  { id: 'rectangle', label: '▭ Rect', title: 'Rectangle (drag to size)' },
+  { id: 'ellipse', label: '◯ Ellipse', title: 'Ellipse (drag to size)' },
+  { id: 'line', label: '╱ Line', title: 'Straight line' },
+  { id: 'arrow', label: '➜ Arrow', title: 'Arrow' },
+  { id: 'text', label: '𝐓 Text', title: 'Text (click to place, click existing text to edit)' }
+];
+const SHAPE_TOOLS = ['rectangle', 'ellipse', 'line', 'arrow'];
+const FILLABLE_TOOLS = ['rectangle', 'ellipse'];
+
+// Text tool fonts and limits (same as server/text.js)
+const TEXT_FONTS = [
+  { id: 'sans-serif', label: 'Sans-serif' },
+  { id: 'serif', label: 'Serif' },
+  { id: 'monospace', label: 'Monospace' },
+  { id: 'cursive', label: 'Handwriting' }
+];
+const MAX_TEXT_LENGTH = 500;
+const MAX_TEXT_LINES = 20;
+
+// Most points the server takes in one eraser path (same as server/validation.js);
+// longer paths are thinned and split (see splitEraserPath)
+const MAX_ERASER_POINTS = 2000;
+
+// Layers before the room's own list arrives, and the per-room limit (same as server/layers.js)
+const INITIAL_LAYERS = [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+const MAX_LAYERS = 20;
+
+// Tools that add new elements to the active layer
+const DRAWING_TOOLS = ['brush', ...SHAPE_TOOLS, 'text'];
+
+// Playback speeds offered in replay mode
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Build a text element from the state of the text editor
+ * Edits of placed text keep the element's id
+ */
+function toTextElement(editor) {
+  return {
+    type: 'text',
+    ...(editor.id && { id: editor.id }),
+    ...(editor.rotation && { rotation: editor.rotation }),
+    ...(editor.layerId && { layerId: editor.layerId }),
+    text: editor.text,
+    fontFamily: editor.fontFamily,
+    fontSize: editor.fontSize,
+    color: editor.color,
+    points: [{ x: editor.x, y: editor.y }]
+  };
+}
+
+/**
+ * Get this browser's secret client key, generating it on first use
+ * The server derives a stable user ID from it (see server/identity.js), so
+ * strokes and undo history stay yours across reconnects and reloads. Without
+ * localStorage the key only lasts for this page load.
+ */
+function getClientKey() {
+  try {
+    const saved = localStorage.getItem(CLIENT_KEY_STORAGE);
+    if (saved) return saved;
+  } catch {
+    // Storage is unavailable (e.g. blocked); fall through to a new key
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const key = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  try {
+    localStorage.setItem(CLIENT_KEY_STORAGE, key);
+  } catch {
+    // Keep using the key for this page load
+  }
+  return key;
+}
+
+/**
+ * Take a token for sending a queued change from our copy of the server's
+ * bucket for its event (see QUEUE_RATE_LIMITS)
+ *
+ * @param {Map} buckets - Map<event, {tokens, updatedAt}>; missing buckets are full
+ * @param {string} event - Event of the change
+ * @param {number} now - Current time (ms)
+ * @returns {number} 0 if the change can be sent now, else how long to wait (ms)
+ */
+function takeQueueToken(buckets, event, now) {
+  const limit = QUEUE_RATE_LIMITS[event] || DEFAULT_QUEUE_RATE_LIMIT;
+  const capacity = Math.max(1, Math.floor(limit.capacity * QUEUE_RATE_SHARE));
+  const refill = limit.refill * QUEUE_RATE_SHARE;
+
+  const bucket = buckets.get(event) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refill);
+  bucket.updatedAt = now;
+  buckets.set(event, bucket);
+
+  if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / refill * 1000);
+  bucket.tokens -= 1;
+  return 0;
+}
+
+/**
+ * Format a replay offset in milliseconds as m:ss
+ */
+function formatReplayTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
 function Canvas() {
   // Generate random IDs
   const generateRoomId = () => 'room-' + Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -18,61 +273,485 @@ function Canvas() {
   const [joined, setJoined] = useState(false);
   const [roomId, setRoomId] = useState('');
   const [userId, setUserId] = useState('');
-  const [roomInput, setRoomInput] = useState('');
+  const [roomInput, setRoomInput] = useState(LINK_PARAMS.get('room') || '');
   const [userInput, setUserInput] = useState('');
+  const [createPassword, setCreatePassword] = useState('');
 
   // Canvas and drawing state
   const canvasRef = useRef(null);
   const socketRef = useRef(null);
+  // ID the server knows us by; it owns our strokes and undo history
+  const ownIdRef = useRef(null);
   const isDrawingRef = useRef(false);
   const currentStrokeRef = useRef(null);
+  // Pointer drawing the current brush stroke: {pen, time, x, y, pressure},
+  // plus how much of the stroke was streamed: {streamed, sentAt}
+  const pointerInputRef = useRef(null);
   const strokesRef = useRef([]);
-  const [ghostCursors, setGhostCursors] = useState({});
-  const [userLabels, setUserLabels] = useState({});
+  // Sequence number of the last room change applied to strokesRef; null
+  // until the first sync-state and while waiting for one after a missed change
+  const seqRef = useRef(null);
+  // Epoch of the room that seqRef counts in; sequence numbers start again
+  // when the server recreates a room without its saved state
+  const epochRef = useRef(null);
+  // Changes made while offline, sent in order once the room state has been
+  // caught up after (re)connecting: [[event, ...args]]
+  const offlineQueueRef = useRef([]);
+  // Pending send of the next queued change, and our copies of the server's
+  // buckets while the queue is sent (see takeQueueToken)
+  const queueTimerRef = useRef(null);
+  const queueBucketsRef = useRef(new Map());
+  // Local copies of our strokes that the server hasn't acknowledged yet
+  const pendingStrokesRef = useRef(new Set());
+  const resumingRef = useRef(true);
+  const [connectionState, setConnectionState] = useState('connecting');
+  const [queuedChanges, setQueuedChanges] = useState(0);
+  // Changes of ours the server refused, shown without interrupting: {message, count}
+  const [notice, setNotice] = useState(null);
+  const noticeTimerRef = useRef(null);
+  // What register-user presents to get into the room ({create, password, invite});
+  // cleared once we are in, since the server remembers our role
+  const credentialsRef = useRef({});
+  // Our identity and role in the room, once the server has let us in
+  const [ownId, setOwnId] = useState(null);
+  const [role, setRole] = useState(null);
+  const [passwordProtected, setPasswordProtected] = useState(false);
+  // While the owner has frozen the board only they can change it
+  const [frozen, setFrozen] = useState(false);
+  const viewOnly = role === 'viewer' || (frozen && role !== 'owner');
+  // Why the server refused to let us in; shows the password prompt
+  const [accessDenied, setAccessDenied] = useState(null);
+  const [passwordInput, setPasswordInput] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [inviteLink, setInviteLink] = useState('');
+  const importInputRef = useRef(null);
+  const [dragOver, setDragOver] = useState(false);
+  // Other users' cursors, gliding between cursor frames: {[socketId]: {from, to, start}}
+  const ghostCursorsRef = useRef({});
+  // Ghost cursor elements, positioned directly while they glide: {[socketId]: HTMLElement}
+  const ghostElementsRef = useRef({});
+  // Socket IDs of the users whose ghost cursors are shown
+  const [ghostCursorIds, setGhostCursorIds] = useState([]);
+  // Presence records from the server: [{id, socketId, name, color, status}]
   const [users, setUsers] = useState([]);
+  // The same records, for the canvas renderer (viewport outlines)
+  const usersRef = useRef([]);
   const [currentColor, setCurrentColor] = useState('#000000');
   const [currentSize, setCurrentSize] = useState(3);
+  const [tool, setTool] = useState('brush');
+  const [fillColor, setFillColor] = useState('#ffffff');
+  const [fillEnabled, setFillEnabled] = useState(false);
+  const [textFont, setTextFont] = useState('sans-serif');
+  const [textSize, setTextSize] = useState(24);
+  // Other users' elements in progress (brush strokes, shapes, text), by socket ID
+  const previewsRef = useRef({});
+  const renderRef = useRef(null);
+
+  // Room layers (bottom first) and the layer new elements go on. The ref
+  // mirrors the state for the canvas event handlers.
+  const [layers, setLayers] = useState(INITIAL_LAYERS);
+  const layersRef = useRef(INITIAL_LAYERS);
+  const [activeLayerId, setActiveLayerId] = useState(DEFAULT_LAYER_ID);
+
+  // Selection tool: selected element IDs, the drag in progress
+  // ({mode: 'move'|'scale'|'rotate'|'marquee', start, box, handle, matrix})
+  // and other users' selection outlines by user
+  const selectedIdsRef = useRef([]);
+  const selectionDragRef = useRef(null);
+  const selectionOutlinesRef = useRef({});
+
+  // Open text box: {id?, x, y, text, fontFamily, fontSize, color} in canvas
+  // coordinates (id is set when editing placed text). The ref mirrors the
+  // state for the canvas event handlers.
+  const [textEditor, setTextEditor] = useState(null);
+  const textEditorRef = useRef(null);
   const [undoDisabled, setUndoDisabled] = useState(true);
   const [redoDisabled, setRedoDisabled] = useState(true);
   const [zoom, setZoom] = useState(1);
   const [panX, setPanX] = useState(0);
   const [panY, setPanY] = useState(0);
+  // The view as the canvas event handlers see it, kept in step with the state
+  // above, so zooming and panning don't set the canvas effect up again
+  const viewRef = useRef({ zoom: 1, panX: 0, panY: 0 });
+
+  // Other users' viewports, drawn as outlines: {[socketId]: {zoom, panX, panY, width, height}}
+  const viewportsRef = useRef({});
+  // Socket ID of the user whose viewport we follow
+  const [followingId, setFollowingId] = useState(null);
+  const followingRef = useRef(null);
+  // Panning and pinching: {type: 'pan', pointerId, startX, startY, panX, panY}
+  // or {type: 'pinch', start: {center, distance, zoom, panX, panY}}
+  const gestureRef = useRef(null);
+  // Fingers on the canvas: Map<pointerId, {x, y}> in client coordinates
+  const touchPointsRef = useRef(new Map());
+  // Held space turns dragging into panning
+  const spaceHeldRef = useRef(false);
+  const [spacePanning, setSpacePanning] = useState(false);
+  const minimapRef = useRef(null);
+  // How the drawing maps onto the minimap, for clicks on it: {zoom, panX, panY}
+  const minimapViewRef = useRef(null);
+  const [showMinimap, setShowMinimap] = useState(true);
+  // Latest minimap renderer and its pending redraw; kept across effect runs
+  // so re-running the canvas effect doesn't keep postponing it
+  const minimapRenderRef = useRef(null);
+  const minimapTimerRef = useRef(null);
+  // Places the ghost cursors for the current view (set by the canvas effect)
+  const moveGhostCursorsRef = useRef(null);
+  // Socket ID of the room's presenter, to notice when it changes
+  const presenterRef = useRef(null);
+  const [presenting, setPresenting] = useState(false);
 
-  // Predefined color palette for users
-  const userColorPalette = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'];
-  const userColorMapRef = useRef({});
-  const colorIndexMapRef = useRef({});
+  // Session replay state (never touches the live room)
+  const replayCanvasRef = useRef(null);
+  const replayCacheRef = useRef({ index: 0, strokes: [] });
+  const [replayOpen, setReplayOpen] = useState(false);
+  const [replayEntries, setReplayEntries] = useState([]);
+  const [replayTime, setReplayTime] = useState(0);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(1);
 
   /**
-   * Assign a unique color to each user based on their username
+   * Open, change or close (null) the text box and show it to everyone else
    */
-  const getColorForUser = (username) => {
-    if (!username) return '#000000';
-    
-    if (!userColorMapRef.current[username]) {
-      // Assign colors in order based on when they're first seen
-      const assignedCount = Object.keys(userColorMapRef.current).length;
-      const colorIndex = assignedCount % userColorPalette.length;
-      userColorMapRef.current[username] = userColorPalette[colorIndex];
-      colorIndexMapRef.current[username] = colorIndex;
-    }
-    return userColorMapRef.current[username];
+  const updateTextEditor = useCallback((editor) => {
+    textEditorRef.current = editor;
+    setTextEditor(editor);
+    socketRef.current?.emit("text-preview", editor && toTextElement(editor));
+    renderRef.current?.();
+  }, []);
+
+  /**
+   * Tell the user that a change of theirs was refused, without interrupting
+   * them; refusals in quick succession share one notice with a count
+   *
+   * @param {string} message - What happened to the latest change
+   */
+  const showNotice = useCallback((message) => {
+    setNotice(current => ({ message, count: (current?.count ?? 0) + 1 }));
+    clearTimeout(noticeTimerRef.current);
+    noticeTimerRef.current = setTimeout(() => setNotice(null), NOTICE_DURATION);
+  }, []);
+
+  /**
+   * Send a change to the room, or queue it while the client is offline,
+   * still catching up after reconnecting or sending what it queued before
+   */
+  const sendChange = useCallback((event, ...args) => {
+    const socket = socketRef.current;
+    if (socket?.connected && !resumingRef.current && offlineQueueRef.current.length === 0) {
+      socket.emit(event, ...args);
+    } else {
+      offlineQueueRef.current.push([event, ...args]);
+      setQueuedChanges(offlineQueueRef.current.length);
+    }
+  }, []);
+
+  /**
+   * Send the queued changes in order, no faster than the server's rate
+   * limits allow; a change that would be dropped waits for its bucket to
+   * refill. Stops when the connection drops, keeping the rest queued
+   */
+  const drainOfflineQueue = useCallback(function drain() {
+    queueTimerRef.current = null;
+    const socket = socketRef.current;
+    const queue = offlineQueueRef.current;
+
+    while (queue.length > 0 && socket?.connected && !resumingRef.current) {
+      const [event, ...args] = queue[0];
+      const wait = takeQueueToken(queueBucketsRef.current, event, performance.now());
+      if (wait > 0) {
+        queueTimerRef.current = setTimeout(drain, wait);
+        break;
+      }
+      queue.shift();
+      socket.emit(event, ...args);
+    }
+    setQueuedChanges(queue.length);
+  }, []);
+
+  /**
+   * Create the acknowledgement callback for one of our strokes
+   * - Accepted: the local copy takes the server's ID and timestamp (the
+   *   "stroke" broadcast that follows swaps in the server copy)
+   * - Rejected: the local copy is rolled back and the reason is shown in
+   *   the notice
+   *
+   * @param {Object} stroke - Local copy in strokesRef
+   * @returns {Function} Callback for the "stroke" or "stroke-end" emit
+   */
+  const acknowledgeStroke = useCallback((stroke) => {
+    pendingStrokesRef.current.add(stroke);
+
+    return ({ id, timestamp, error }) => {
+      if (!pendingStrokesRef.current.delete(stroke)) return;
+
+      if (error) {
+        strokesRef.current = strokesRef.current.filter(s => s !== stroke);
+        renderRef.current?.();
+        showNotice(`Your stroke was not saved: ${error}.`);
+        return;
+      }
+      const index = strokesRef.current.indexOf(stroke);
+      if (index !== -1) {
+        strokesRef.current[index] = { ...stroke, id, timestamp };
+      }
+    };
+  }, [showNotice]);
+
+  /**
+   * Close the text box and save its text
+   * - New text is sent as a stroke; the server echoes it back with its ID
+   * - Edits of placed text are sent as "text-update" (empty text deletes it)
+   */
+  const commitTextEditor = useCallback(() => {
+    const editor = textEditorRef.current;
+    if (!editor) return;
+    updateTextEditor(null);
+
+    const text = editor.text.replace(/\s+$/, '');
+    const { fontFamily, fontSize, color } = editor;
+
+    if (!editor.id) {
+      if (!text) return;
+      const element = { ...toTextElement({ ...editor, text }), userId: ownIdRef.current, timestamp: Date.now() };
+      strokesRef.current.push(element);
+      sendChange("stroke", element, acknowledgeStroke(element));
+      renderRef.current?.();
+      return;
+    }
+
+    const original = strokesRef.current.find(stroke => stroke.id === editor.id);
+    if (!original || (original.text === text && original.fontFamily === fontFamily &&
+        original.fontSize === fontSize && original.color === color)) {
+      return;
+    }
+
+    sendChange("text-update", { id: editor.id, text, fontFamily, fontSize, color });
+
+    // Show the edit right away; the server's splice replaces this copy
+    strokesRef.current = text
+      ? strokesRef.current.map(stroke => stroke.id === editor.id ? { ...stroke, text, fontFamily, fontSize, color } : stroke)
+      : strokesRef.current.filter(stroke => stroke.id !== editor.id);
+    renderRef.current?.();
+  }, [updateTextEditor, sendChange, acknowledgeStroke]);
+
+  /**
+   * Apply a font, size or colour change to the open text box
+   */
+  function changeTextStyle(changes) {
+    if (textEditorRef.current) {
+      updateTextEditor({ ...textEditorRef.current, ...changes });
+    }
+  }
+
+  function handleTextChange(e) {
+    if (e.target.value.split('\n').length > MAX_TEXT_LINES) return;
+    updateTextEditor({ ...textEditorRef.current, text: e.target.value });
+  }
+
+  function handleTextKeyDown(e) {
+    if (e.key === 'Escape') {
+      // Discard the changes
+      updateTextEditor(null);
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      commitTextEditor();
+    }
+  }
+
+  /**
+   * Forget the previous room's sequence number, offline changes and access
+   */
+  function resetConnection() {
+    seqRef.current = null;
+    epochRef.current = null;
+    offlineQueueRef.current = [];
+    clearTimeout(queueTimerRef.current);
+    queueTimerRef.current = null;
+    pendingStrokesRef.current.clear();
+    resumingRef.current = true;
+    setConnectionState('connecting');
+    setQueuedChanges(0);
+    setRole(null);
+    setFrozen(false);
+    setAccessDenied(null);
+    setPasswordInput('');
+    setInviteLink('');
+    viewportsRef.current = {};
+    followingRef.current = null;
+    presenterRef.current = null;
+    setFollowingId(null);
+    setPresenting(false);
+  }
+
+  /**
+   * Zoom and pan our canvas to show another user's viewport
+   */
+  const showViewport = useCallback((viewport) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const view = fitViewport(getViewportRect(viewport), canvas.width, canvas.height, MIN_ZOOM, MAX_ZOOM);
+    setZoom(view.zoom);
+    setPanX(view.panX);
+    setPanY(view.panY);
+  }, []);
+
+  /**
+   * Follow another user's viewport, or stop following (null)
+   * Our view jumps to theirs and keeps up with it until we zoom, pan or draw
+   */
+  const follow = useCallback((socketId) => {
+    followingRef.current = socketId;
+    setFollowingId(socketId);
+    if (socketId && viewportsRef.current[socketId]) {
+      showViewport(viewportsRef.current[socketId]);
+    }
+  }, [showViewport]);
+
+  /**
+   * Zoom from the zoom controls; this stops following
+   */
+  const changeZoom = (newZoom) => {
+    follow(null);
+    setZoom(Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, newZoom)));
+  };
+
+  /**
+   * Zoom and pan so the whole drawing (on the visible layers) fits the canvas
+   */
+  const zoomToFit = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    follow(null);
+
+    const content = getContentBounds(canvas.getContext("2d"), compositeLayers(strokesRef.current, layersRef.current));
+    if (!content) {
+      setZoom(1);
+      setPanX(0);
+      setPanY(0);
+      return;
+    }
+    const view = fitViewport(expandRect(content, null, FIT_MARGIN), canvas.width, canvas.height, MIN_ZOOM, MAX_ZOOM);
+    setZoom(view.zoom);
+    setPanX(view.panX);
+    setPanY(view.panY);
+  };
+
+  /**
+   * Centre the canvas on the point of the minimap that is clicked or dragged over
+   */
+  const handleMinimapPointer = (e) => {
+    const view = minimapViewRef.current;
+    const canvas = canvasRef.current;
+    if (!view || !canvas || (e.type === 'pointermove' && e.buttons === 0)) return;
+
+    if (e.type === 'pointerdown') {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      follow(null);
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = (e.clientX - rect.left - view.panX) / view.zoom;
+    const y = (e.clientY - rect.top - view.panY) / view.zoom;
+    setPanX(canvas.width / 2 - x * zoom);
+    setPanY(canvas.height / 2 - y * zoom);
   };
 
+  /**
+   * Register with the room; after a reconnect the server only sends the
+   * changes made since lastSeq, if the room is still in the same epoch
+   */
+  const registerUser = useCallback(() => {
+    socketRef.current?.emit("register-user", {
+      username: userId,
+      clientKey: getClientKey(),
+      lastSeq: seqRef.current,
+      epoch: epochRef.current,
+      ...credentialsRef.current
+    });
+  }, [userId]);
+
+  /**
+   * Try to get into a protected room again with the password from the prompt
+   */
+  function handleSubmitPassword() {
+    if (!passwordInput) return;
+    credentialsRef.current = { invite: credentialsRef.current.invite, password: passwordInput };
+    setPasswordInput('');
+    registerUser();
+  }
+
+  /**
+   * Send a moderation action (room owners only), after asking to confirm it
+   *
+   * @param {string} event - Moderation event
+   * @param {Object} payload - Event payload
+   * @param {string} [question] - Confirmation question
+   * @param {Function} [onDone] - Called once the server has carried it out
+   */
+  function moderate(event, payload, question, onDone) {
+    if (question && !window.confirm(question)) return;
+    socketRef.current?.emit(event, payload, ({ error }) => {
+      if (error) {
+        alert(`Could not do that: ${error}.`);
+      } else {
+        onDone?.();
+      }
+    });
+  }
+
+  /**
+   * Ban a user (room owners only). The server revokes every invite to the
+   * room; the owner of a protected room can also give it a new password, so
+   * the banned user can't come back with a fresh identity
+   *
+   * @param {Object} user - User to ban
+   */
+  function handleBan(user) {
+    if (!window.confirm(`Ban ${user.name}? They won't be able to join this room again, and every invite link to it stops working.`)) return;
+
+    let password;
+    if (passwordProtected) {
+      const answer = window.prompt('New room password (leave empty to keep the current one):', '');
+      if (answer === null) return;
+      password = answer || undefined;
+    }
+    moderate("ban-user", { userId: user.id, ...(password && { password }) }, null, () => setInviteLink(''));
+  }
+
+  /**
+   * Create an invite link to this room for the chosen role (owners of
+   * password-protected rooms only)
+   */
+  function handleCreateInvite() {
+    socketRef.current?.emit("create-invite", { role: inviteRole }, ({ token, error }) => {
+      if (error) {
+        alert(`Could not create an invite: ${error}.`);
+      } else {
+        setInviteLink(getShareLink(token));
+      }
+    });
+  }
+
   /**
    * Handle creating a new room
    */
   const handleCreateRoom = () => {
     if (userInput.trim()) {
+      updateTextEditor(null);
       socketRef.current?.disconnect();
       const newRoomId = generateRoomId();
+      // We become the owner; a password makes the room protected
+      credentialsRef.current = { create: { password: createPassword || undefined } };
+      setCreatePassword('');
       setRoomId(newRoomId);
       setUserId(userInput);
+      setActiveLayerId(DEFAULT_LAYER_ID);
       setJoined(true);
       setUsers([]);
-      setGhostCursors({});
-      setUserLabels({});
+      ghostCursorsRef.current = {};
+      setGhostCursorIds([]);
       strokesRef.current = [];
+      resetConnection();
       setUserInput('');
     }
   };
@@ -82,14 +761,20 @@ function Canvas() {
    */
   const handleJoinRoom = () => {
     if (roomInput.trim() && userInput.trim()) {
+      updateTextEditor(null);
       socketRef.current?.disconnect();
+      // An invite link only applies to the room it was made for
+      const invite = roomInput === LINK_PARAMS.get('room') ? LINK_PARAMS.get('invite') : null;
+      credentialsRef.current = invite ? { invite } : {};
       setRoomId(roomInput);
       setUserId(userInput);
+      setActiveLayerId(DEFAULT_LAYER_ID);
       setJoined(true);
       setUsers([]);
-      setGhostCursors({});
-      setUserLabels({});
+      ghostCursorsRef.current = {};
+      setGhostCursorIds([]);
       strokesRef.current = [];
+      resetConnection();
       setRoomInput('');
       setUserInput('');
     }
@@ -99,13 +784,16 @@ function Canvas() {
    * Handle leaving the current room
    */
   const handleLeaveRoom = () => {
+    updateTextEditor(null);
     socketRef.current?.disconnect();
     setJoined(false);
     setRoomId('');
     setUserId('');
+    setRole(null);
+    setAccessDenied(null);
     setUsers([]);
-    setGhostCursors({});
-    setUserLabels({});
+    ghostCursorsRef.current = {};
+    setGhostCursorIds([]);
     strokesRef.current = [];
   };
 
@@ -124,7 +812,7 @@ function Canvas() {
   useEffect(() => {
     if (!joined || !roomId || !userId) return;
 
-    socketRef.current = io("http://localhost:3001", {
+    socketRef.current = io(SERVER_URL, {
       query: { room: roomId }
     });
 
@@ -132,13 +820,64 @@ function Canvas() {
     
     socket.on("connect", () => {
       console.log("Connected to server:", socket.id);
-      socket.emit("register-user", { userId, username: userId });
+      setConnectionState('connecting');
+      registerUser();
+    });
+
+    socket.on("registered", ({ userId: registeredId, role: ownRole, passwordProtected: isProtected, frozen: isFrozen }) => {
+      ownIdRef.current = registeredId;
+      credentialsRef.current = {};
+      setOwnId(registeredId);
+      setRole(ownRole);
+      setPasswordProtected(isProtected);
+      setFrozen(isFrozen);
+      setAccessDenied(null);
+    });
+
+    socket.on("access-denied", ({ reason }) => {
+      setAccessDenied(reason);
+    });
+
+    // Something the room owner did that affects us
+    socket.on("moderated", ({ action, frozen: isFrozen, message }) => {
+      if (REMOVED_REASONS.includes(action)) {
+        // The server disconnects us next
+        setAccessDenied(action);
+        return;
+      }
+      if (isFrozen !== undefined) {
+        setFrozen(isFrozen);
+      }
+      alert(message);
+    });
+
+    socket.on("disconnect", () => {
+      console.log("Disconnected from server");
+      resumingRef.current = true;
+      setConnectionState('offline');
+
+      // Other users' strokes and shapes in progress won't be finished for us
+      previewsRef.current = {};
+      renderRef.current?.();
     });
 
     return () => {
       socket.off("connect");
+      socket.off("registered");
+      socket.off("access-denied");
+      socket.off("moderated");
+      socket.off("disconnect");
     };
-  }, [roomId, userId, joined]);
+  }, [roomId, userId, joined, registerUser]);
+
+  /**
+   * Redraw the canvas and move the ghost cursors when we zoom or pan
+   */
+  useEffect(() => {
+    viewRef.current = { zoom, panX, panY };
+    renderRef.current?.();
+    moveGhostCursorsRef.current?.();
+  }, [zoom, panX, panY]);
 
   useEffect(() => {
     if (!joined || !canvasRef.current || !socketRef.current) return;
@@ -147,13 +886,24 @@ function Canvas() {
     const ctx = canvas.getContext("2d");
     const socket = socketRef.current;
 
-    // Set canvas size to match the container
+    // Set canvas size to match the container, and keep it matched; the
+    // canvas is a window onto the infinite board
     const centerPanel = canvas.parentElement;
     const rect = centerPanel.getBoundingClientRect();
     canvas.width = rect.width;
     canvas.height = rect.height;
 
+    const resizeObserver = new ResizeObserver(() => {
+      const { width, height } = centerPanel.getBoundingClientRect();
+      if (width === canvas.width && height === canvas.height) return;
+      canvas.width = width;
+      canvas.height = height;
+      render();
+    });
+    resizeObserver.observe(centerPanel);
+
     function getPoint(e) {
+      const { zoom, panX, panY } = viewRef.current;
       const rect = canvas.getBoundingClientRect();
       const scaleX = canvas.width / rect.width;
       const scaleY = canvas.height / rect.height;
@@ -166,177 +916,1350 @@ function Canvas() {
     }
 
 
+    // Cursor moves and shape and selection previews follow the pointer, so
+    // each is sent at most once per CURSOR_INTERVAL; the latest payload of a
+    // burst goes out when the interval is up. Map<event, {sentAt, timer, payload}>
+    const throttled = new Map();
+
+    function sendThrottled(event, payload) {
+      if (!throttled.has(event)) {
+        throttled.set(event, { sentAt: 0, timer: null, payload: null });
+      }
+      const entry = throttled.get(event);
+      entry.payload = payload;
+      if (entry.timer) return;
+
+      const wait = entry.sentAt + CURSOR_INTERVAL - performance.now();
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        entry.sentAt = performance.now();
+        socket.emit(event, entry.payload);
+      }, Math.max(0, wait));
+    }
+
+    /**
+     * Elements that can be selected, erased or edited: those on visible,
+     * unlocked layers
+     */
+    function getEditableStrokes() {
+      const editable = new Set(layersRef.current.filter(layer => layer.visible && !layer.locked).map(layer => layer.id));
+      return strokesRef.current.filter(stroke => editable.has(stroke.layerId ?? DEFAULT_LAYER_ID));
+    }
+
+    /**
+     * Whether new elements can be added to the active layer
+     */
+    function canDrawOnActiveLayer() {
+      const layer = layersRef.current.find(l => l.id === activeLayerId);
+      return Boolean(layer) && layer.visible && !layer.locked;
+    }
+
+    /**
+     * Selected elements and the box around them
+     */
+    function getSelectedElements() {
+      const ids = new Set(selectedIdsRef.current);
+      return strokesRef.current.filter(stroke => ids.has(stroke.id));
+    }
+
+    function getSelectionBox() {
+      const bounds = getSelectedElements().map(element => getElementBounds(ctx, element));
+      if (bounds.length === 0) return null;
+      return {
+        minX: Math.min(...bounds.map(b => b.minX)),
+        minY: Math.min(...bounds.map(b => b.minY)),
+        maxX: Math.max(...bounds.map(b => b.maxX)),
+        maxY: Math.max(...bounds.map(b => b.maxY))
+      };
+    }
+
+    /**
+     * Outline of the selection as four corners, following the drag in progress
+     */
+    function getSelectionOutline() {
+      const box = getSelectionBox();
+      if (!box) return null;
+      const matrix = selectionDragRef.current?.matrix;
+      return getBoxCorners(box).map(corner => matrix ? transformPoint(corner, matrix) : corner);
+    }
+
+    /**
+     * Change the selection and show its outline to everyone else
+     */
+    function setSelection(ids) {
+      selectedIdsRef.current = ids;
+      sendThrottled("selection-preview", getSelectionOutline());
+    }
+
+    /**
+     * Follow the selection through changes to the room: elements replaced in
+     * place (by a transform, erase or text edit) stay selected under their new
+     * IDs, removed elements and elements on hidden or locked layers drop out
+     */
+    function updateSelection(changes = []) {
+      if (selectedIdsRef.current.length === 0) return;
+
+      const replaced = new Map();
+      changes.forEach(change => change.removeIds.forEach(id => replaced.set(id, change.strokes.map(s => s.id))));
+      const present = new Set(getEditableStrokes().map(stroke => stroke.id));
+      setSelection(selectedIdsRef.current
+        .flatMap(id => replaced.get(id) ?? [id])
+        .filter(id => present.has(id)));
+    }
+
+    function handleSelectPointerDown(e) {
+      const { zoom } = viewRef.current;
+      const point = getPoint(e);
+      const box = getSelectionBox();
+
+      // Handles of the current selection
+      if (box) {
+        const reach = SELECTION_HANDLE_SIZE / zoom;
+        const handle = getSelectionHandles(box, zoom)
+          .find(h => Math.abs(h.x - point.x) <= reach && Math.abs(h.y - point.y) <= reach);
+        if (handle) {
+          selectionDragRef.current = { mode: handle.id === 'rotate' ? 'rotate' : 'scale', handle, box, start: point, matrix: null };
+          return;
+        }
+      }
+
+      const hit = findElementAt(ctx, getEditableStrokes(), point, 4 / zoom);
+      const selected = selectedIdsRef.current;
+
+      if (hit && e.shiftKey) {
+        // Shift-click toggles an element
+        setSelection(selected.includes(hit.id) ? selected.filter(id => id !== hit.id) : [...selected, hit.id]);
+      } else if (hit && !selected.includes(hit.id)) {
+        setSelection([hit.id]);
+        selectionDragRef.current = { mode: 'move', start: point, matrix: null };
+      } else if (hit || (box && point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY)) {
+        selectionDragRef.current = { mode: 'move', start: point, matrix: null };
+      } else {
+        // Empty space starts a marquee (Shift adds to the selection)
+        if (!e.shiftKey) setSelection([]);
+        selectionDragRef.current = { mode: 'marquee', start: point, current: point, additive: e.shiftKey };
+      }
+      render();
+    }
+
+    function handleSelectPointerMove(e, point) {
+      const drag = selectionDragRef.current;
+      const { start } = drag;
+
+      if (drag.mode === 'marquee') {
+        drag.current = point;
+      } else if (drag.mode === 'move') {
+        drag.matrix = [1, 0, 0, 1, point.x - start.x, point.y - start.y];
+      } else if (drag.mode === 'scale') {
+        // Scale from the opposite corner; Shift keeps the aspect ratio
+        const { box, handle } = drag;
+        const anchor = {
+          x: handle.x === box.minX ? box.maxX : box.minX,
+          y: handle.y === box.minY ? box.maxY : box.minY
+        };
+        let sx = handle.x === anchor.x ? 1 : (point.x - anchor.x) / (handle.x - anchor.x);
+        let sy = handle.y === anchor.y ? 1 : (point.y - anchor.y) / (handle.y - anchor.y);
+        if (e.shiftKey) {
+          const s = Math.max(Math.abs(sx), Math.abs(sy));
+          sx = (Math.sign(sx) || 1) * s;
+          sy = (Math.sign(sy) || 1) * s;
+        }
+        sx = Math.abs(sx) < 0.01 ? 0.01 * (Math.sign(sx) || 1) : sx;
+        sy = Math.abs(sy) < 0.01 ? 0.01 * (Math.sign(sy) || 1) : sy;
+        drag.matrix = [sx, 0, 0, sy, anchor.x * (1 - sx), anchor.y * (1 - sy)];
+      } else {
+        // Rotate around the centre of the box; Shift snaps to 15 degrees
+        const { box } = drag;
+        const cx = (box.minX + box.maxX) / 2;
+        const cy = (box.minY + box.maxY) / 2;
+        let angle = Math.atan2(point.y - cy, point.x - cx) - Math.atan2(start.y - cy, start.x - cx);
+        if (e.shiftKey) angle = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        drag.matrix = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+      }
+
+      if (drag.mode !== 'marquee') {
+        sendThrottled("selection-preview", getSelectionOutline());
+      }
+      render();
+    }
+
+    function handleSelectPointerUp() {
+      const drag = selectionDragRef.current;
+      selectionDragRef.current = null;
+
+      if (drag.mode === 'marquee') {
+        // Select every element that lies completely inside the marquee
+        const minX = Math.min(drag.start.x, drag.current.x);
+        const maxX = Math.max(drag.start.x, drag.current.x);
+        const minY = Math.min(drag.start.y, drag.current.y);
+        const maxY = Math.max(drag.start.y, drag.current.y);
+        const inside = getEditableStrokes()
+          .filter(element => {
+            if (!element.id) return false;
+            const b = getElementBounds(ctx, element);
+            return b.minX >= minX && b.maxX <= maxX && b.minY >= minY && b.maxY <= maxY;
+          })
+          .map(element => element.id);
+        setSelection(drag.additive ? [...new Set([...selectedIdsRef.current, ...inside])] : inside);
+      } else if (drag.matrix && drag.matrix.some((value, i) => Math.abs(value - [1, 0, 0, 1, 0, 0][i]) > 1e-9)) {
+        sendChange("transform", { strokeIds: selectedIdsRef.current, matrix: drag.matrix });
+
+        // Show the result right away; the server's splice replaces these copies
+        const ids = new Set(selectedIdsRef.current);
+        strokesRef.current = strokesRef.current.map(stroke => ids.has(stroke.id) ? transformElement(stroke, drag.matrix) : stroke);
+        sendThrottled("selection-preview", getSelectionOutline());
+      }
+      render();
+    }
+
+    /**
+     * Pressure of a pointer event from 0 to 1
+     * Pens report real pressure. Mice and touch don't, so the pressure is
+     * derived from the drawing speed instead (faster is lighter), smoothed
+     * against the previous point.
+     */
+    function getPressure(e) {
+      const input = pointerInputRef.current;
+      if (input.pen) return e.pressure;
+
+      const elapsed = Math.max(1, e.timeStamp - input.time);
+      const speed = Math.hypot(e.clientX - input.x, e.clientY - input.y) / elapsed;
+      const target = 1 - Math.min(1, speed / SPEED_FOR_MIN_WIDTH);
+      return input.pressure * WIDTH_SMOOTHING + target * (1 - WIDTH_SMOOTHING);
+    }
+
+    /**
+     * Add a point with its pressure-based width to the brush stroke
+     */
+    function addBrushPoint(e) {
+      const pressure = getPressure(e);
+      pointerInputRef.current = { ...pointerInputRef.current, time: e.timeStamp, x: e.clientX, y: e.clientY, pressure };
+      currentStrokeRef.current.points.push({ ...getPoint(e), width: getPointWidth(currentSize, pressure) });
+    }
+
+    /**
+     * Take the brush points that are final and haven't been sent yet
+     * Without pen pressure the last few points are held back until the
+     * stroke ends, because ending it tapers them
+     *
+     * @param {Object} input - Pointer input of the stroke (see pointerInputRef)
+     * @param {boolean} ending - Take everything that is left
+     * @returns {Array} The points that were not sent yet
+     */
+    function takeBrushPoints(input, ending) {
+      const { points } = currentStrokeRef.current;
+      const final = input.pen ? points : taperStroke(points);
+      const ready = ending || input.pen ? final.length : Math.max(input.streamed, final.length - TAPER_POINTS);
+      const batch = final.slice(input.streamed, ready);
+      input.streamed = ready;
+      return batch;
+    }
+
+    /**
+     * Send the new brush points to the room, at most every STREAM_INTERVAL ms
+     */
+    function streamBrushPoints(e) {
+      const input = pointerInputRef.current;
+      // Strokes started offline are sent whole, and so are strokes whose connection dropped
+      if (!input.socketId || input.socketId !== socket.id) return;
+      if (e.timeStamp - input.sentAt < STREAM_INTERVAL) return;
+
+      const points = takeBrushPoints(input, false);
+      if (points.length === 0) return;
+      input.sentAt = e.timeStamp;
+
+      if (input.begun) {
+        socket.emit("stroke-append", { points });
+      } else {
+        const { color, width, layerId } = currentStrokeRef.current;
+        socket.emit("stroke-begin", { color, width, layerId, points });
+        input.begun = true;
+      }
+    }
+
+    /**
+     * Keep the focus in the text box: the mouse event that follows a pointer
+     * press would otherwise move it from the text box that is opening. The
+     * middle button pans instead of starting the browser's autoscroll
+     */
     function handleMouseDown(e) {
+      if (tool === 'text' || e.button === 1) {
+        e.preventDefault();
+      }
+    }
+
+    /**
+     * Centre of the two fingers on the canvas and the distance between them
+     */
+    function getPinch() {
+      const [a, b] = Array.from(touchPointsRef.current.values());
+      const rect = canvas.getBoundingClientRect();
+      return {
+        center: { x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top },
+        distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+      };
+    }
+
+    /**
+     * Stop what the first finger started when a second one lands, as the two
+     * fingers pan and zoom instead. A brush stroke already streamed to the
+     * room is finished as it is; anything else is dropped
+     */
+    function cancelPointerInput() {
+      if (selectionDragRef.current) {
+        selectionDragRef.current = null;
+        sendThrottled("selection-preview", getSelectionOutline());
+      }
+      if (isDrawingRef.current) {
+        if (pointerInputRef.current?.begun) {
+          finishPointerInput();
+          return;
+        }
+        if (currentStrokeRef.current?.type) {
+          sendThrottled("shape-preview", null);
+        }
+        pointerInputRef.current = null;
+        currentStrokeRef.current = null;
+        isDrawingRef.current = false;
+      }
+      render();
+    }
+
+    function handlePointerDown(e) {
+      const { zoom, panX, panY } = viewRef.current;
+      // Interacting with the canvas stops following someone
+      if (followingRef.current) follow(null);
+
+      // Two fingers pan and pinch-zoom instead of drawing
+      if (e.pointerType === 'touch') {
+        touchPointsRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touchPointsRef.current.size === 2) {
+          cancelPointerInput();
+          gestureRef.current = { type: 'pinch', start: { ...getPinch(), zoom, panX, panY } };
+          return;
+        }
+      }
+
+      // Dragging with the middle button or while holding space pans the board
+      if (e.button === 1 || spaceHeldRef.current) {
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        gestureRef.current = { type: 'pan', pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, panX, panY };
+        return;
+      }
+
+      // Only the first finger or pointer draws, and viewers (or everyone but
+      // the owner while the board is frozen) can't change anything
+      if (!e.isPrimary || viewOnly || gestureRef.current) return;
+
+      // Clicking outside an open text box finishes it
+      if (textEditorRef.current) {
+        commitTextEditor();
+        return;
+      }
+
+      // Text: click placed text to edit it, or anywhere else to start a new box
+      if (tool === 'text') {
+        const point = getPoint(e);
+        const existing = findTextAt(ctx, getEditableStrokes(), point);
+        if (existing) {
+          setCurrentColor(existing.color);
+          setTextFont(existing.fontFamily);
+          setTextSize(existing.fontSize);
+          updateTextEditor({
+            id: existing.id,
+            x: existing.points[0].x,
+            y: existing.points[0].y,
+            rotation: existing.rotation,
+            text: existing.text,
+            fontFamily: existing.fontFamily,
+            fontSize: existing.fontSize,
+            color: existing.color
+          });
+        } else if (canDrawOnActiveLayer()) {
+          updateTextEditor({
+            layerId: activeLayerId,
+            x: point.x,
+            y: point.y,
+            text: '',
+            fontFamily: textFont,
+            fontSize: textSize,
+            color: currentColor
+          });
+        }
+        return;
+      }
+
+      // Keep receiving the pointer's events while it is pressed, even
+      // outside the canvas
+      canvas.setPointerCapture(e.pointerId);
+
+      if (tool === 'select') {
+        handleSelectPointerDown(e);
+        return;
+      }
+
+      // Nothing can be drawn on a hidden or locked layer
+      if (DRAWING_TOOLS.includes(tool) && !canDrawOnActiveLayer()) return;
+
       isDrawingRef.current = true;
+
+      // The eraser path is drawn as a translucent trail (above every layer)
+      // and sent on pointer up
+      if (tool === 'eraser') {
+        const visibleLayers = layersRef.current.filter(layer => layer.visible);
+        currentStrokeRef.current = {
+          color: ERASER_TRAIL_COLOR,
+          width: currentSize,
+          points: [getPoint(e)],
+          layerId: visibleLayers[visibleLayers.length - 1]?.id,
+          isEraser: true
+        };
+        return;
+      }
+
+      // Shapes start as a zero-size box and are sized by dragging the end corner
+      if (SHAPE_TOOLS.includes(tool)) {
+        const start = getPoint(e);
+        currentStrokeRef.current = {
+          type: tool,
+          color: currentColor,
+          fill: fillEnabled && FILLABLE_TOOLS.includes(tool) ? fillColor : null,
+          width: currentSize,
+          points: [start, start],
+          layerId: activeLayerId,
+          userId: ownIdRef.current,
+          timestamp: Date.now()
+        };
+        return;
+      }
+
+      // Brush strokes record a width per point from the pen pressure or speed
+      pointerInputRef.current = {
+        pen: e.pointerType === 'pen',
+        time: e.timeStamp,
+        x: e.clientX,
+        y: e.clientY,
+        pressure: 1,
+        streamed: 0,
+        sentAt: e.timeStamp,
+        begun: false,
+        socketId: socket.connected && !resumingRef.current ? socket.id : null
+      };
       currentStrokeRef.current = {
         color: currentColor,
         width: currentSize,
-        points: [getPoint(e)],
-        userId: userId,
+        points: [],
+        layerId: activeLayerId,
+        userId: ownIdRef.current,
         timestamp: Date.now()
       };
+      addBrushPoint(e);
     }
 
-    function handleMouseMove(e) {
+    function handlePointerMove(e) {
+      if (touchPointsRef.current.has(e.pointerId)) {
+        touchPointsRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      }
+
+      const gesture = gestureRef.current;
+      if (gesture?.type === 'pinch' && touchPointsRef.current.size === 2) {
+        const view = pinchViewport(gesture.start, getPinch(), MIN_ZOOM, MAX_ZOOM);
+        setZoom(view.zoom);
+        setPanX(view.panX);
+        setPanY(view.panY);
+        return;
+      }
+      if (gesture?.type === 'pan' && gesture.pointerId === e.pointerId) {
+        setPanX(gesture.panX + e.clientX - gesture.startX);
+        setPanY(gesture.panY + e.clientY - gesture.startY);
+        return;
+      }
+
+      if (!e.isPrimary) return;
+
       const point = getPoint(e);
-      socket.emit("cursor-move", point);
+      sendThrottled("cursor-move", point);
+
+      if (selectionDragRef.current) {
+        handleSelectPointerMove(e, point);
+        return;
+      }
+
+      if (!isDrawingRef.current) return;
+
+      if (pointerInputRef.current) {
+        // Pens deliver several samples per frame; use all of them for a smooth line
+        const samples = e.getCoalescedEvents?.() ?? [];
+        (samples.length > 0 ? samples : [e]).forEach(addBrushPoint);
+        streamBrushPoints(e);
+        render();
+        return;
+      }
+
+      if (currentStrokeRef.current.type) {
+        // Resize the shape and show the live preview to everyone else
+        const { type, color, fill, width, points, layerId } = currentStrokeRef.current;
+        currentStrokeRef.current.points = [points[0], point];
+        sendThrottled("shape-preview", { type, color, fill, width, points: [points[0], point], layerId });
+      } else {
+        currentStrokeRef.current.points.push(point);
+      }
+      render();
+    }
+
+    function handlePointerUp(e) {
+      touchPointsRef.current.delete(e.pointerId);
+
+      // A pan ends with its pointer, a pinch when either finger lifts
+      const gesture = gestureRef.current;
+      if (gesture) {
+        if (gesture.type === 'pinch' || gesture.pointerId === e.pointerId) {
+          gestureRef.current = null;
+        }
+        return;
+      }
+
+      if (!e.isPrimary) return;
+      finishPointerInput();
+    }
+
+    /**
+     * Finish what the pointer was doing: commit the selection change, or
+     * send the stroke, shape or eraser path
+     */
+    function finishPointerInput() {
+      if (selectionDragRef.current) {
+        handleSelectPointerUp();
+        return;
+      }
 
       if (!isDrawingRef.current) return;
 
-      currentStrokeRef.current.points.push(point);
-      const allStrokes = [...strokesRef.current, currentStrokeRef.current];
-      redrawCanvas(ctx, allStrokes, canvas, zoom, panX, panY);
+      if (currentStrokeRef.current.isEraser) {
+        const { points, width } = currentStrokeRef.current;
+        for (const path of splitEraserPath(points, width, MAX_ERASER_POINTS)) {
+          sendChange("erase", { points: path, width });
+        }
+        currentStrokeRef.current = null;
+        isDrawingRef.current = false;
+        render();
+        return;
+      }
+
+      if (currentStrokeRef.current.type) {
+        sendThrottled("shape-preview", null);
+
+        // A click without dragging doesn't create a shape
+        const [start, end] = currentStrokeRef.current.points;
+        if (start.x === end.x && start.y === end.y) {
+          currentStrokeRef.current = null;
+          isDrawingRef.current = false;
+          render();
+          return;
+        }
+      }
+
+      const input = pointerInputRef.current;
+      pointerInputRef.current = null;
+
+      // A streamed stroke ends with the points that were held back
+      const rest = input?.begun ? takeBrushPoints(input, true) : null;
+
+      // Without real pressure the ends would be blunt, so taper them
+      if (input && !input.pen) {
+        currentStrokeRef.current.points = taperStroke(currentStrokeRef.current.points);
+      }
+
+      const stroke = currentStrokeRef.current;
+      strokesRef.current.push(stroke);
+      if (rest && input.socketId === socket.id) {
+        socket.emit("stroke-end", { points: rest }, acknowledgeStroke(stroke));
+      } else {
+        // Shapes, strokes too short to have been streamed and strokes whose
+        // connection dropped go in one piece
+        sendChange("stroke", stroke, acknowledgeStroke(stroke));
+      }
+      
+      currentStrokeRef.current = null;
+      isDrawingRef.current = false;
+    }
+
+    function handleWheel(e) {
+      const { zoom, panX, panY } = viewRef.current;
+      e.preventDefault();
+      if (followingRef.current) follow(null);
+      const rect = canvas.getBoundingClientRect();
+      const mouseX = e.clientX - rect.left;
+      const mouseY = e.clientY - rect.top;
+      
+      const delta = e.deltaY > 0 ? 0.9 : 1.1;
+      const newZoom = zoom * delta;
+      
+      // Keep the zoom within its range
+      if (newZoom >= MIN_ZOOM && newZoom <= MAX_ZOOM) {
+        const newPanX = mouseX - (mouseX - panX) * (newZoom / zoom);
+        const newPanY = mouseY - (mouseY - panY) * (newZoom / zoom);
+        
+        setZoom(newZoom);
+        setPanX(newPanX);
+        setPanY(newPanY);
+      }
     }
 
-    function handleMouseUp() {
-      if (!isDrawingRef.current) return;
+    /**
+     * Redraw committed strokes plus everything in progress:
+     * other users' shape and text previews and the local stroke being drawn,
+     * composited layer by layer.
+     * Text that is being edited (locally or by someone else) is hidden; its
+     * text box or preview shows it instead. Selected elements follow the
+     * move/scale/rotate in progress, and selection outlines are drawn on top.
+     */
+    function render() {
+      const { zoom, panX, panY } = viewRef.current;
+      const inProgress = Object.values(previewsRef.current);
+      const hiddenIds = new Set(inProgress.map(preview => preview.id).filter(Boolean));
+      if (textEditorRef.current?.id) hiddenIds.add(textEditorRef.current.id);
+      if (currentStrokeRef.current) inProgress.push(currentStrokeRef.current);
+
+      const drag = selectionDragRef.current;
+      const selected = new Set(selectedIdsRef.current);
+      const visible = strokesRef.current
+        .filter(stroke => !hiddenIds.has(stroke.id))
+        .map(stroke => drag?.matrix && selected.has(stroke.id) ? transformElement(stroke, drag.matrix) : stroke);
+      redrawCanvas(ctx, [...visible, ...inProgress], canvas, zoom, panX, panY, layersRef.current);
+
+      for (const [viewportUserId, viewport] of Object.entries(viewportsRef.current)) {
+        const user = usersRef.current.find(record => record.socketId === viewportUserId);
+        if (user) {
+          drawViewport(ctx, getViewportRect(viewport), zoom, panX, panY, { color: user.color, label: user.name });
+        }
+      }
+
+      Object.values(selectionOutlinesRef.current).forEach(outline => {
+        drawSelection(ctx, outline, zoom, panX, panY, { color: REMOTE_SELECTION_COLOR });
+      });
+
+      const box = getSelectionBox();
+      if (box) {
+        drawSelection(ctx, getSelectionOutline(), zoom, panX, panY, {
+          handles: drag ? null : getSelectionHandles(box, zoom)
+        });
+      }
+
+      if (drag?.mode === 'marquee') {
+        const corners = getBoxCorners({
+          minX: Math.min(drag.start.x, drag.current.x),
+          minY: Math.min(drag.start.y, drag.current.y),
+          maxX: Math.max(drag.start.x, drag.current.x),
+          maxY: Math.max(drag.start.y, drag.current.y)
+        });
+        drawSelection(ctx, corners, zoom, panX, panY, { color: MARQUEE_COLOR });
+      }
+
+      if (!minimapTimerRef.current) {
+        minimapTimerRef.current = setTimeout(() => {
+          minimapTimerRef.current = null;
+          minimapRenderRef.current?.();
+        }, MINIMAP_INTERVAL);
+      }
+    }
+    renderRef.current = render;
+
+    /**
+     * Draw the minimap: everything on the visible layers and the part of the
+     * board the canvas shows, fitted together
+     */
+    function renderMinimap() {
+      const minimap = minimapRef.current;
+      if (!minimap) return;
+      const { zoom, panX, panY } = viewRef.current;
+
+      const strokes = compositeLayers(strokesRef.current, layersRef.current);
+      const viewRect = getViewportRect({ zoom, panX, panY, width: canvas.width, height: canvas.height });
+      const area = expandRect(viewRect, getContentBounds(ctx, strokes), FIT_MARGIN);
+      const view = fitViewport(area, minimap.width, minimap.height, 0, Infinity);
+      minimapViewRef.current = view;
+      drawMinimap(minimap.getContext("2d"), strokes, minimap, view, viewRect, null);
+    }
+    minimapRenderRef.current = renderMinimap;
+
+    /**
+     * Check whether a room change is the next one to apply
+     * Changes already included in the last sync-state are skipped, and so are
+     * changes arriving before the room state after (re)connecting, which
+     * includes them; a gap means one was missed, so the full drawing is
+     * requested instead
+     *
+     * @param {number} seq - Sequence number of the change
+     * @returns {boolean} True if the change should be applied
+     */
+    function acceptChange(seq) {
+      if (resumingRef.current || seqRef.current === null || seq <= seqRef.current) return false;
+      if (seq !== seqRef.current + 1) {
+        requestSync();
+        return false;
+      }
+      seqRef.current = seq;
+      return true;
+    }
+
+    let syncRetryTimer = null;
+
+    /**
+     * Ask for the full drawing, after missing a change or to roll back one
+     * the server refused
+     * - Changes are ignored until it arrives, and asking again meanwhile
+     *   does nothing, so a burst of refusals costs one request
+     */
+    function requestSync() {
+      if (seqRef.current === null) return;
+      seqRef.current = null;
+      socket.emit("request-sync");
+    }
+
+    socket.on("stroke", (stroke, seq) => {
+      if (!acceptChange(seq)) {
+        render();
+        return;
+      }
+
+      // Our own stroke coming back replaces the local copy, which got its ID
+      // from the acknowledgement
+      const localCopy = strokesRef.current.findIndex(s => s.id === stroke.id);
+      if (localCopy !== -1) {
+        strokesRef.current[localCopy] = stroke;
+      } else {
+        strokesRef.current.push(stroke);
+      }
+      render();
+    });
+
+    // Other users' brush strokes while they are being drawn
+    socket.on("stroke-begin", ({ userId: drawingUserId, stroke }) => {
+      previewsRef.current[drawingUserId] = stroke;
+      render();
+    });
+
+    socket.on("stroke-append", ({ userId: drawingUserId, points }) => {
+      const stroke = previewsRef.current[drawingUserId];
+      if (!stroke) return;
+      previewsRef.current[drawingUserId] = { ...stroke, points: [...stroke.points, ...points] };
+      render();
+    });
+
+    // The stroke was committed (it arrived as "stroke" just before) or abandoned
+    function dropStrokePreview(drawingUserId) {
+      delete previewsRef.current[drawingUserId];
+      render();
+    }
+    socket.on("stroke-end", dropStrokePreview);
+    socket.on("stroke-abandoned", dropStrokePreview);
+
+    socket.on("strokes-added", (strokes, seq) => {
+      if (!acceptChange(seq)) return;
+      strokesRef.current.push(...strokes);
+      render();
+    });
+
+    socket.on("strokes-removed", ({ strokeIds, seq }) => {
+      if (!acceptChange(seq)) return;
+      strokesRef.current = applyRoomOp(strokesRef.current, { type: 'remove', strokeIds });
+      updateSelection();
+      render();
+    });
+
+    socket.on("strokes-spliced", ({ changes, seq }) => {
+      if (!acceptChange(seq)) return;
+      strokesRef.current = applyRoomOp(strokesRef.current, { type: 'splice', changes });
+      updateSelection(changes);
+      render();
+    });
+
+    socket.on("import-result", (result) => {
+      if (result.error) {
+        alert(`Import failed: ${result.error}`);
+      } else if (result.rejected > 0) {
+        alert(`Imported ${result.imported} strokes (${result.rejected} invalid strokes skipped)`);
+      }
+    });
+
+    /**
+     * Send the changes queued while offline, now that the room state is
+     * up to date again; the new connection starts with full buckets
+     */
+    function flushOfflineQueue() {
+      resumingRef.current = false;
+      setConnectionState('connected');
+
+      clearTimeout(queueTimerRef.current);
+      queueBucketsRef.current = new Map();
+      drainOfflineQueue();
+    }
+
+    /**
+     * Forget our strokes that were sent just before the connection dropped:
+     * their acknowledgements will never come, and the room state we catch
+     * up with already has them if the server got them
+     *
+     * @returns {Array} Strokes drawn offline, still waiting to be sent
+     */
+    function dropUnacknowledgedStrokes() {
+      const queuedStrokes = offlineQueueRef.current.filter(([event]) => event === "stroke").map(([, stroke]) => stroke);
+      const queued = new Set(queuedStrokes);
+      for (const stroke of pendingStrokesRef.current) {
+        if (!queued.has(stroke)) pendingStrokesRef.current.delete(stroke);
+      }
+      return queuedStrokes;
+    }
+
+    socket.on("sync-state", (data) => {
+      // Keep showing strokes drawn offline; they are acknowledged once sent
+      const queuedStrokes = resumingRef.current ? dropUnacknowledgedStrokes() : [];
+      strokesRef.current = [...data.strokes, ...queuedStrokes];
+      seqRef.current = data.seq;
+      epochRef.current = data.epoch;
+      if (data.layers) {
+        layersRef.current = data.layers;
+        setLayers(data.layers);
+      }
+      updateSelection();
+      render();
+      if (data.canUndo !== undefined) {
+        setUndoDisabled(!data.canUndo);
+      }
+      if (data.canRedo !== undefined) {
+        setRedoDisabled(!data.canRedo);
+      }
+
+      if (resumingRef.current) {
+        flushOfflineQueue();
+      }
+    });
+
+    // After a reconnect: only the changes made while we were away
+    socket.on("resume", ({ ops, layers: roomLayers, canUndo, canRedo }) => {
+      dropUnacknowledgedStrokes();
+      strokesRef.current = strokesRef.current.filter(stroke => stroke.id || pendingStrokesRef.current.has(stroke));
+      for (const op of ops) {
+        if (op.seq <= seqRef.current) continue;
+        strokesRef.current = applyRoomOp(strokesRef.current, op);
+        seqRef.current = op.seq;
+      }
+      layersRef.current = roomLayers;
+      setLayers(roomLayers);
+      updateSelection();
+      render();
+      setUndoDisabled(!canUndo);
+      setRedoDisabled(!canRedo);
+      flushOfflineQueue();
+    });
+
+    socket.on("layers-updated", (roomLayers) => {
+      layersRef.current = roomLayers;
+      setLayers(roomLayers);
+      updateSelection();
+      render();
+    });
 
-      socket.emit("stroke", currentStrokeRef.current);
-      strokesRef.current.push(currentStrokeRef.current);
-      
-      currentStrokeRef.current = null;
-      isDrawingRef.current = false;
-      
-      updateUndoRedoButtons();
-    }
+    socket.on("shape-preview", ({ userId: previewUserId, shape }) => {
+      if (shape) {
+        previewsRef.current[previewUserId] = shape;
+      } else {
+        delete previewsRef.current[previewUserId];
+      }
+      render();
+    });
 
-    function handleMouseLeave() {
-      if (isDrawingRef.current) {
-        handleMouseUp();
+    socket.on("text-preview", ({ userId: previewUserId, text }) => {
+      if (text) {
+        previewsRef.current[previewUserId] = text;
+      } else {
+        delete previewsRef.current[previewUserId];
       }
-    }
+      render();
+    });
 
-    function handleWheel(e) {
-      e.preventDefault();
-      const rect = canvas.getBoundingClientRect();
-      const mouseX = e.clientX - rect.left;
-      const mouseY = e.clientY - rect.top;
-      
-      const delta = e.deltaY > 0 ? 0.9 : 1.1;
-      const newZoom = zoom * delta;
-      
-      // Clamp zoom between 0.5x and 5x
-      if (newZoom >= 0.5 && newZoom <= 5) {
-        const newPanX = mouseX - (mouseX - panX) * (newZoom / zoom);
-        const newPanY = mouseY - (mouseY - panY) * (newZoom / zoom);
-        
-        setZoom(newZoom);
-        setPanX(newPanX);
-        setPanY(newPanY);
+    socket.on("selection-preview", ({ userId: selectingUserId, outline }) => {
+      if (outline) {
+        selectionOutlinesRef.current[selectingUserId] = outline;
+      } else {
+        delete selectionOutlinesRef.current[selectingUserId];
       }
-    }
+      render();
+    });
 
-    function updateUndoRedoButtons() {
-      const hasOwnStrokes = strokesRef.current.some(s => s.userId === userId);
-      setUndoDisabled(!hasOwnStrokes);
-    }
+    socket.on("transform-rejected", () => {
+      // The room state that follows shows the other user's change
+      showNotice('Someone else changed these elements first, so your change was not applied.');
+    });
 
-    socket.on("stroke", (stroke) => {
-      strokesRef.current.push(stroke);
-      redrawCanvas(ctx, strokesRef.current, canvas, zoom, panX, panY);
-      updateUndoRedoButtons();
+    // The server refused a payload: drop whatever the change did locally
+    socket.on("invalid-payload", ({ event, error }) => {
+      console.warn(`The server refused ${event}: ${error}`);
+      if (PREVIEW_EVENTS.includes(event)) return;
+      showNotice(`Your change could not be applied: ${error}.`);
+      requestSync();
     });
 
-    socket.on("sync-state", (data) => {
-      const strokes = data.strokes || data;
-      strokesRef.current = strokes;
-      redrawCanvas(ctx, strokesRef.current, canvas, zoom, panX, panY);
-      updateUndoRedoButtons();
-      
-      // Update button states only for current user
-      if (data.userId === socketRef.current.id) {
-        if (data.canUndo !== undefined) {
-          setUndoDisabled(!data.canUndo);
-        }
-        if (data.canRedo !== undefined) {
-          setRedoDisabled(!data.canRedo);
-        }
+    // The server dropped events we sent too quickly; after a warning it slows
+    // us down, and then disconnects us
+    socket.on("rate-limited", ({ event, level, message }) => {
+      console.warn(`Rate limited on ${event}: ${level}`);
+      if (level === 'disconnect') {
+        setAccessDenied('flooding');
+        return;
+      }
+      if (PREVIEW_EVENTS.includes(event)) return;
+      if (event === 'request-sync') {
+        // Still waiting for the drawing; ask again once the bucket refills
+        clearTimeout(syncRetryTimer);
+        syncRetryTimer = setTimeout(() => socket.emit("request-sync"), SYNC_RETRY_DELAY);
+        return;
       }
+      showNotice(message);
+      requestSync();
     });
 
     socket.on("users-updated", (userList) => {
+      usersRef.current = userList;
       setUsers(userList);
+
+      // A new presenter asks everyone to follow them
+      const presenter = userList.find(user => user.presenting);
+      const presenterId = presenter ? presenter.socketId : null;
+      if (presenterId !== presenterRef.current) {
+        if (presenterId && presenterId !== socket.id) {
+          follow(presenterId);
+        } else if (followingRef.current === presenterRef.current) {
+          follow(null);
+        }
+        presenterRef.current = presenterId;
+        setPresenting(presenterId === socket.id);
+      }
+
+      // Stop following users who left
+      if (followingRef.current && !userList.some(user => user.socketId === followingRef.current)) {
+        follow(null);
+      }
+      render();
     });
 
-    socket.on("cursor-move", ({ userId: movingUserId, x, y, label }) => {
-      setGhostCursors(prev => ({
-        ...prev,
-        [movingUserId]: { x, y }
-      }));
-      
-      if (label) {
-        setUserLabels(prev => ({
-          ...prev,
-          [movingUserId]: label
-        }));
+    // Where other users are looking
+    socket.on("viewports", (viewports) => {
+      for (const { userId: viewportUserId, ...viewport } of viewports) {
+        if (viewportUserId === socket.id) continue;
+
+        viewportsRef.current[viewportUserId] = viewport;
+        if (viewportUserId === followingRef.current) {
+          showViewport(viewport);
+        }
+      }
+      render();
+    });
+
+    /**
+     * Move the ghost cursor elements along their glide; keeps animating
+     * until every cursor has reached its latest position
+     */
+    let ghostFrame = null;
+    function animateGhostCursors() {
+      const { zoom, panX, panY } = viewRef.current;
+      ghostFrame = null;
+      const now = performance.now();
+      let gliding = false;
+
+      for (const [cursorUserId, cursor] of Object.entries(ghostCursorsRef.current)) {
+        const element = ghostElementsRef.current[cursorUserId];
+        if (!element) continue;
+        // Cursors are in drawing coordinates; the label sits just below-right
+        const { x, y } = interpolateCursor(cursor, now, CURSOR_INTERVAL);
+        element.style.left = `${x * zoom + panX + 15}px`;
+        element.style.top = `${y * zoom + panY + 15}px`;
+        if (now - cursor.start < CURSOR_INTERVAL) gliding = true;
+      }
+
+      if (gliding) {
+        ghostFrame = requestAnimationFrame(animateGhostCursors);
+      }
+    }
+    moveGhostCursorsRef.current = () => {
+      if (!ghostFrame) ghostFrame = requestAnimationFrame(animateGhostCursors);
+    };
+
+    // A cursor frame: the latest position of every cursor that moved
+    socket.on("cursors", (cursors) => {
+      const now = performance.now();
+      const newIds = [];
+
+      for (const { userId: movingUserId, x, y } of cursors) {
+        if (movingUserId === socket.id) continue;
+
+        const cursor = ghostCursorsRef.current[movingUserId];
+        const from = cursor ? interpolateCursor(cursor, now, CURSOR_INTERVAL) : { x, y };
+        ghostCursorsRef.current[movingUserId] = { from, to: { x, y }, start: now };
+        if (!cursor) newIds.push(movingUserId);
+      }
+
+      // Only re-render when a cursor appears
+      if (newIds.length > 0) {
+        setGhostCursorIds(prev => [...prev, ...newIds.filter(id => !prev.includes(id))]);
+      }
+      if (!ghostFrame) {
+        ghostFrame = requestAnimationFrame(animateGhostCursors);
       }
     });
 
     socket.on("user-disconnected", (disconnectedUserId) => {
-      setGhostCursors(prev => {
-        const newCursors = { ...prev };
-        delete newCursors[disconnectedUserId];
-        return newCursors;
-      });
-      
-      setUserLabels(prev => {
-        const newLabels = { ...prev };
-        delete newLabels[disconnectedUserId];
-        return newLabels;
-      });
+      delete previewsRef.current[disconnectedUserId];
+      delete selectionOutlinesRef.current[disconnectedUserId];
+      render();
+
+      delete ghostCursorsRef.current[disconnectedUserId];
+      delete viewportsRef.current[disconnectedUserId];
+
+      setGhostCursorIds(prev => prev.filter(id => id !== disconnectedUserId));
+    });
+
+    socket.on("undo-state", (canUndo) => {
+      setUndoDisabled(!canUndo);
     });
 
     socket.on("redo-state", (canRedo) => {
       setRedoDisabled(!canRedo);
     });
 
+    // The selection only lives while the select tool is active
+    if (tool !== 'select' && selectedIdsRef.current.length > 0) {
+      setSelection([]);
+    }
+
+    // Resizing the canvas above cleared it
+    render();
+    ghostFrame = requestAnimationFrame(animateGhostCursors);
+
+    canvas.addEventListener("pointerdown", handlePointerDown);
+    canvas.addEventListener("pointermove", handlePointerMove);
+    canvas.addEventListener("pointerup", handlePointerUp);
+    canvas.addEventListener("pointercancel", handlePointerUp);
     canvas.addEventListener("mousedown", handleMouseDown);
-    canvas.addEventListener("mousemove", handleMouseMove);
-    canvas.addEventListener("mouseleave", handleMouseLeave);
     canvas.addEventListener("wheel", handleWheel, { passive: false });
-    window.addEventListener("mouseup", handleMouseUp);
 
     return () => {
+      canvas.removeEventListener("pointerdown", handlePointerDown);
+      canvas.removeEventListener("pointermove", handlePointerMove);
+      canvas.removeEventListener("pointerup", handlePointerUp);
+      canvas.removeEventListener("pointercancel", handlePointerUp);
       canvas.removeEventListener("mousedown", handleMouseDown);
-      canvas.removeEventListener("mousemove", handleMouseMove);
-      canvas.removeEventListener("mouseleave", handleMouseLeave);
       canvas.removeEventListener("wheel", handleWheel);
-      window.removeEventListener("mouseup", handleMouseUp);
+      clearTimeout(syncRetryTimer);
 
       socket.off("stroke");
+      socket.off("stroke-begin");
+      socket.off("stroke-append");
+      socket.off("stroke-end");
+      socket.off("stroke-abandoned");
+      socket.off("strokes-added");
+      socket.off("strokes-removed");
+      socket.off("strokes-spliced");
+      socket.off("shape-preview");
+      socket.off("text-preview");
+      socket.off("selection-preview");
+      socket.off("transform-rejected");
+      socket.off("invalid-payload");
+      socket.off("rate-limited");
+      socket.off("import-result");
       socket.off("sync-state");
-      socket.off("cursor-move");
+      socket.off("resume");
+      socket.off("layers-updated");
+      socket.off("cursors");
       socket.off("user-disconnected");
+      socket.off("viewports");
+      // Send what is still waiting, so previews that were cleared don't linger
+      for (const [event, entry] of throttled) {
+        if (!entry.timer) continue;
+        clearTimeout(entry.timer);
+        socket.emit(event, entry.payload);
+      }
+      cancelAnimationFrame(ghostFrame);
+      resizeObserver.disconnect();
+      socket.off("undo-state");
       socket.off("redo-state");
     };
-  }, [currentColor, currentSize, roomId, userId, zoom, panX, panY, joined]);
+  }, [currentColor, currentSize, tool, fillColor, fillEnabled, textFont, textSize, activeLayerId, roomId, userId,
+      joined, viewOnly, showMinimap, updateTextEditor, commitTextEditor, sendChange, acknowledgeStroke, follow, showViewport,
+      drainOfflineQueue, showNotice]);
+
+  /**
+   * Import a JSON or SVG drawing file into the active layer of the room
+   * The server validates the strokes and adds them as one undoable group
+   */
+  async function importFile(file) {
+    if (!file) return;
+    if (layers.find(layer => layer.id === activeLayerId)?.locked) {
+      alert('The active layer is locked. Unlock it or pick another layer to import into.');
+      return;
+    }
+    try {
+      const strokes = await parseDrawingFile(file);
+      if (strokes.length === 0) {
+        alert('No drawable paths found in this file.');
+        return;
+      }
+      sendChange("import-strokes", {
+        strokes: strokes.map(stroke => ({ ...stroke, layerId: activeLayerId }))
+      });
+    } catch (error) {
+      console.error("Import failed:", error);
+      alert(`Import failed: ${error.message}`);
+    }
+  }
+
+  function handleImportSelect(e) {
+    importFile(e.target.files[0]);
+    e.target.value = '';
+  }
+
+  function handleDragOver(e) {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setDragOver(!viewOnly);
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    if (viewOnly) return;
+    importFile(e.dataTransfer.files[0]);
+  }
 
   function handleUndo() {
     console.log("Undo clicked by user:", userId);
-    socketRef.current?.emit("undo");
+    sendChange("undo");
   }
 
   function handleRedo() {
     console.log("Redo clicked by user:", userId);
-    socketRef.current?.emit("redo");
+    sendChange("redo");
+  }
+
+  /**
+   * Layer panel actions; the server broadcasts the new layer list to everyone
+   */
+  function handleAddLayer() {
+    sendChange("layer-create", {});
+  }
+
+  function handleRenameLayer(layer) {
+    const name = window.prompt('Layer name:', layer.name);
+    if (name && name.trim()) {
+      sendChange("layer-update", { id: layer.id, name });
+    }
+  }
+
+  function handleUpdateLayer(e, id, changes) {
+    e.stopPropagation();
+    sendChange("layer-update", { id, ...changes });
+  }
+
+  function handleMoveLayer(e, id, index) {
+    e.stopPropagation();
+    sendChange("layer-move", { id, index });
+  }
+
+  /**
+   * Move the selected elements to the active layer
+   */
+  function handleMoveSelectionToLayer() {
+    if (selectedIdsRef.current.length === 0) return;
+    sendChange("move-to-layer", { strokeIds: selectedIdsRef.current, layerId: activeLayerId });
   }
 
   function handleClear() {
     if (window.confirm('Are you sure you want to clear YOUR drawings from this canvas?')) {
-      socketRef.current?.emit("clear-canvas", { userId });
+      sendChange("clear-canvas");
+    }
+  }
+
+  // Replay timeline: offsets are measured from the first recorded entry
+  const replayStart = replayEntries.length > 0 ? replayEntries[0].timestamp : 0;
+  const replayDuration = replayEntries.length > 0
+    ? replayEntries[replayEntries.length - 1].timestamp - replayStart
+    : 0;
+
+  /**
+   * Enter replay mode: fetch the room's recorded ops and start at the beginning
+   */
+  async function handleOpenReplay() {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/replay`, {
+        headers: { 'X-Client-Key': getClientKey() }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const replay = await response.json();
+      replayCacheRef.current = { index: 0, strokes: [] };
+      setReplayEntries(replay.entries || []);
+      setReplayTime(0);
+      setReplayPlaying(false);
+      setReplayOpen(true);
+    } catch (error) {
+      console.error("Failed to load replay:", error);
+      alert('Could not load the session replay.');
+    }
+  }
+
+  /**
+   * Download the drawing; the request carries our client key, as exports
+   * need access to the room
+   */
+  async function handleExport(format) {
+    try {
+      const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/export?format=${format}`, {
+        headers: { 'X-Client-Key': getClientKey() }
+      });
+      if (!response.ok) {
+        const { error } = await response.json();
+        throw new Error(error);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${roomId}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Failed to export:", error);
+      alert(`Could not export the drawing: ${error.message}.`);
+    }
+  }
+
+  function handleCloseReplay() {
+    setReplayPlaying(false);
+    setReplayOpen(false);
+    setReplayEntries([]);
+  }
+
+  function handleToggleReplayPlaying() {
+    // Restart from the beginning when play is pressed at the end
+    if (!replayPlaying && replayTime >= replayDuration) {
+      setReplayTime(0);
     }
+    setReplayPlaying(!replayPlaying);
   }
 
+  /**
+   * Advance the replay clock while playing
+   */
+  useEffect(() => {
+    if (!replayOpen || !replayPlaying) return;
+
+    let frameId;
+    let lastFrame = performance.now();
+
+    const tick = (now) => {
+      const elapsed = (now - lastFrame) * replaySpeed;
+      lastFrame = now;
+
+      setReplayTime(prev => {
+        const next = Math.min(prev + elapsed, replayDuration);
+        if (next >= replayDuration) setReplayPlaying(false);
+        return next;
+      });
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [replayOpen, replayPlaying, replaySpeed, replayDuration]);
+
+  /**
+   * Render the replayed drawing at the current timeline position
+   * Ops are applied incrementally while moving forward and from scratch when
+   * scrubbing backwards
+   */
+  useEffect(() => {
+    if (!replayOpen || !replayCanvasRef.current || !canvasRef.current) return;
+
+    const replayCanvas = replayCanvasRef.current;
+    replayCanvas.width = canvasRef.current.width;
+    replayCanvas.height = canvasRef.current.height;
+
+    const cutoff = replayStart + replayTime;
+    let cache = replayCacheRef.current;
+    if (cache.index > 0 && replayEntries[cache.index - 1].timestamp > cutoff) {
+      cache = { index: 0, strokes: [] };
+    }
+
+    let { index, strokes } = cache;
+    while (index < replayEntries.length && replayEntries[index].timestamp <= cutoff) {
+      strokes = applyRoomOp(strokes, replayEntries[index].op);
+      index++;
+    }
+    replayCacheRef.current = { index, strokes };
+
+    redrawCanvas(replayCanvas.getContext("2d"), strokes, replayCanvas, zoom, panX, panY, layers);
+  }, [replayOpen, replayEntries, replayStart, replayTime, zoom, panX, panY, layers]);
+
+  /**
+   * Tell the room what part of the drawing we see, once zooming or panning
+   * pauses (and again after reconnecting, as the server forgets it)
+   */
+  useEffect(() => {
+    if (connectionState !== 'connected' || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const timer = setTimeout(() => {
+      socketRef.current?.emit("viewport", { zoom, panX, panY, width: canvas.width, height: canvas.height });
+    }, VIEWPORT_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [connectionState, zoom, panX, panY]);
+
+  /**
+   * Holding space turns dragging on the canvas into panning, unless the
+   * user is typing
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      spaceHeldRef.current = true;
+      setSpacePanning(true);
+    };
+    const handleKeyUp = (e) => {
+      if (e.code !== 'Space') return;
+      spaceHeldRef.current = false;
+      setSpacePanning(false);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+    };
+  }, []);
+
   const copyToClipboard = () => {
     const text = `Join me in Collaboration Canvas! Room Code: ${roomId}`;
     navigator.clipboard.writeText(text);
     alert('Copied to clipboard!');
   };
 
-  const getShareLink = () => {
-    return `${window.location.origin}?room=${roomId}`;
+  const getShareLink = (invite) => {
+    const params = new URLSearchParams({ room: roomId, ...(invite && { invite }) });
+    return `${window.location.origin}?${params}`;
   };
 
+  // Drawing tools do nothing while the active layer is hidden or locked
+  const activeLayer = layers.find(layer => layer.id === activeLayerId);
+  const drawingBlocked = DRAWING_TOOLS.includes(tool) && (!activeLayer || !activeLayer.visible || activeLayer.locked);
+
+  // Ghost cursors are drawn with their user's name and colour
+  const usersBySocket = Object.fromEntries(users.map(user => [user.socketId, user]));
+
   return (
     <>
     <div className="canvas-container">
@@ -344,47 +2267,123 @@ function Canvas() {
       <div className="left-panel">
         <div className="control-card">
           <h3 className="card-title">🎨 Canvas Controls</h3>
+
+          <div className="control-group">
+            <label className="label-text">Tool</label>
+            <div className="tool-buttons">
+              {TOOLS.map(({ id, label, title }) => (
+                <button
+                  key={id}
+                  onClick={() => {
+                    commitTextEditor();
+                    setTool(id);
+                  }}
+                  className={`btn btn-tool${tool === id ? ' active' : ''}`}
+                  title={title}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {FILLABLE_TOOLS.includes(tool) && (
+            <div className="control-group">
+              <label className="label-text">
+                <input
+                  type="checkbox"
+                  checked={fillEnabled}
+                  onChange={(e) => setFillEnabled(e.target.checked)}
+                  className="fill-toggle"
+                />
+                Fill Color
+              </label>
+              <div className="color-picker-wrapper">
+                <input
+                  type="color"
+                  value={fillColor}
+                  onChange={(e) => setFillColor(e.target.value)}
+                  disabled={!fillEnabled}
+                  className="color-picker"
+                />
+                <span className="color-code">{fillEnabled ? fillColor : 'none'}</span>
+              </div>
+            </div>
+          )}
           
           <div className="control-group">
-            <label className="label-text">Brush Color</label>
+            <label className="label-text">{SHAPE_TOOLS.includes(tool) ? 'Stroke' : tool === 'text' ? 'Text' : 'Brush'} Color</label>
             <div className="color-picker-wrapper">
               <input
                 type="color"
                 value={currentColor}
-                onChange={(e) => setCurrentColor(e.target.value)}
+                onChange={(e) => {
+                  setCurrentColor(e.target.value);
+                  changeTextStyle({ color: e.target.value });
+                }}
                 className="color-picker"
               />
               <span className="color-code">{currentColor}</span>
             </div>
           </div>
 
-          <div className="control-group">
-            <label className="label-text">Brush Size: <strong>{currentSize}px</strong></label>
-            <input
-              type="range"
-              min="1"
-              max="30"
-              value={currentSize}
-              onChange={(e) => setCurrentSize(parseInt(e.target.value))}
-              className="slider"
-            />
-            <div className="size-preview">
-              <div 
-                style={{
-                  width: currentSize,
-                  height: currentSize,
-                  borderRadius: '50%',
-                  backgroundColor: currentColor,
-                  margin: '0 auto'
+          {tool === 'text' ? (
+            <div className="control-group">
+              <label className="label-text">Font</label>
+              <select
+                value={textFont}
+                onChange={(e) => {
+                  setTextFont(e.target.value);
+                  changeTextStyle({ fontFamily: e.target.value });
+                }}
+                className="text-font"
+              >
+                {TEXT_FONTS.map(({ id, label }) => (
+                  <option key={id} value={id} style={{ fontFamily: id }}>{label}</option>
+                ))}
+              </select>
+              <label className="label-text">Font Size: <strong>{textSize}px</strong></label>
+              <input
+                type="range"
+                min="8"
+                max="96"
+                value={textSize}
+                onChange={(e) => {
+                  setTextSize(parseInt(e.target.value));
+                  changeTextStyle({ fontSize: parseInt(e.target.value) });
                 }}
-              ></div>
+                className="slider"
+              />
             </div>
-          </div>
+          ) : (
+            <div className="control-group">
+              <label className="label-text">{tool === 'eraser' ? 'Eraser Size' : SHAPE_TOOLS.includes(tool) ? 'Line Width' : 'Brush Size'}: <strong>{currentSize}px</strong></label>
+              <input
+                type="range"
+                min="1"
+                max="30"
+                value={currentSize}
+                onChange={(e) => setCurrentSize(parseInt(e.target.value))}
+                className="slider"
+              />
+              <div className="size-preview">
+                <div 
+                  style={{
+                    width: currentSize,
+                    height: currentSize,
+                    borderRadius: '50%',
+                    backgroundColor: currentColor,
+                    margin: '0 auto'
+                  }}
+                ></div>
+              </div>
+            </div>
+          )}
 
           <div className="button-group">
             <button 
               onClick={handleUndo} 
-              disabled={undoDisabled}
+              disabled={undoDisabled || viewOnly}
               className="btn btn-undo"
               title="Undo last stroke"
             >
@@ -392,7 +2391,7 @@ function Canvas() {
             </button>
             <button 
               onClick={handleRedo} 
-              disabled={redoDisabled}
+              disabled={redoDisabled || viewOnly}
               className="btn btn-redo"
               title="Redo last action"
             >
@@ -404,70 +2403,264 @@ function Canvas() {
             <label className="label-text">🔍 Zoom: {(zoom * 100).toFixed(0)}%</label>
             <div className="zoom-buttons">
               <button 
-                onClick={() => setZoom(Math.max(0.5, zoom - 0.2))}
+                onClick={() => changeZoom(zoom - 0.2)}
                 className="btn btn-zoom"
                 title="Zoom out"
               >
                 −
               </button>
               <button 
-                onClick={() => setZoom(1)}
+                onClick={() => changeZoom(1)}
                 className="btn btn-zoom"
                 title="Reset zoom"
               >
                 1x
               </button>
               <button 
-                onClick={() => setZoom(Math.min(5, zoom + 0.2))}
+                onClick={() => changeZoom(zoom + 0.2)}
                 className="btn btn-zoom"
                 title="Zoom in"
               >
                 +
               </button>
+              <button
+                onClick={zoomToFit}
+                className="btn btn-zoom"
+                title="Zoom to fit the whole drawing"
+              >
+                ⤢
+              </button>
             </div>
             <input 
               type="range" 
-              min="50" 
+              min="10" 
               max="500" 
               value={zoom * 100} 
-              onChange={(e) => setZoom(parseInt(e.target.value) / 100)}
+              onChange={(e) => changeZoom(parseInt(e.target.value) / 100)}
               className="slider"
               title="Adjust zoom level"
             />
+            <label className="label-text" title="Space- or middle-drag to pan, pinch with two fingers on touch screens">
+              <input
+                type="checkbox"
+                checked={showMinimap}
+                onChange={(e) => setShowMinimap(e.target.checked)}
+                className="fill-toggle"
+              />
+              🗺 Minimap
+            </label>
           </div>
 
-          <button onClick={handleClear} className="btn btn-clear">
+          <button onClick={handleClear} className="btn btn-clear" disabled={viewOnly}>
             🗑 Clear Canvas
           </button>
 
+          <div className="export-buttons">
+            {['png', 'svg', 'json'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                className="btn btn-export"
+                title={`Export the drawing as ${format.toUpperCase()}`}
+              >
+                ⬇ {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="btn btn-import"
+            disabled={viewOnly}
+            title="Import a JSON or SVG drawing (or drop a file on the canvas)"
+          >
+            📥 Import Drawing
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,.svg,application/json,image/svg+xml"
+            onChange={handleImportSelect}
+            hidden
+          />
+
+          <button
+            onClick={replayOpen ? handleCloseReplay : handleOpenReplay}
+            className="btn btn-replay"
+            title="Replay how this drawing was built"
+          >
+            {replayOpen ? '✕ Exit Replay' : '⏯ Session Replay'}
+          </button>
+
           <div className="room-badge">
             <span className="badge-label">Room:</span>
             <span className="badge-value">{roomId}</span>
           </div>
+
+          {role && (
+            <div className="room-badge">
+              <span className="badge-label">Role:</span>
+              <span className="badge-value">{ROLE_LABELS[role]}</span>
+            </div>
+          )}
+
+          <div className={`connection-badge ${connectionState}`} title="Connection to the room">
+            <span className="connection-dot" />
+            {CONNECTION_LABELS[connectionState]}
+            {queuedChanges > 0 && ` · ${queuedChanges} change${queuedChanges === 1 ? '' : 's'} waiting`}
+          </div>
         </div>
       </div>
 
       {/* Center - Canvas */}
       <div className="center-panel">
-        <div className="canvas-wrapper">
+        <div
+          className={`canvas-wrapper${dragOver ? ' drag-over' : ''}`}
+          onDragOver={handleDragOver}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={handleDrop}
+        >
           <canvas
             ref={canvasRef}
-            className="drawing-canvas"
+            className={`drawing-canvas${['select', 'eraser', 'text'].includes(tool) ? ` ${tool}` : ''}${drawingBlocked || viewOnly ? ' blocked' : ''}${spacePanning ? ' panning' : ''}`}
           />
+
+          {/* The whole board and the part of it the canvas shows */}
+          {showMinimap && (
+            <canvas
+              ref={minimapRef}
+              className="minimap"
+              width={MINIMAP_WIDTH}
+              height={MINIMAP_HEIGHT}
+              onPointerDown={handleMinimapPointer}
+              onPointerMove={handleMinimapPointer}
+              title="Click or drag to move around the board"
+            />
+          )}
+
+          {/* Text box for typing new text or editing placed text */}
+          {textEditor && (
+            <textarea
+              className="text-editor"
+              autoFocus
+              value={textEditor.text}
+              maxLength={MAX_TEXT_LENGTH}
+              rows={textEditor.text.split('\n').length}
+              onChange={handleTextChange}
+              onKeyDown={handleTextKeyDown}
+              placeholder="Type here…"
+              title="Ctrl+Enter or click outside to finish, Esc to cancel"
+              style={{
+                left: `${textEditor.x * zoom + panX}px`,
+                top: `${textEditor.y * zoom + panY}px`,
+                width: `${Math.max(6, ...textEditor.text.split('\n').map(line => line.length + 1))}ch`,
+                fontFamily: textEditor.fontFamily,
+                fontSize: `${textEditor.fontSize * zoom}px`,
+                lineHeight: TEXT_LINE_HEIGHT,
+                color: textEditor.color,
+                transform: textEditor.rotation ? `rotate(${textEditor.rotation}rad)` : undefined,
+                transformOrigin: '0 0'
+              }}
+            />
+          )}
+
+          {/* Password prompt - shown while a protected room refuses to let us in,
+              or a notice once the owner has removed us */}
+          {accessDenied && REMOVED_REASONS.includes(accessDenied) && (
+            <div className="access-prompt">
+              <div className="access-card">
+                <h3 className="card-title">🚫 Removed From Room</h3>
+                <p className="access-message">{ACCESS_MESSAGES[accessDenied]}</p>
+                <button onClick={handleLeaveRoom} className="btn btn-leave">
+                  🚪 Leave Room
+                </button>
+              </div>
+            </div>
+          )}
+          {accessDenied && !REMOVED_REASONS.includes(accessDenied) && (
+            <div className="access-prompt">
+              <div className="access-card">
+                <h3 className="card-title">🔒 Protected Room</h3>
+                <p className="access-message">{ACCESS_MESSAGES[accessDenied]}</p>
+                <div className="input-group">
+                  <label>Room Password</label>
+                  <input
+                    type="password"
+                    value={passwordInput}
+                    onChange={(e) => setPasswordInput(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && handleSubmitPassword()}
+                    autoFocus
+                  />
+                </div>
+                <button
+                  onClick={handleSubmitPassword}
+                  className="btn btn-join-room"
+                  disabled={!passwordInput}
+                >
+                  🔓 Join Room
+                </button>
+                <button onClick={handleLeaveRoom} className="btn btn-leave">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Replay overlay - covers the live canvas and blocks drawing input */}
+          {replayOpen && (
+            <>
+              <canvas ref={replayCanvasRef} className="replay-canvas" />
+              <div className="replay-bar">
+                <button
+                  onClick={handleToggleReplayPlaying}
+                  className="btn btn-replay-control"
+                  disabled={replayEntries.length === 0}
+                  title={replayPlaying ? 'Pause' : 'Play'}
+                >
+                  {replayPlaying ? '⏸' : '▶'}
+                </button>
+                <input
+                  type="range"
+                  min="0"
+                  max={replayDuration}
+                  value={replayTime}
+                  onChange={(e) => setReplayTime(Number(e.target.value))}
+                  disabled={replayEntries.length === 0}
+                  className="slider replay-scrubber"
+                  title="Scrub through the session"
+                />
+                <span className="replay-time">
+                  {replayEntries.length === 0
+                    ? 'Nothing recorded yet'
+                    : `${formatReplayTime(replayTime)} / ${formatReplayTime(replayDuration)}`}
+                </span>
+                <select
+                  value={replaySpeed}
+                  onChange={(e) => setReplaySpeed(Number(e.target.value))}
+                  className="replay-speed"
+                  title="Playback speed"
+                >
+                  {REPLAY_SPEEDS.map(speed => (
+                    <option key={speed} value={speed}>{speed}x</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
           
           {/* Fixed guest name labels at top-right */}
-          {Object.entries(userLabels)
-            .filter(([uid]) => uid !== userId)
-            .map(([cursorUserId, label], index) => (
+          {users
+            .filter(user => user.id !== ownId)
+            .map((user, index) => (
               <div
-                key={`label-${cursorUserId}`}
+                key={`label-${user.socketId}`}
                 className="guest-label-fixed"
                 style={{
                   position: 'absolute',
                   top: `${20 + index * 30}px`,
                   right: '15px',
                   pointerEvents: 'none',
-                  backgroundColor: getColorForUser(label),
+                  backgroundColor: user.color,
                   color: 'white',
                   padding: '8px 14px',
                   borderRadius: '6px',
@@ -478,21 +2671,47 @@ function Canvas() {
                   boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)'
                 }}
               >
-                ● {label}
+                ● {user.name}
               </div>
             ))}
           
-          {/* Moving ghost cursors */}
-          {Object.entries(ghostCursors).map(([cursorUserId, pos]) => (
+          {/* Whose view we follow; interacting with the canvas stops it */}
+          {followingId && usersBySocket[followingId] && (
+            <div className="follow-banner" style={{ borderColor: usersBySocket[followingId].color }}>
+              👁 Following {usersBySocket[followingId].name}
+              <button onClick={() => follow(null)} className="btn-moderate">Stop</button>
+            </div>
+          )}
+
+          {/* Changes of ours the server refused */}
+          {notice && (
+            <div className="change-notice" role="status">
+              ⚠️ {notice.count > 1 && `${notice.count} changes were not applied. Latest: `}{notice.message}
+              <button onClick={() => setNotice(null)} className="btn-moderate">Dismiss</button>
+            </div>
+          )}
+
+          {/* Moving ghost cursors, positioned by animateGhostCursors */}
+          {ghostCursorIds.filter(cursorUserId => usersBySocket[cursorUserId]).map((cursorUserId) => (
             <div
               key={cursorUserId}
-              className="ghost-cursor"
+              ref={(element) => {
+                const cursor = ghostCursorsRef.current[cursorUserId];
+                if (element) {
+                  ghostElementsRef.current[cursorUserId] = element;
+                  if (cursor) {
+                    element.style.left = `${cursor.to.x * zoom + panX + 15}px`;
+                    element.style.top = `${cursor.to.y * zoom + panY + 15}px`;
+                  }
+                } else {
+                  delete ghostElementsRef.current[cursorUserId];
+                }
+              }}
+              className={`ghost-cursor ${usersBySocket[cursorUserId].status}`}
               style={{
                 position: 'absolute',
-                left: `${pos.x + 15}px`,
-                top: `${pos.y + 15}px`,
                 pointerEvents: 'none',
-                backgroundColor: getColorForUser(userLabels[cursorUserId]),
+                backgroundColor: usersBySocket[cursorUserId].color,
                 color: 'white',
                 padding: '4px 6px',
                 borderRadius: '4px',
@@ -500,12 +2719,10 @@ function Canvas() {
                 fontWeight: 'bold',
                 whiteSpace: 'nowrap',
                 zIndex: 999,
-                boxShadow: '0 2px 6px rgba(0, 0, 0, 0.15)',
-                transition: 'left 0.05s ease-out, top 0.05s ease-out',
-                opacity: 0.8
+                boxShadow: '0 2px 6px rgba(0, 0, 0, 0.15)'
               }}
             >
-              {userLabels[cursorUserId] || 'User'}
+              {usersBySocket[cursorUserId].name}
             </div>
           ))}
         </div>
@@ -519,20 +2736,85 @@ function Canvas() {
             {users.length === 0 ? (
               <p className="no-users">Waiting for users...</p>
             ) : (
-              users.map((user, idx) => (
-                <div key={idx} className="user-item">
+              users.map((user) => (
+                <div key={user.socketId} className={`user-item ${user.status}`}>
                   <div
                     className="user-color-dot"
-                    style={{ backgroundColor: getColorForUser(user) }}
-                    title={user}
+                    style={{ backgroundColor: user.color }}
+                    title={user.name}
                   ></div>
-                  <span className="user-name">{user}</span>
-                  {user === userId && <span className="badge-current">You</span>}
+                  <span className="user-name">
+                    {user.presenting && <span title="Presenting">📢 </span>}
+                    {user.name}
+                  </span>
+                  <span className={`user-status ${user.status}`}>{STATUS_LABELS[user.status]}</span>
+                  {user.id === ownId && <span className="badge-current">You</span>}
+                  {user.id !== ownId && (
+                    <button
+                      onClick={() => follow(followingId === user.socketId ? null : user.socketId)}
+                      className={`btn-follow ${followingId === user.socketId ? 'active' : ''}`}
+                      title={followingId === user.socketId ? 'Stop following' : 'Follow their view of the drawing'}
+                    >
+                      👁
+                    </button>
+                  )}
+                  {role === 'owner' && user.id !== ownId && (
+                    <div className="moderation-actions">
+                      <button
+                        onClick={() => moderate("kick-user", { userId: user.id }, `Remove ${user.name} from the room?`)}
+                        className="btn-moderate"
+                        title="Remove from the room (they can join again)"
+                      >
+                        Kick
+                      </button>
+                      <button
+                        onClick={() => handleBan(user)}
+                        className="btn-moderate btn-moderate-danger"
+                        title="Remove from the room, keep them out and revoke invite links"
+                      >
+                        Ban
+                      </button>
+                      <button
+                        onClick={() => moderate("clear-user-strokes", { userId: user.id }, `Remove everything ${user.name} has drawn? This can't be undone.`)}
+                        className="btn-moderate"
+                        title="Remove everything they have drawn"
+                      >
+                        🧹
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))
             )}
           </div>
-          
+
+          <button
+            onClick={() => socketRef.current?.emit("present", { presenting: !presenting })}
+            className={`btn btn-present ${presenting ? 'active' : ''}`}
+            title={presenting ? 'Stop asking everyone to follow you' : 'Ask everyone to follow your view of the drawing'}
+          >
+            {presenting ? '⏹ Stop Presenting' : '📢 Present'}
+          </button>
+
+          {role === 'owner' && (
+            <div className="moderation-panel">
+              <button
+                onClick={() => moderate("set-frozen", { frozen: !frozen }, null, () => setFrozen(!frozen))}
+                className={`btn btn-freeze ${frozen ? 'active' : ''}`}
+                title={frozen ? 'Let everyone draw again' : 'Only you can draw while the board is frozen'}
+              >
+                {frozen ? '🔓 Unfreeze Board' : '🔒 Freeze Board'}
+              </button>
+              <button
+                onClick={() => moderate("clear-all", {}, "Clear the whole board for everyone? This can't be undone.")}
+                className="btn btn-clear-all"
+                title="Remove every element on every layer"
+              >
+                🗑️ Clear Everything
+              </button>
+            </div>
+          )}
+
           
           <button 
             onClick={handleLeaveRoom} 
@@ -543,6 +2825,92 @@ function Canvas() {
           </button>
         </div>
 
+        {/* Layers Card - listed top layer first */}
+        <div className="share-card">
+          <h3 className="card-title">📚 Layers ({layers.length})</h3>
+          <div className="layers-list">
+            {layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => (
+              <div
+                key={layer.id}
+                className={`layer-item${layer.id === activeLayerId ? ' active' : ''}${layer.visible ? '' : ' hidden'}`}
+                onClick={() => setActiveLayerId(layer.id)}
+                title="Click to draw on this layer"
+              >
+                <span
+                  className="layer-name"
+                  onDoubleClick={() => !viewOnly && handleRenameLayer(layer)}
+                  title="Double-click to rename"
+                >
+                  {layer.name}
+                </span>
+                <button
+                  className="layer-btn"
+                  onClick={(e) => handleUpdateLayer(e, layer.id, { visible: !layer.visible })}
+                  disabled={viewOnly}
+                  title={layer.visible ? 'Hide layer' : 'Show layer'}
+                >
+                  {layer.visible ? '👁' : '◌'}
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={(e) => handleUpdateLayer(e, layer.id, { locked: !layer.locked })}
+                  disabled={viewOnly}
+                  title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                >
+                  {layer.locked ? '🔒' : '🔓'}
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={(e) => handleMoveLayer(e, layer.id, index + 1)}
+                  disabled={viewOnly || index === layers.length - 1}
+                  title="Move layer up"
+                >
+                  ▲
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={(e) => handleMoveLayer(e, layer.id, index - 1)}
+                  disabled={viewOnly || index === 0}
+                  title="Move layer down"
+                >
+                  ▼
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {viewOnly ? (
+            <p className="layer-hint">
+              {role === 'viewer'
+                ? 'You are a viewer in this room, so you can watch but not draw.'
+                : 'The room owner has frozen the board, so you can watch but not draw.'}
+            </p>
+          ) : drawingBlocked && (
+            <p className="layer-hint">
+              The active layer is {activeLayer?.locked ? 'locked' : 'hidden'}. Pick another layer to draw.
+            </p>
+          )}
+
+          {tool === 'select' && (
+            <button
+              onClick={handleMoveSelectionToLayer}
+              className="btn btn-layer"
+              disabled={viewOnly}
+              title="Move the selected elements to the active layer"
+            >
+              ⇅ Move Selection Here
+            </button>
+          )}
+          <button
+            onClick={handleAddLayer}
+            className="btn btn-layer"
+            disabled={viewOnly || layers.length >= MAX_LAYERS}
+            title="Add a layer on top"
+          >
+            ➕ Add Layer
+          </button>
+        </div>
+
         {/* Share Room Card */}
         <div className="share-card">
           <h3 className="card-title">🔗 Share Room</h3>
@@ -555,7 +2923,44 @@ function Canvas() {
             </button>
           </div>
 
-          <p className="share-text">Share this code with your friends</p>
+          <p className="share-text">
+            {passwordProtected ? 'Share this code and the room password with your friends' : 'Share this code with your friends'}
+          </p>
+
+          {role === 'owner' && passwordProtected && (
+            <div className="invite-panel">
+              <label className="label-text">Invite link</label>
+              <div className="invite-controls">
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="invite-role"
+                  title="What people who open the link can do"
+                >
+                  <option value="editor">Can draw</option>
+                  <option value="viewer">View only</option>
+                </select>
+                <button onClick={handleCreateInvite} className="btn btn-invite" title="Create a link that lets people in without the password">
+                  🔗 Create Link
+                </button>
+              </div>
+              {inviteLink && (
+                <div className="room-code-display">
+                  <input className="invite-link" value={inviteLink} readOnly onFocus={(e) => e.target.select()} />
+                  <button
+                    className="copy-btn"
+                    onClick={() => {
+                      navigator.clipboard.writeText(inviteLink);
+                      alert('Copied to clipboard!');
+                    }}
+                    title="Copy invite link"
+                  >
+                    📋
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
           
           <div className="share-badges">
             <span className="share-icon">📱</span>
@@ -576,6 +2981,17 @@ function Canvas() {
                 placeholder="Enter your name"
                 value={userInput}
                 onChange={(e) => setUserInput(e.target.value)}
+                maxLength={MAX_USERNAME_LENGTH}
+                onKeyPress={(e) => e.key === 'Enter' && handleCreateRoom()}
+              />
+            </div>
+            <div className="input-group">
+              <label>Room Password (optional)</label>
+              <input
+                type="password"
+                placeholder="Leave empty for an open room"
+                value={createPassword}
+                onChange={(e) => setCreatePassword(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && handleCreateRoom()}
               />
             </div>
@@ -607,6 +3023,7 @@ function Canvas() {
                 placeholder="Enter your name"
                 value={userInput}
                 onChange={(e) => setUserInput(e.target.value)}
+                maxLength={MAX_USERNAME_LENGTH}
                 onKeyPress={handleKeyPress}
               />
             </div>
@@ -3,10 +3,65 @@
  * 
  * Handles all canvas rendering operations including:
  * - Drawing strokes with proper styling
+ * - Pressure-sensitive, tapered strokes with a width per point
+ * - Drawing shapes (rectangle, ellipse, line, arrow) with optional fill
+ * - Drawing and hit-testing text elements
+ * - Element geometry for selection: outlines, bounds, hit-testing, transforms
+ * - Drawing selection outlines and handles
+ * - Compositing layers in order
  * - Zoom and pan transformations
+ * - Gliding ghost cursors between cursor frames
+ * - Other users' viewports: outlines and following
+ * - Infinite board navigation: pinch zoom, zoom to fit and the minimap
  * - Canvas clearing and redrawing
  */
 
+// Line height of text elements as a multiple of the font size
+// (same as LINE_HEIGHT in server/text.js)
+export const TEXT_LINE_HEIGHT = 1.2;
+
+// Font size range of text elements (same as server/text.js)
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 96;
+
+// Number of segments used to approximate an ellipse outline
+const ELLIPSE_SEGMENTS = 48;
+
+// Thinnest point of a pressure-sensitive stroke, as a fraction of the brush size
+const MIN_PRESSURE_WIDTH = 0.15;
+
+// Number of points at each end of a stroke that are tapered
+export const TAPER_POINTS = 4;
+
+// Layer that elements without a layerId belong to (same as server/layers.js)
+export const DEFAULT_LAYER_ID = 'default';
+
+// Selection handle size and rotate handle distance, in screen pixels
+export const SELECTION_HANDLE_SIZE = 8;
+const ROTATE_HANDLE_OFFSET = 24;
+
+/**
+ * Order elements for drawing: layer by layer from the bottom up, keeping the
+ * drawing order within each layer and skipping hidden layers
+ * Elements on unknown layers are drawn with the default layer.
+ * Mirrors getVisibleStrokes in server/layers.js.
+ *
+ * @param {Array} strokes - Elements in drawing order
+ * @param {Array} layers - Layers {id, name, visible, locked}, bottom first
+ * @returns {Array} Visible elements in compositing order
+ */
+export function compositeLayers(strokes, layers) {
+  const layerIndex = new Map(layers.map((layer, index) => [layer.id, index]));
+  const layered = layers.map(() => []);
+
+  strokes.forEach(stroke => {
+    const index = layerIndex.get(stroke.layerId ?? DEFAULT_LAYER_ID) ?? layerIndex.get(DEFAULT_LAYER_ID);
+    if (index !== undefined) layered[index].push(stroke);
+  });
+
+  return layered.filter((_, index) => layers[index].visible).flat();
+}
+
 /**
  * Redraw the entire canvas with all strokes
  * Applies zoom and pan transformations to the canvas
@@ -17,10 +72,16 @@
  * @param {number} zoom - Zoom level (1 = 100%, 2 = 200%, etc.)
  * @param {number} panX - Horizontal pan offset in pixels
  * @param {number} panY - Vertical pan offset in pixels
+ * @param {Array} layers - Room layers to composite the strokes by (optional)
  */
-export function redrawCanvas(ctx, strokes, canvas, zoom = 1, panX = 0, panY = 0) {
+export function redrawCanvas(ctx, strokes, canvas, zoom = 1, panX = 0, panY = 0, layers = null) {
   // Clear the entire canvas
   ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Draw the layers from the bottom up, leaving out hidden ones
+  if (layers) {
+    strokes = compositeLayers(strokes, layers);
+  }
   
   // Save the current context state before applying transformations
   ctx.save();
@@ -40,6 +101,22 @@ export function redrawCanvas(ctx, strokes, canvas, zoom = 1, panX = 0, panY = 0)
     ctx.lineCap = 'round';    // Rounded end caps for smooth lines
     ctx.lineJoin = 'round';   // Rounded corners for smooth joins
 
+    if (stroke.type === 'text') {
+      drawText(ctx, stroke);
+      return;
+    }
+
+    if (stroke.type) {
+      drawShape(ctx, stroke);
+      return;
+    }
+
+    // Strokes with a width per point are drawn segment by segment
+    if (stroke.points[0].width !== undefined) {
+      drawVariableStroke(ctx, stroke);
+      return;
+    }
+
     // Begin drawing the stroke path
     ctx.beginPath();
     ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
@@ -56,3 +133,748 @@ export function redrawCanvas(ctx, strokes, canvas, zoom = 1, panX = 0, panY = 0)
   // Restore the context state (remove transformations)
   ctx.restore();
 }
+
+/**
+ * Draw a freehand stroke whose points carry their own width
+ * Each segment is drawn with the average width of its two ends; the round
+ * caps make neighbouring segments blend into a smooth, tapering line
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (styled by the caller)
+ * @param {Object} stroke - Stroke with points {x, y, width}
+ */
+function drawVariableStroke(ctx, stroke) {
+  const { points } = stroke;
+
+  if (points.length === 1) {
+    ctx.lineWidth = points[0].width;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    ctx.lineTo(points[0].x, points[0].y);
+    ctx.stroke();
+    return;
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineWidth = (points[i - 1].width + points[i].width) / 2;
+    ctx.beginPath();
+    ctx.moveTo(points[i - 1].x, points[i - 1].y);
+    ctx.lineTo(points[i].x, points[i].y);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Width of a stroke point for a given pressure
+ *
+ * @param {number} baseWidth - Brush size (the width at full pressure)
+ * @param {number} pressure - Pressure from 0 to 1
+ * @returns {number} Point width, rounded to 0.01px
+ */
+export function getPointWidth(baseWidth, pressure) {
+  const clamped = Math.min(1, Math.max(0, pressure));
+  const width = baseWidth * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * clamped);
+  return Math.round(width * 100) / 100;
+}
+
+/**
+ * Taper both ends of a stroke by narrowing its first and last few points
+ * Used for input without real pressure, where the ends would otherwise be blunt
+ *
+ * @param {Array} points - Points {x, y, width}
+ * @returns {Array} New points with tapered widths
+ */
+export function taperStroke(points) {
+  return points.map((point, i) => {
+    const factor = Math.min(1, (i + 1) / (TAPER_POINTS + 1), (points.length - i) / (TAPER_POINTS + 1));
+    return { ...point, width: Math.max(0.01, Math.round(point.width * factor * 100) / 100) };
+  });
+}
+
+/**
+ * Compute the two barbs of an arrow head
+ * Same geometry as getArrowHead in server/shapes.js
+ *
+ * @param {Object} start - Arrow start {x, y}
+ * @param {Object} end - Arrow tip {x, y}
+ * @param {number} width - Line width
+ * @returns {Array} Barb end points [left, right]
+ */
+function getArrowHead(start, end, width) {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const length = Math.max(10, width * 4);
+  return [angle - Math.PI / 6, angle + Math.PI / 6].map(a => ({
+    x: end.x - length * Math.cos(a),
+    y: end.y - length * Math.sin(a)
+  }));
+}
+
+/**
+ * Draw the two barbs of an arrow head at the end of a line
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} start - Arrow start {x, y}
+ * @param {Object} end - Arrow tip {x, y}
+ * @param {number} width - Line width
+ */
+function drawArrowHead(ctx, start, end, width) {
+  const [left, right] = getArrowHead(start, end, width);
+  ctx.moveTo(left.x, left.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.lineTo(right.x, right.y);
+}
+
+/**
+ * Draw a shape element defined by its two corner points
+ * Stroke styling must already be set on the context
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} shape - {type, color, fill, width, rotation?, points: [start, end]}
+ */
+function drawShape(ctx, shape) {
+  const [start, end = start] = shape.points;
+  const x = Math.min(start.x, end.x);
+  const y = Math.min(start.y, end.y);
+  const w = Math.abs(end.x - start.x);
+  const h = Math.abs(end.y - start.y);
+
+  // Rectangles and ellipses rotate around their centre
+  ctx.save();
+  if (shape.rotation) {
+    ctx.translate(x + w / 2, y + h / 2);
+    ctx.rotate(shape.rotation);
+    ctx.translate(-(x + w / 2), -(y + h / 2));
+  }
+
+  ctx.beginPath();
+  switch (shape.type) {
+    case 'rectangle':
+      ctx.rect(x, y, w, h);
+      break;
+    case 'ellipse':
+      ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+      break;
+    case 'arrow':
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      drawArrowHead(ctx, start, end, shape.width);
+      break;
+    default:
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+  }
+
+  if (shape.fill) {
+    ctx.fillStyle = shape.fill;
+    ctx.fill();
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Draw a text element line by line from its top-left anchor
+ * Lines are centred in their line box, like in the text editor's textarea
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} element - {text, fontFamily, fontSize, color, rotation?, points: [topLeft]}
+ */
+function drawText(ctx, element) {
+  const { x, y } = element.points[0];
+  const lineHeight = element.fontSize * TEXT_LINE_HEIGHT;
+  const offset = (lineHeight - element.fontSize) / 2;
+
+  // Text rotates around its anchor
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(element.rotation || 0);
+
+  ctx.font = `${element.fontSize}px ${element.fontFamily}`;
+  ctx.fillStyle = element.color;
+  ctx.textBaseline = 'top';
+  element.text.split('\n').forEach((line, i) => {
+    ctx.fillText(line, 0, offset + i * lineHeight);
+  });
+  ctx.restore();
+}
+
+/**
+ * Rotate a point around a centre
+ * Same as rotatePoint in server/shapes.js
+ *
+ * @param {Object} point - {x, y}
+ * @param {Object} center - {x, y}
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Rotated point {x, y}
+ */
+function rotatePoint(point, center, angle) {
+  if (!angle) return { x: point.x, y: point.y };
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+}
+
+/**
+ * Measure the unrotated box of a text element
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Object} element - Text element
+ * @returns {Object} {width, height}
+ */
+function measureText(ctx, element) {
+  const lines = element.text.split('\n');
+  ctx.save();
+  ctx.font = `${element.fontSize}px ${element.fontFamily}`;
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+  ctx.restore();
+  return { width, height: lines.length * element.fontSize * TEXT_LINE_HEIGHT };
+}
+
+/**
+ * Get the outline of an element as polylines
+ * Mirrors getShapeOutline in server/shapes.js; text outlines are its box
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Object} element - Stroke, shape or text
+ * @returns {Array<Array>} Polylines of points {x, y}
+ */
+export function getElementOutline(ctx, element) {
+  if (element.type === 'text') {
+    const anchor = element.points[0];
+    const { width, height } = measureText(ctx, element);
+    return [[
+      { x: anchor.x, y: anchor.y },
+      { x: anchor.x + width, y: anchor.y },
+      { x: anchor.x + width, y: anchor.y + height },
+      { x: anchor.x, y: anchor.y + height },
+      { x: anchor.x, y: anchor.y }
+    ].map(point => rotatePoint(point, anchor, element.rotation || 0))];
+  }
+
+  if (!element.type) return [element.points];
+
+  const [start, end = start] = element.points;
+  const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const rotate = points => points.map(point => rotatePoint(point, center, element.rotation || 0));
+
+  switch (element.type) {
+    case 'rectangle':
+      return [rotate([
+        { x: start.x, y: start.y },
+        { x: end.x, y: start.y },
+        { x: end.x, y: end.y },
+        { x: start.x, y: end.y },
+        { x: start.x, y: start.y }
+      ])];
+    case 'ellipse': {
+      const rx = Math.abs(end.x - start.x) / 2;
+      const ry = Math.abs(end.y - start.y) / 2;
+      const points = [];
+      for (let i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+        const a = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+        points.push({ x: center.x + rx * Math.cos(a), y: center.y + ry * Math.sin(a) });
+      }
+      return [rotate(points)];
+    }
+    case 'arrow': {
+      const [left, right] = getArrowHead(start, end, element.width);
+      return [[start, end], [left, end, right]];
+    }
+    default:
+      return [[start, end]];
+  }
+}
+
+/**
+ * Get the axis-aligned bounding box of an element, including half its line width
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Object} element - Stroke, shape or text
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export function getElementBounds(ctx, element) {
+  const half = element.type === 'text' ? 0 : (element.width || 1) / 2;
+  const points = getElementOutline(ctx, element).flat();
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+
+  return {
+    minX: Math.min(...xs) - half,
+    minY: Math.min(...ys) - half,
+    maxX: Math.max(...xs) + half,
+    maxY: Math.max(...ys) + half
+  };
+}
+
+/**
+ * Distance from point p to the segment a-b
+ * Same as distanceToSegment in server/eraser.js
+ *
+ * @param {Object} p - {x, y}
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @returns {number} Distance
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Check whether a point hits an element
+ * Text and filled shapes are hit anywhere inside, everything else on its line
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Object} element - Stroke, shape or text
+ * @param {Object} point - Point in canvas coordinates {x, y}
+ * @param {number} tolerance - Extra distance that still counts as a hit
+ * @returns {boolean} True if the point hits the element
+ */
+export function hitTestElement(ctx, element, point, tolerance = 0) {
+  if (element.type === 'text') {
+    const anchor = element.points[0];
+    const local = rotatePoint(point, anchor, -(element.rotation || 0));
+    const { width, height } = measureText(ctx, element);
+    return local.x >= anchor.x - tolerance && local.x <= anchor.x + width + tolerance &&
+      local.y >= anchor.y - tolerance && local.y <= anchor.y + height + tolerance;
+  }
+
+  if (element.fill && (element.type === 'rectangle' || element.type === 'ellipse')) {
+    const [start, end] = element.points;
+    const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    const local = rotatePoint(point, center, -(element.rotation || 0));
+    const rx = Math.abs(end.x - start.x) / 2;
+    const ry = Math.abs(end.y - start.y) / 2;
+    const dx = local.x - center.x;
+    const dy = local.y - center.y;
+
+    const inside = element.type === 'rectangle'
+      ? Math.abs(dx) <= rx && Math.abs(dy) <= ry
+      : rx > 0 && ry > 0 && (dx * dx) / (rx * rx) + (dy * dy) / (ry * ry) <= 1;
+    if (inside) return true;
+  }
+
+  const reach = (element.width || 1) / 2 + tolerance;
+  return getElementOutline(ctx, element).some(line => {
+    if (line.length === 1) return Math.hypot(point.x - line[0].x, point.y - line[0].y) <= reach;
+    for (let i = 1; i < line.length; i++) {
+      if (distanceToSegment(point, line[i - 1], line[i]) <= reach) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Find the topmost element under a point
+ * Elements without an ID (not yet confirmed by the server) are skipped
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Array} strokes - Room strokes (in drawing order)
+ * @param {Object} point - Point in canvas coordinates {x, y}
+ * @param {number} tolerance - Extra distance that still counts as a hit
+ * @returns {Object|null} The element, or null if there is none at the point
+ */
+export function findElementAt(ctx, strokes, point, tolerance = 0) {
+  for (let i = strokes.length - 1; i >= 0; i--) {
+    if (strokes[i].id && hitTestElement(ctx, strokes[i], point, tolerance)) {
+      return strokes[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the topmost text element under a point
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Array} strokes - Room strokes (in drawing order)
+ * @param {Object} point - Point in canvas coordinates {x, y}
+ * @returns {Object|null} The text element, or null if there is none at the point
+ */
+export function findTextAt(ctx, strokes, point) {
+  return findElementAt(ctx, strokes.filter(element => element.type === 'text'), point);
+}
+
+/**
+ * Transform a point by an affine matrix [a, b, c, d, e, f]
+ * (x' = a*x + c*y + e, y' = b*x + d*y + f), keeping any extra point fields
+ *
+ * @param {Object} point - {x, y, ...}
+ * @param {Array} matrix - Affine matrix
+ * @returns {Object} Transformed point
+ */
+export function transformPoint(point, [a, b, c, d, e, f]) {
+  return { ...point, x: a * point.x + c * point.y + e, y: b * point.x + d * point.y + f };
+}
+
+/**
+ * Transform an element by an affine matrix
+ * Mirrors transformElement in server/transform.js: rectangles, ellipses and
+ * text keep their own frame and gain a rotation, everything else transforms
+ * point by point
+ *
+ * @param {Object} element - Stroke, shape or text
+ * @param {Array} matrix - Affine matrix [a, b, c, d, e, f]
+ * @returns {Object} Transformed copy of the element
+ */
+export function transformElement(element, matrix) {
+  if (!['rectangle', 'ellipse', 'text'].includes(element.type)) {
+    return { ...element, points: element.points.map(point => transformPoint(point, matrix)) };
+  }
+
+  const [a, b, c, d] = matrix;
+  const rotation = element.rotation || 0;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  // The element's own axes after the transform
+  const u = { x: a * cos + c * sin, y: b * cos + d * sin };
+  const v = { x: -a * sin + c * cos, y: -b * sin + d * cos };
+  const scaleX = Math.hypot(u.x, u.y);
+  const scaleY = Math.hypot(v.x, v.y);
+  const newRotation = Math.atan2(u.y, u.x);
+
+  if (element.type === 'text') {
+    const fontSize = element.fontSize * Math.sqrt(scaleX * scaleY);
+    return {
+      ...element,
+      fontSize: Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, Math.round(fontSize * 10) / 10)),
+      rotation: newRotation,
+      points: [transformPoint(element.points[0], matrix)]
+    };
+  }
+
+  const [start, end] = element.points;
+  const center = transformPoint({ x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 }, matrix);
+  const halfWidth = ((end.x - start.x) / 2) * scaleX;
+  const halfHeight = ((end.y - start.y) / 2) * scaleY;
+
+  return {
+    ...element,
+    rotation: newRotation,
+    points: [
+      { ...start, x: center.x - halfWidth, y: center.y - halfHeight },
+      { ...end, x: center.x + halfWidth, y: center.y + halfHeight }
+    ]
+  };
+}
+
+/**
+ * Corners of an axis-aligned box, clockwise from the top-left
+ *
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @returns {Array} Corners {x, y}
+ */
+export function getBoxCorners(box) {
+  return [
+    { x: box.minX, y: box.minY },
+    { x: box.maxX, y: box.minY },
+    { x: box.maxX, y: box.maxY },
+    { x: box.minX, y: box.maxY }
+  ];
+}
+
+/**
+ * Positions of the handles of a selection box: four corner (scale) handles
+ * and a rotate handle above the top edge
+ *
+ * @param {Object} box - Selection box {minX, minY, maxX, maxY}
+ * @param {number} zoom - Zoom level (handles keep their on-screen size)
+ * @returns {Array} Handles {id: 'nw'|'ne'|'se'|'sw'|'rotate', x, y}
+ */
+export function getSelectionHandles(box, zoom) {
+  return [
+    { id: 'nw', x: box.minX, y: box.minY },
+    { id: 'ne', x: box.maxX, y: box.minY },
+    { id: 'se', x: box.maxX, y: box.maxY },
+    { id: 'sw', x: box.minX, y: box.maxY },
+    { id: 'rotate', x: (box.minX + box.maxX) / 2, y: box.minY - ROTATE_HANDLE_OFFSET / zoom }
+  ];
+}
+
+/**
+ * Draw a dashed selection outline, optionally with handles
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Array} corners - Four corners {x, y} in canvas coordinates
+ * @param {number} zoom - Zoom level
+ * @param {number} panX - Horizontal pan offset in pixels
+ * @param {number} panY - Vertical pan offset in pixels
+ * @param {Object} options - {color, handles} where handles come from getSelectionHandles
+ */
+export function drawSelection(ctx, corners, zoom, panX, panY, { color = '#667eea', handles = null } = {}) {
+  ctx.save();
+  ctx.translate(panX, panY);
+  ctx.scale(zoom, zoom);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1 / zoom;
+
+  ctx.setLineDash([6 / zoom, 4 / zoom]);
+  ctx.beginPath();
+  corners.forEach((corner, i) => (i === 0 ? ctx.moveTo(corner.x, corner.y) : ctx.lineTo(corner.x, corner.y)));
+  ctx.closePath();
+  ctx.stroke();
+
+  if (handles) {
+    const size = SELECTION_HANDLE_SIZE / zoom;
+    const rotate = handles.find(handle => handle.id === 'rotate');
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ffffff';
+
+    // Stem from the top edge to the rotate handle
+    ctx.beginPath();
+    ctx.moveTo(rotate.x, (corners[0].y + corners[1].y) / 2);
+    ctx.lineTo(rotate.x, rotate.y);
+    ctx.stroke();
+
+    for (const handle of handles) {
+      ctx.beginPath();
+      if (handle.id === 'rotate') {
+        ctx.arc(handle.x, handle.y, size / 2, 0, Math.PI * 2);
+      } else {
+        ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+      }
+      ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Prepare an eraser path for sending
+ * Points closer than a quarter of the eraser width to the last point kept
+ * are dropped, as the eraser's reach covers them anyway, and what is left
+ * is split into paths of at most maxPoints. Consecutive paths share their
+ * end point, so the segment between them is erased too
+ *
+ * @param {Array} points - Eraser path {x, y}
+ * @param {number} width - Eraser width
+ * @param {number} maxPoints - Most points in one path
+ * @returns {Array<Array>} Paths to send, in order
+ */
+export function splitEraserPath(points, width, maxPoints) {
+  const spacing = width / 4;
+  const kept = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const last = kept[kept.length - 1];
+    if (i === points.length - 1 || Math.hypot(points[i].x - last.x, points[i].y - last.y) >= spacing) {
+      kept.push(points[i]);
+    }
+  }
+
+  const paths = [];
+  for (let start = 0; ; start += maxPoints - 1) {
+    paths.push(kept.slice(start, start + maxPoints));
+    if (start + maxPoints >= kept.length) return paths;
+  }
+}
+
+/**
+ * Apply a room operation to a strokes array
+ * Mirrors applyOp in server/rooms.js so recorded ops can be replayed locally
+ *
+ * @param {Array} strokes - Current strokes (not modified)
+ * @param {Object} op - Operation {type: 'add'|'add-many'|'remove'|'replace'|'splice', ...}
+ * @returns {Array} New strokes array
+ */
+export function applyRoomOp(strokes, op) {
+  switch (op.type) {
+    case 'add':
+      return [...strokes, op.stroke];
+    case 'add-many':
+      return [...strokes, ...op.strokes];
+    case 'remove': {
+      const ids = new Set(op.strokeIds);
+      return strokes.filter(stroke => !ids.has(stroke.id));
+    }
+    case 'replace':
+      return [...op.strokes];
+    case 'splice': {
+      let result = strokes;
+      for (const change of op.changes) {
+        const ids = new Set(change.removeIds);
+        let at = result.findIndex(stroke => ids.has(stroke.id));
+        if (at === -1) at = Math.min(change.index ?? result.length, result.length);
+        result = result.filter(stroke => !ids.has(stroke.id));
+        result.splice(at, 0, ...change.strokes);
+      }
+      return result;
+    }
+    default:
+      return strokes;
+  }
+}
+
+/**
+ * Where a ghost cursor is at a given time
+ * Cursor frames arrive at a fixed interval, so each ghost cursor glides from
+ * where it was when a frame arrived to its new position over one interval
+ *
+ * @param {Object} cursor - {from, to, start}: positions {x, y} and when the glide started (ms)
+ * @param {number} now - Current time (ms)
+ * @param {number} duration - Length of the glide (ms)
+ * @returns {Object} Position {x, y}
+ */
+export function interpolateCursor({ from, to, start }, now, duration) {
+  const t = Math.min(1, Math.max(0, (now - start) / duration));
+  return {
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t
+  };
+}
+
+/**
+ * The part of the drawing a viewport shows, in drawing coordinates
+ *
+ * @param {Object} viewport - {zoom, panX, panY, width, height}; width and height in canvas pixels
+ * @returns {Object} Rectangle {x, y, width, height}
+ */
+export function getViewportRect({ zoom, panX, panY, width, height }) {
+  return { x: -panX / zoom, y: -panY / zoom, width: width / zoom, height: height / zoom };
+}
+
+/**
+ * Zoom and pan that fit a rectangle of the drawing into a canvas, centred
+ * Used to follow another user's viewport on a canvas of a different size
+ *
+ * @param {Object} rect - Rectangle {x, y, width, height} in drawing coordinates
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} minZoom - Smallest zoom allowed
+ * @param {number} maxZoom - Largest zoom allowed
+ * @returns {Object} {zoom, panX, panY}
+ */
+export function fitViewport(rect, width, height, minZoom, maxZoom) {
+  const zoom = Math.min(maxZoom, Math.max(minZoom, Math.min(width / rect.width, height / rect.height)));
+  return {
+    zoom,
+    panX: width / 2 - (rect.x + rect.width / 2) * zoom,
+    panY: height / 2 - (rect.y + rect.height / 2) * zoom
+  };
+}
+
+/**
+ * Draw the outline of another user's viewport with their name
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {Object} rect - Viewport rectangle {x, y, width, height} in drawing coordinates
+ * @param {number} zoom - Zoom level
+ * @param {number} panX - Horizontal pan offset in pixels
+ * @param {number} panY - Vertical pan offset in pixels
+ * @param {Object} options - {color, label}
+ */
+export function drawViewport(ctx, rect, zoom, panX, panY, { color, label }) {
+  const x = rect.x * zoom + panX;
+  const y = rect.y * zoom + panY;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([8, 6]);
+  ctx.strokeRect(x, y, rect.width * zoom, rect.height * zoom);
+
+  ctx.setLineDash([]);
+  ctx.font = 'bold 11px sans-serif';
+  ctx.textBaseline = 'top';
+  const labelWidth = ctx.measureText(label).width + 8;
+  ctx.fillStyle = color;
+  ctx.fillRect(x, y, labelWidth, 16);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(label, x + 4, y + 2);
+  ctx.restore();
+}
+
+/**
+ * Get the bounding box of a set of elements
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (used to measure text)
+ * @param {Array} strokes - Elements
+ * @returns {Object|null} Rectangle {x, y, width, height}, or null if there are none
+ */
+export function getContentBounds(ctx, strokes) {
+  const drawn = strokes.filter(stroke => stroke.points && stroke.points.length > 0);
+  if (drawn.length === 0) return null;
+
+  const bounds = drawn.map(stroke => getElementBounds(ctx, stroke));
+  const minX = Math.min(...bounds.map(box => box.minX));
+  const minY = Math.min(...bounds.map(box => box.minY));
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...bounds.map(box => box.maxX)) - minX,
+    height: Math.max(...bounds.map(box => box.maxY)) - minY
+  };
+}
+
+/**
+ * Grow a rectangle to contain another one and add a margin around it
+ *
+ * @param {Object} rect - Rectangle {x, y, width, height}
+ * @param {Object|null} other - Rectangle to include (optional)
+ * @param {number} margin - Margin on every side
+ * @returns {Object} Rectangle {x, y, width, height}
+ */
+export function expandRect(rect, other, margin) {
+  const minX = Math.min(rect.x, other ? other.x : rect.x) - margin;
+  const minY = Math.min(rect.y, other ? other.y : rect.y) - margin;
+  const maxX = Math.max(rect.x + rect.width, other ? other.x + other.width : -Infinity) + margin;
+  const maxY = Math.max(rect.y + rect.height, other ? other.y + other.height : -Infinity) + margin;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Zoom and pan for a two-finger gesture
+ * The drawing point that was under the centre of the fingers when the
+ * gesture started stays under their centre, and the zoom follows the change
+ * in distance between them
+ *
+ * @param {Object} start - {center: {x, y}, distance, zoom, panX, panY} when the gesture started
+ * @param {Object} current - {center: {x, y}, distance} now
+ * @param {number} minZoom - Smallest zoom allowed
+ * @param {number} maxZoom - Largest zoom allowed
+ * @returns {Object} {zoom, panX, panY}
+ */
+export function pinchViewport(start, current, minZoom, maxZoom) {
+  const zoom = Math.min(maxZoom, Math.max(minZoom, start.zoom * current.distance / start.distance));
+  const worldX = (start.center.x - start.panX) / start.zoom;
+  const worldY = (start.center.y - start.panY) / start.zoom;
+  return {
+    zoom,
+    panX: current.center.x - worldX * zoom,
+    panY: current.center.y - worldY * zoom
+  };
+}
+
+/**
+ * Draw the minimap: the whole drawing shrunk to fit, with the part of it
+ * the canvas shows outlined
+ *
+ * @param {CanvasRenderingContext2D} ctx - Minimap 2D context
+ * @param {Array} strokes - Elements in drawing order
+ * @param {HTMLCanvasElement} canvas - Minimap canvas
+ * @param {Object} view - {zoom, panX, panY} mapping the drawing onto the minimap
+ * @param {Object} viewRect - Rectangle {x, y, width, height} the canvas shows
+ * @param {Array} layers - Room layers to composite the strokes by
+ */
+export function drawMinimap(ctx, strokes, canvas, view, viewRect, layers) {
+  redrawCanvas(ctx, strokes, canvas, view.zoom, view.panX, view.panY, layers);
+
+  const x = viewRect.x * view.zoom + view.panX;
+  const y = viewRect.y * view.zoom + view.panY;
+  ctx.save();
+  ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+  ctx.strokeStyle = '#667eea';
+  ctx.lineWidth = 2;
+  ctx.fillRect(x, y, viewRect.width * view.zoom, viewRect.height * view.zoom);
+  ctx.strokeRect(x, y, viewRect.width * view.zoom, viewRect.height * view.zoom);
+  ctx.restore();
+}
@@ -0,0 +1,233 @@
+/**
+ * Drawing Import Module
+ *
+ * Converts files dropped on the canvas into stroke objects {color, width, points[]}
+ * (and shape and text elements, when a room JSON document contains them):
+ * - Room JSON documents (as produced by the export endpoint, or a bare strokes array)
+ * - SVG files: <path>, <line> and <polyline> elements are flattened into points
+ *
+ * The server validates every stroke again before adding it to the room.
+ */
+
+// Distance between sampled points when flattening SVG paths (in SVG units)
+const SAMPLE_STEP = 4;
+
+// Upper bound on points generated for a single SVG element
+const MAX_POINTS_PER_ELEMENT = 1000;
+
+// SVG elements that run, animate or load something, or style the document
+const UNSAFE_ELEMENTS = 'script, foreignObject, style, image, iframe, animate, animateMotion, animateTransform, set';
+
+// Attribute values that load something from outside the SVG (url() other than #fragment)
+const EXTERNAL_URL = /url\(\s*['"]?(?!#)/i;
+
+// Brush width range allowed by the size slider
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 30;
+
+/**
+ * Parse a room JSON document into strokes
+ * Accepts {strokes: [...]} or a bare array; server metadata is dropped
+ *
+ * @param {string} text - File contents
+ * @returns {Array} Strokes
+ * @throws {Error} If there is no strokes array, or an entry isn't an object
+ */
+export function parseJsonDrawing(text) {
+  const data = JSON.parse(text);
+  const strokes = Array.isArray(data) ? data : data?.strokes;
+
+  if (!Array.isArray(strokes)) {
+    throw new Error('JSON file does not contain a strokes array');
+  }
+
+  const badIndex = strokes.findIndex(stroke =>
+    typeof stroke !== 'object' || stroke === null || Array.isArray(stroke));
+  if (badIndex !== -1) {
+    throw new Error(`Stroke ${badIndex + 1} in the JSON file is not an object`);
+  }
+
+  return strokes.map(stroke => {
+    if (stroke.type === 'text') {
+      return {
+        type: stroke.type,
+        text: stroke.text,
+        fontFamily: stroke.fontFamily,
+        fontSize: stroke.fontSize,
+        color: stroke.color,
+        ...(stroke.rotation !== undefined && { rotation: stroke.rotation }),
+        points: stroke.points
+      };
+    }
+    return {
+      ...(stroke.type && { type: stroke.type, fill: stroke.fill ?? null }),
+      ...(stroke.type && stroke.rotation !== undefined && { rotation: stroke.rotation }),
+      color: stroke.color,
+      width: stroke.width,
+      points: stroke.points
+    };
+  });
+}
+
+/**
+ * Convert a CSS colour value from getComputedStyle into hex
+ *
+ * @param {string} value - Colour such as "rgb(255, 0, 0)"
+ * @returns {string|null} Hex colour, or null for "none"/transparent
+ */
+function toHexColor(value) {
+  if (!value || value === 'none') return null;
+  if (value.startsWith('#')) return value;
+
+  const match = value.match(/rgba?\(([^)]+)\)/);
+  if (!match) return null;
+
+  const [r, g, b, a] = match[1].split(',').map(part => parseFloat(part));
+  if (a === 0) return null;
+  return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Flatten an SVG geometry element into one or more point lists
+ * Paths are sampled along their length; a jump between samples means a
+ * new subpath started (moveto), so the path is split there
+ *
+ * @param {SVGGeometryElement} element - Attached <path>, <line> or <polyline>
+ * @returns {Array<Array>} Point lists in SVG user units
+ */
+function flattenElement(element) {
+  const tag = element.tagName.toLowerCase();
+
+  if (tag === 'line') {
+    return [[
+      { x: element.x1.baseVal.value, y: element.y1.baseVal.value },
+      { x: element.x2.baseVal.value, y: element.y2.baseVal.value }
+    ]];
+  }
+
+  if (tag === 'polyline') {
+    return [Array.from(element.points).map(point => ({ x: point.x, y: point.y }))];
+  }
+
+  const length = element.getTotalLength();
+  if (!length) return [];
+
+  const step = Math.max(SAMPLE_STEP, length / MAX_POINTS_PER_ELEMENT);
+  const subpaths = [];
+  let current = [];
+  let previous = null;
+
+  for (let distance = 0; distance <= length + step; distance += step) {
+    const point = element.getPointAtLength(Math.min(distance, length));
+    if (previous && Math.hypot(point.x - previous.x, point.y - previous.y) > step * 2) {
+      subpaths.push(current);
+      current = [];
+    }
+    current.push({ x: point.x, y: point.y });
+    previous = point;
+    if (distance >= length) break;
+  }
+  subpaths.push(current);
+
+  return subpaths.filter(points => points.length > 0);
+}
+
+/**
+ * Strip everything from an untrusted SVG tree that could run code, load
+ * something or reach outside it: scripts, styles, images, animations,
+ * event handler attributes and references to anything but the SVG itself
+ *
+ * @param {Element} root - Root <svg> element (changed in place)
+ */
+function sanitizeSvg(root) {
+  root.querySelectorAll(UNSAFE_ELEMENTS).forEach(node => node.remove());
+
+  for (const element of [root, ...root.querySelectorAll('*')]) {
+    for (const { name, value } of Array.from(element.attributes)) {
+      const local = name.toLowerCase();
+      const external = local === 'href' || local.endsWith(':href')
+        ? !value.trim().startsWith('#')
+        : EXTERNAL_URL.test(value);
+      if (local.startsWith('on') || external) {
+        element.removeAttribute(name);
+      }
+    }
+  }
+}
+
+/**
+ * Parse an SVG document into strokes
+ * The browser has to lay the SVG out to resolve styles, transforms and path
+ * geometry. After sanitising, it is measured in a hidden iframe sandboxed
+ * without scripts, so nothing in it runs or styles the page
+ *
+ * @param {string} text - SVG file contents
+ * @returns {Array} Strokes
+ */
+export function parseSvgDrawing(text) {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (!root || root.tagName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+    throw new Error('Not a valid SVG file');
+  }
+  sanitizeSvg(root);
+
+  const frame = document.createElement('iframe');
+  frame.setAttribute('sandbox', 'allow-same-origin');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position: absolute; width: 0; height: 0; border: 0; visibility: hidden;';
+  document.body.appendChild(frame);
+
+  try {
+    const frameDocument = frame.contentDocument;
+    const svg = frameDocument.importNode(root, true);
+    frameDocument.body.appendChild(svg);
+
+    const rootMatrix = svg.getScreenCTM().inverse();
+    const strokes = [];
+
+    for (const element of svg.querySelectorAll('path, line, polyline')) {
+      const style = frame.contentWindow.getComputedStyle(element);
+      const color = toHexColor(style.stroke) || toHexColor(style.fill) || '#000000';
+
+      // Map element coordinates into the SVG's root coordinate system
+      const matrix = rootMatrix.multiply(element.getScreenCTM());
+      const scale = Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c)) || 1;
+      const width = Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, (parseFloat(style.strokeWidth) || 1) * scale));
+
+      for (const points of flattenElement(element)) {
+        strokes.push({
+          color,
+          width: Math.round(width),
+          points: points.map(point => {
+            const mapped = new DOMPoint(point.x, point.y).matrixTransform(matrix);
+            return { x: mapped.x, y: mapped.y };
+          })
+        });
+      }
+    }
+
+    return strokes;
+  } finally {
+    frame.remove();
+  }
+}
+
+/**
+ * Parse a dropped or selected file into strokes based on its type
+ *
+ * @param {File} file - File to import
+ * @returns {Promise<Array>} Strokes
+ */
+export async function parseDrawingFile(file) {
+  const text = await file.text();
+  const name = file.name.toLowerCase();
+
+  if (file.type === 'image/svg+xml' || name.endsWith('.svg')) {
+    return parseSvgDrawing(text);
+  }
+  if (file.type === 'application/json' || name.endsWith('.json')) {
+    return parseJsonDrawing(text);
+  }
+  throw new Error('Unsupported file type, use .json or .svg');
+}
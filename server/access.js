@@ -0,0 +1,362 @@
+/**
+ * Room Access Module
+ *
+ * Rooms are open unless their creator protects them: anyone who knows the
+ * room code can join and draw. A room created by a user with a stable
+ * identity (see identity.js) gets an access record, and its creator becomes
+ * the owner:
+ *   { ownerId, password: {salt, hash} | null, secret, members, banned, frozen }
+ *
+ * - Without a password, anyone with the room code joins as an editor
+ * - With a password, joining needs the password (editor) or an invite
+ * - Invites are tokens signed with the room's secret that carry a role
+ *   ("editor" or "viewer") and an expiry; only the owner can create them
+ * - Users who got in with the password or an invite are remembered as
+ *   members with their role, so they don't need it again when they come back
+ *
+ * Owners and editors can change the drawing; viewers only receive it (the
+ * room state, cursors and previews).
+ *
+ * Owners can also moderate their room: a ban keeps that identity out, and
+ * while the board is frozen only the owner can change it. Identities come
+ * from keys the browser makes up, so a banned user who clears their storage
+ * comes back as a new user. A ban therefore also rotates the room's secret,
+ * which revokes every invite handed out so far, and can reset the password:
+ * a banned user then needs the new password or a new invite to get back
+ * into a protected room. Members keep their role without either.
+ *
+ * Passwords are hashed with scrypt off the event loop, and password checks
+ * are limited per client address (see rate-limit.js): each takes an attempt
+ * before anything is hashed, and a right password gives it back.
+ *
+ * The access record is kept on the room object and written through the room
+ * storage backend, like the layer list.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const roomManager = require('./rooms');
+const { takePasswordAttempt, returnPasswordAttempt } = require('./rate-limit');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles an invite can carry
+const INVITE_ROLES = ['editor', 'viewer'];
+
+// How long an invite stays valid (7 days)
+const INVITE_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// Maximum length of a room password
+const MAX_PASSWORD_LENGTH = 128;
+
+class AccessManager {
+  /**
+   * Get the access record of a room, loading it from storage on first use
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} Access record, or null if the room is open to everyone
+   */
+  getAccess(roomId) {
+    const room = roomManager.getRoom(roomId);
+    if (room.access === undefined) {
+      const saved = roomManager.storage.loadAccess(roomId);
+      room.access = saved ? { banned: [], frozen: false, ...saved } : null;
+    }
+    return room.access;
+  }
+
+  /**
+   * Make a user the owner of a new room, optionally protected by a password
+   * Only rooms nobody has joined or drawn in yet can be claimed
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} ownerId - Client ID of the creator (see identity.js)
+   * @param {string} [password] - Room password (the room stays open without one)
+   * @returns {Promise<boolean>} True if the room was claimed
+   */
+  async createRoom(roomId, ownerId, password) {
+    const room = roomManager.getRoom(roomId);
+    const isClaimable = () => !this.getAccess(roomId) && room.seq === 0 && room.users.size === 0;
+    if (!isClaimable()) return false;
+
+    // Someone else may have claimed the room while the password was hashed
+    const hash = isValidPassword(password) ? await hashPassword(password) : null;
+    if (!isClaimable()) return false;
+
+    room.access = {
+      ownerId,
+      password: hash,
+      secret: crypto.randomBytes(32).toString('hex'),
+      members: {},
+      banned: [],
+      frozen: false
+    };
+    this.saveAccess(roomId);
+
+    console.log(`Room ${roomId} created by ${ownerId}${room.access.password ? ' with a password' : ''}`);
+    return true;
+  }
+
+  /**
+   * Check whether a room needs a password or an invite to join
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if the room has a password
+   */
+  isProtected(roomId) {
+    const access = this.getAccess(roomId);
+    return Boolean(access && access.password);
+  }
+
+  /**
+   * Decide whether a user may join a room, and with which role
+   * A valid invite or the password makes the user a member of the room;
+   * a member keeps the highest role they were ever given
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string|null} userId - Client ID of the user, or null if they have no stable identity
+   * @param {Object} credentials - {password, invite} presented by the user
+   * @param {string} address - Client address, which wrong passwords count against
+   * @returns {Promise<Object>} {role}, or {error} ("banned", "password-required",
+   *   "wrong-password", "too-many-attempts" or "invalid-invite")
+   */
+  async authorize(roomId, userId, { password, invite } = {}, address) {
+    const access = this.getAccess(roomId);
+    if (!access) return { role: 'editor' };
+    if (userId && userId === access.ownerId) return { role: 'owner' };
+    if (userId && access.banned.includes(userId)) return { error: 'banned' };
+
+    let role = (userId && access.members[userId]) || (access.password ? null : 'editor');
+
+    if (invite !== undefined) {
+      const invited = verifyInvite(roomId, access, invite);
+      if (invited) {
+        role = higherRole(role, invited);
+      } else if (!role && password === undefined) {
+        return { error: 'invalid-invite' };
+      }
+    }
+
+    if (!role && password !== undefined) {
+      if (!takePasswordAttempt(address)) {
+        return { error: 'too-many-attempts' };
+      }
+      if (!await checkPassword(access.password, password)) {
+        return { error: 'wrong-password' };
+      }
+      returnPasswordAttempt(address);
+      role = 'editor';
+
+      // The owner may have banned the user while the password was checked
+      if (userId && access.banned.includes(userId)) return { error: 'banned' };
+    }
+
+    if (!role) return { error: 'password-required' };
+
+    if (userId && access.members[userId] !== role) {
+      access.members[userId] = role;
+      this.saveAccess(roomId);
+    }
+    return { role };
+  }
+
+  /**
+   * Create a signed invite to a password-protected room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user asking (must be the owner)
+   * @param {string} role - Role the invite grants ("editor" or "viewer")
+   * @returns {string|null} Invite token, or null if the user can't invite or the role is invalid
+   */
+  createInvite(roomId, userId, role) {
+    const access = this.getAccess(roomId);
+    if (!access || !access.password || userId !== access.ownerId || !INVITE_ROLES.includes(role)) {
+      return null;
+    }
+
+    const payload = Buffer.from(JSON.stringify({ role, exp: Date.now() + INVITE_LIFETIME })).toString('base64url');
+    console.log(`Invite for ${role}s created in room ${roomId}`);
+    return `${payload}.${signInvite(roomId, access, payload)}`;
+  }
+
+  /**
+   * Check whether a user may change the drawing right now
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} role - Role of the user
+   * @returns {string|null} Why the user can't change the room, or null if they can
+   */
+  getEditError(roomId, role) {
+    if (role === 'viewer') return 'you can only view this room';
+    if (role !== 'owner' && this.isFrozen(roomId)) return 'the room owner has frozen the board';
+    return null;
+  }
+
+  /**
+   * Ban a user's identity (client ID) from a room and drop their membership
+   * The room gets a new secret, so every invite created so far stops working,
+   * and a protected room can get a new password in the same step
+   * The owner can't be banned
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user to ban
+   * @param {string} [password] - New password of a password-protected room
+   * @returns {Promise<string|null>} Why the user can't be banned, or null once they are
+   */
+  async ban(roomId, userId, password) {
+    const access = this.getAccess(roomId);
+    if (!access || typeof userId !== 'string' || userId === access.ownerId) {
+      return 'that user can\'t be banned';
+    }
+    if (password !== undefined && !(access.password && isValidPassword(password))) {
+      return access.password
+        ? `the password must be 1 to ${MAX_PASSWORD_LENGTH} characters`
+        : 'only a password-protected room can get a new password';
+    }
+
+    const hash = password !== undefined ? await hashPassword(password) : null;
+
+    if (!access.banned.includes(userId)) {
+      access.banned.push(userId);
+      delete access.members[userId];
+    }
+    access.secret = crypto.randomBytes(32).toString('hex');
+    if (hash) {
+      access.password = hash;
+    }
+    this.saveAccess(roomId);
+
+    console.log(`${userId} banned from room ${roomId}, invites revoked${password !== undefined ? ' and password reset' : ''}`);
+    return null;
+  }
+
+  /**
+   * Check whether a room's board is frozen
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {boolean} True if only the owner can change the drawing
+   */
+  isFrozen(roomId) {
+    const access = this.getAccess(roomId);
+    return Boolean(access && access.frozen);
+  }
+
+  /**
+   * Freeze or unfreeze a room's board
+   *
+   * @param {string} roomId - Room identifier
+   * @param {boolean} frozen - True to let only the owner change the drawing
+   * @returns {boolean} True if the room has an owner whose board can be frozen
+   */
+  setFrozen(roomId, frozen) {
+    const access = this.getAccess(roomId);
+    if (!access || typeof frozen !== 'boolean') return false;
+
+    access.frozen = frozen;
+    this.saveAccess(roomId);
+    console.log(`Board of room ${roomId} ${frozen ? 'frozen' : 'unfrozen'}`);
+    return true;
+  }
+
+  /**
+   * Persist the access record of a room
+   *
+   * @param {string} roomId - Room identifier
+   */
+  saveAccess(roomId) {
+    roomManager.storage.saveAccess(roomId, this.getAccess(roomId));
+  }
+}
+
+/**
+ * Check a candidate room password
+ *
+ * @param {*} password - Candidate password
+ * @returns {boolean} True if it is a non-empty string of acceptable length
+ */
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+/**
+ * Hash a room password with a random salt
+ *
+ * @param {string} password - Room password
+ * @returns {Promise<Object>} {salt, hash} as hex strings
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, 32)).toString('hex');
+  return { salt, hash };
+}
+
+/**
+ * Compare a password with a stored hash in constant time
+ *
+ * @param {Object|null} stored - {salt, hash} of the room password
+ * @param {*} password - Password presented by the user
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function checkPassword(stored, password) {
+  if (!stored || !isValidPassword(password)) return false;
+  const hash = await scrypt(password, stored.salt, 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+/**
+ * Sign an invite payload for a room
+ *
+ * @param {string} roomId - Room identifier
+ * @param {Object} access - Access record of the room
+ * @param {string} payload - Encoded invite payload
+ * @returns {string} Signature (base64url)
+ */
+function signInvite(roomId, access, payload) {
+  return crypto.createHmac('sha256', access.secret).update(`${roomId}.${payload}`).digest('base64url');
+}
+
+/**
+ * Verify an invite token and read the role it grants
+ *
+ * @param {string} roomId - Room identifier
+ * @param {Object} access - Access record of the room
+ * @param {*} token - Invite token presented by the user
+ * @returns {string|null} Role of a valid, unexpired invite, or null
+ */
+function verifyInvite(roomId, access, token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signInvite(roomId, access, payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return INVITE_ROLES.includes(role) && exp > Date.now() ? role : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the more privileged of two roles
+ *
+ * @param {string|null} a - Role (or null for none)
+ * @param {string} b - Role
+ * @returns {string} The higher role
+ */
+function higherRole(a, b) {
+  return ROLES.indexOf(a) > ROLES.indexOf(b) ? a : b;
+}
+
+// Export singleton instance
+const accessManager = new AccessManager();
+module.exports = accessManager;
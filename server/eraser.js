@@ -0,0 +1,356 @@
+/**
+ * Eraser Geometry Module
+ *
+ * Vector erasing: hit-tests an eraser path against stroke geometry and splits
+ * the strokes it crosses into the pieces that survive. A point of a stroke is
+ * erased when it lies within the eraser radius plus half the stroke's width
+ * of the eraser path, so thick strokes are hit at their visible edge.
+ * Each segment is tested against the eraser analytically, so a stroke is
+ * cut exactly where it enters and leaves the eraser, and the work doesn't
+ * depend on how long the segments are.
+ *
+ * Shapes can't be split, so a shape is removed whole when the eraser touches
+ * its outline (or its area, if it is filled). Text is removed whole when the
+ * eraser touches its bounding box.
+ *
+ * The result is a list of in-place replacements that RoomManager applies as
+ * a single 'splice' op.
+ */
+
+const { isShape, getShapeOutline, isInsideFill } = require('./shapes');
+const { isText, isInsideText } = require('./text');
+
+// Pieces shorter than this left at the edge of the eraser are dropped
+const MIN_PIECE_LENGTH = 1;
+
+// Most work a single erase may do, counted in bounding box checks of a
+// stroke segment against an eraser segment; an exact cut test costs as much
+// as CUT_TEST_WORK of them. An erase that would need more is refused whole
+const MAX_ERASE_WORK = 20000000;
+const CUT_TEST_WORK = 50;
+
+/**
+ * Distance from point p to the segment a-b
+ *
+ * @param {Object} p - {x, y}
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @returns {number} Distance
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Distance from a point to a polyline (a single point counts as a dot)
+ *
+ * @param {Object} p - {x, y}
+ * @param {Array} path - Polyline points
+ * @returns {number} Distance
+ */
+function distanceToPath(p, path) {
+  if (path.length === 1) return Math.hypot(p.x - path[0].x, p.y - path[0].y);
+
+  let min = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    min = Math.min(min, distanceToSegment(p, path[i - 1], path[i]));
+  }
+  return min;
+}
+
+/**
+ * Bounding box of a list of points, grown by a margin
+ *
+ * @param {Array} points - Points {x, y}
+ * @param {number} margin - Amount to grow the box on every side
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+function getBounds(points, margin) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const point of points) {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+  return { minX: minX - margin, minY: minY - margin, maxX: maxX + margin, maxY: maxY + margin };
+}
+
+function boundsIntersect(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+/**
+ * Part of the segment a-b within a distance of the point c
+ * Worked out from the closest point of the line to c, which stays precise
+ * far from the origin
+ *
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @param {Object} c - Point {x, y}
+ * @param {number} reach - Distance
+ * @returns {Array|null} [t0, t1] along the segment (0 at a, 1 at b), or null
+ */
+function getCircleInterval(a, b, c, reach) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return Math.hypot(c.x - a.x, c.y - a.y) <= reach ? [0, 1] : null;
+
+  const along = ((c.x - a.x) * dx + (c.y - a.y) * dy) / length;
+  const across = ((c.x - a.x) * dy - (c.y - a.y) * dx) / length;
+  if (Math.abs(across) > reach) return null;
+
+  const half = Math.sqrt(reach * reach - across * across);
+  const t0 = Math.max(0, (along - half) / length);
+  const t1 = Math.min(1, (along + half) / length);
+  return t0 <= t1 ? [t0, t1] : null;
+}
+
+/**
+ * Part of the segment a-b within a distance of the eraser segment c-d
+ * The points within reach of c-d form a capsule: a circle around each end
+ * and a band along the segment. The capsule is convex, so the part of a-b
+ * inside it is a single interval, the union of the parts inside each piece
+ *
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @param {Object} c - Eraser segment start {x, y}
+ * @param {Object} d - Eraser segment end {x, y}
+ * @param {number} reach - Distance
+ * @returns {Array|null} [t0, t1] along the segment (0 at a, 1 at b), or null
+ */
+function getCutInterval(a, b, c, d, reach) {
+  const intervals = [getCircleInterval(a, b, c, reach), getCircleInterval(a, b, d, reach)];
+
+  // The band: between the ends of c-d, and within reach of its line
+  const ex = d.x - c.x;
+  const ey = d.y - c.y;
+  const eraserLength = Math.hypot(ex, ey);
+  if (eraserLength > 0) {
+    const ux = ex / eraserLength;
+    const uy = ey / eraserLength;
+    let t0 = 0;
+    let t1 = 1;
+    // Each bound is linear in t: start + t * delta must stay within [min, max]
+    const clip = (start, delta, min, max) => {
+      if (delta === 0) {
+        if (start < min || start > max) t1 = -1;
+        return;
+      }
+      const from = (min - start) / delta;
+      const to = (max - start) / delta;
+      t0 = Math.max(t0, Math.min(from, to));
+      t1 = Math.min(t1, Math.max(from, to));
+    };
+    clip((a.x - c.x) * ux + (a.y - c.y) * uy, (b.x - a.x) * ux + (b.y - a.y) * uy, 0, eraserLength);
+    clip((a.x - c.x) * uy - (a.y - c.y) * ux, (b.x - a.x) * uy - (b.y - a.y) * ux, -reach, reach);
+    if (t0 <= t1) intervals.push([t0, t1]);
+  }
+
+  let result = null;
+  for (const interval of intervals) {
+    if (!interval) continue;
+    result = result ? [Math.min(result[0], interval[0]), Math.max(result[1], interval[1])] : interval;
+  }
+  return result;
+}
+
+/**
+ * Prepare an eraser path for hit-testing
+ *
+ * @param {Array} path - Eraser path points {x, y}
+ * @returns {Object} {path, bounds, segments[{c, d, bounds}], work}; work is
+ *   what is left of MAX_ERASE_WORK, and goes below 0 once it is used up
+ */
+function createEraser(path) {
+  // A single point is a segment of length 0
+  const segments = path.length === 1 ? [{ c: path[0], d: path[0] }] : path.slice(1).map((d, i) => ({ c: path[i], d }));
+  for (const segment of segments) {
+    segment.bounds = getBounds([segment.c, segment.d], 0);
+  }
+  return { path, bounds: getBounds(path, 0), segments, work: MAX_ERASE_WORK };
+}
+
+/**
+ * Part of the segment a-b within a distance of an eraser path
+ *
+ * @param {Object} a - Segment start {x, y}
+ * @param {Object} b - Segment end {x, y}
+ * @param {Object} eraser - Eraser path (see createEraser)
+ * @param {number} reach - Distance
+ * @returns {Array} Sorted, non-overlapping intervals [t0, t1] along the segment
+ */
+function getCutIntervals(a, b, eraser, reach) {
+  const segmentBounds = getBounds([a, b], reach);
+  eraser.work--;
+  if (!boundsIntersect(eraser.bounds, segmentBounds)) return [];
+
+  eraser.work -= eraser.segments.length;
+  const intervals = [];
+  for (const { c, d, bounds } of eraser.segments) {
+    if (!boundsIntersect(bounds, segmentBounds)) continue;
+
+    eraser.work -= CUT_TEST_WORK;
+    const interval = getCutInterval(a, b, c, d, reach);
+    if (interval) intervals.push(interval);
+  }
+
+  intervals.sort((x, y) => x[0] - y[0]);
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Point at t along the segment a-b, keeping a's other fields
+ *
+ * @param {Object} a - Segment start
+ * @param {Object} b - Segment end
+ * @param {number} t - Position along the segment (0 at a, 1 at b)
+ * @returns {Object} Point
+ */
+function pointAt(a, b, t) {
+  if (t === 0) return a;
+  if (t === 1) return b;
+
+  const point = { ...a, x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  // Pressure-sensitive strokes taper smoothly across the cut
+  if (a.width !== undefined && b.width !== undefined) {
+    point.width = a.width + (b.width - a.width) * t;
+  }
+  return point;
+}
+
+/**
+ * Length of a polyline
+ *
+ * @param {Array} points - Points {x, y}
+ * @returns {number} Length
+ */
+function getLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Split a stroke into the runs of points outside the eraser's reach
+ * Strokes are cut exactly where they enter and leave the eraser, so a cut
+ * can fall in the middle of a segment
+ *
+ * @param {Array} points - Stroke points
+ * @param {Object} eraser - Eraser path (see createEraser)
+ * @param {number} reach - Distance within which the stroke is erased
+ * @returns {Array|null} Surviving pieces (each with at least two points), or null if the stroke was not hit
+ */
+function splitStroke(points, eraser, reach) {
+  if (points.length === 1) {
+    eraser.work -= eraser.path.length;
+    return distanceToPath(points[0], eraser.path) <= reach ? [] : null;
+  }
+
+  const pieces = [];
+  let hit = false;
+  let run = [];
+  const flush = () => {
+    // Slivers left at the edge of the eraser are dropped
+    if (run.length > 1 && getLength(run) >= MIN_PIECE_LENGTH) pieces.push(run);
+    run = [];
+  };
+
+  for (let i = 1; i < points.length && eraser.work >= 0; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const cuts = getCutIntervals(a, b, eraser, reach);
+    if (cuts.length === 0) {
+      if (run.length === 0) run.push(a);
+      run.push(b);
+      continue;
+    }
+    hit = true;
+
+    // The parts of the segment between the cuts survive
+    let start = 0;
+    for (const [cutStart, cutEnd] of [...cuts, [1, 1]]) {
+      if (cutStart > start) {
+        if (run.length === 0) run.push(pointAt(a, b, start));
+        run.push(pointAt(a, b, cutStart));
+      }
+      if (cutStart < 1) flush();
+      start = Math.max(start, cutEnd);
+    }
+  }
+  flush();
+
+  return hit ? pieces : null;
+}
+
+/**
+ * Compute how an eraser path splits a set of strokes
+ *
+ * @param {Array} strokes - Room strokes (in drawing order)
+ * @param {Array} path - Eraser path points {x, y}
+ * @param {number} radius - Eraser radius
+ * @returns {Array|null} Changes {original, index, pieces[]} for every stroke that was hit;
+ *   pieces are the surviving runs of points (each with at least two points).
+ *   Null if the erase would take more than MAX_ERASE_WORK
+ */
+function computeErase(strokes, path, radius) {
+  const eraser = createEraser(path);
+  const pathBounds = getBounds(path, radius);
+  const changes = [];
+
+  for (let index = 0; index < strokes.length; index++) {
+    const stroke = strokes[index];
+    eraser.work--;
+    if (eraser.work < 0) return null;
+    if (!Array.isArray(stroke.points) || stroke.points.length === 0) continue;
+
+    const reach = radius + (stroke.width || 1) / 2;
+
+    if (isText(stroke)) {
+      eraser.work -= path.length;
+      if (path.some(point => isInsideText(point, stroke, radius))) {
+        changes.push({ original: stroke, index, pieces: [] });
+      }
+      continue;
+    }
+
+    if (isShape(stroke)) {
+      const outline = getShapeOutline(stroke);
+      if (!boundsIntersect(getBounds(outline.flat(), reach), pathBounds)) continue;
+
+      eraser.work -= path.length;
+      const hit = path.some(point => isInsideFill(point, stroke)) ||
+        outline.some(line => splitStroke(line, eraser, reach) !== null);
+      if (hit) changes.push({ original: stroke, index, pieces: [] });
+      continue;
+    }
+
+    if (!boundsIntersect(getBounds(stroke.points, reach), pathBounds)) continue;
+
+    const pieces = splitStroke(stroke.points, eraser, reach);
+    if (pieces) changes.push({ original: stroke, index, pieces });
+  }
+
+  return eraser.work < 0 ? null : changes;
+}
+
+module.exports = { computeErase, distanceToPath };
@@ -0,0 +1,303 @@
+/**
+ * Export Module
+ *
+ * Renders a room's strokes to SVG, PNG or JSON on the server.
+ * Strokes are drawn exactly like redrawCanvas in the client's canvasLogic.js:
+ * one path per stroke through all of its points, with round caps, round joins
+ * and the stroke's width (segment by segment for strokes with a width per
+ * point), shapes with their outline and optional fill, and text line by line.
+ * The output is cropped to the drawing's bounding box.
+ *
+ * PNG output is rasterised from the SVG with resvg, which runs headless
+ * without a browser. System fonts are only loaded when there is text to draw.
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+const { isShape, getArrowHead, getShapeOutline } = require('./shapes');
+const { isText, getTextLines, getLineTop, getTextBounds } = require('./text');
+
+// Largest allowed output dimension in pixels (after scaling)
+const MAX_OUTPUT_SIZE = 8000;
+
+const DEFAULT_OPTIONS = {
+  padding: 20,
+  background: '#ffffff',
+  scale: 1
+};
+
+/**
+ * Escape a value for use inside an XML attribute
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Compute the bounding box of a set of strokes, including half of each
+ * stroke's width so thick lines aren't clipped
+ *
+ * @param {Array} strokes - Strokes to measure
+ * @returns {Object|null} {minX, minY, maxX, maxY}, or null if there is nothing to draw
+ */
+function getStrokeBounds(strokes) {
+  let bounds = null;
+
+  for (const stroke of strokes) {
+    if (!stroke.points || stroke.points.length === 0) continue;
+    const half = (stroke.width || 1) / 2;
+    let points = stroke.points;
+    if (isShape(stroke)) {
+      points = getShapeOutline(stroke).flat();
+    } else if (isText(stroke)) {
+      const box = getTextBounds(stroke);
+      points = [{ x: box.minX, y: box.minY }, { x: box.maxX, y: box.maxY }];
+    }
+
+    for (const point of points) {
+      if (!bounds) {
+        bounds = { minX: point.x - half, minY: point.y - half, maxX: point.x + half, maxY: point.y + half };
+        continue;
+      }
+      bounds.minX = Math.min(bounds.minX, point.x - half);
+      bounds.minY = Math.min(bounds.minY, point.y - half);
+      bounds.maxX = Math.max(bounds.maxX, point.x + half);
+      bounds.maxY = Math.max(bounds.maxY, point.y + half);
+    }
+  }
+
+  return bounds;
+}
+
+/**
+ * Resolve the output frame (viewBox and pixel size) for a set of strokes
+ *
+ * @param {Array} strokes - Strokes to frame
+ * @param {Object} options - {padding, scale}
+ * @returns {Object} {x, y, width, height, pixelWidth, pixelHeight}
+ */
+function getFrame(strokes, options) {
+  const bounds = getStrokeBounds(strokes) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  const x = bounds.minX - options.padding;
+  const y = bounds.minY - options.padding;
+  const width = Math.max(1, bounds.maxX - bounds.minX + options.padding * 2);
+  const height = Math.max(1, bounds.maxY - bounds.minY + options.padding * 2);
+
+  return {
+    x,
+    y,
+    width,
+    height,
+    pixelWidth: Math.max(1, Math.ceil(width * options.scale)),
+    pixelHeight: Math.max(1, Math.ceil(height * options.scale))
+  };
+}
+
+/**
+ * SVG transform attribute for an element's rotation
+ *
+ * @param {number} rotation - Rotation in radians
+ * @param {Object} center - Rotation centre {x, y}
+ * @returns {string} Attribute (with leading space), or '' when not rotated
+ */
+function rotateAttribute(rotation, center) {
+  if (!rotation) return '';
+  return ` transform="rotate(${rotation * 180 / Math.PI} ${center.x} ${center.y})"`;
+}
+
+/**
+ * Render a text element as an SVG <text> with one <tspan> per line
+ *
+ * @param {Object} element - Text element
+ * @returns {string} SVG markup
+ */
+function renderSvgText(element) {
+  const anchor = element.points[0];
+  const { x } = anchor;
+  const lines = getTextLines(element)
+    .map((line, i) => `<tspan x="${x}" y="${getLineTop(element, i)}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return `<text font-family="${escapeXml(element.fontFamily)}" font-size="${Number(element.fontSize)}" ` +
+    `fill="${escapeXml(element.color)}" dominant-baseline="text-before-edge" xml:space="preserve"` +
+    `${rotateAttribute(element.rotation, anchor)}>${lines}</text>`;
+}
+
+/**
+ * Render a freehand stroke whose points carry their own width
+ * Each segment gets the average width of its two ends, like
+ * drawVariableStroke in the client's canvasLogic.js
+ *
+ * @param {Object} stroke - Stroke with points {x, y, width}
+ * @returns {string} SVG markup
+ */
+function renderSvgVariableStroke(stroke) {
+  const { points } = stroke;
+  const segments = points.length === 1
+    ? [[points[0], points[0], points[0].width]]
+    : points.slice(1).map((point, i) => [points[i], point, (points[i].width + point.width) / 2]);
+
+  const paths = segments.map(([a, b, width]) =>
+    `<path d="M${a.x} ${a.y}L${b.x} ${b.y}" stroke-width="${Number(width)}"/>`);
+  return `<g fill="none" stroke="${escapeXml(stroke.color)}" stroke-linecap="round" stroke-linejoin="round">` +
+    `${paths.join('')}</g>`;
+}
+
+/**
+ * Render a single stroke, shape or text element as an SVG element
+ *
+ * @param {Object} stroke - Stroke, shape or text
+ * @returns {string} SVG markup
+ */
+function renderSvgElement(stroke) {
+  if (isText(stroke)) {
+    return renderSvgText(stroke);
+  }
+
+  const style = `stroke="${escapeXml(stroke.color)}" stroke-width="${Number(stroke.width)}" ` +
+    'stroke-linecap="round" stroke-linejoin="round"';
+  const fill = stroke.fill ? escapeXml(stroke.fill) : 'none';
+
+  if (isShape(stroke)) {
+    const [start, end] = stroke.points;
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    const w = Math.abs(end.x - start.x);
+    const h = Math.abs(end.y - start.y);
+    const rotation = rotateAttribute(stroke.rotation, { x: x + w / 2, y: y + h / 2 });
+
+    switch (stroke.type) {
+      case 'rectangle':
+        return `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fill}" ${style}${rotation}/>`;
+      case 'ellipse':
+        return `<ellipse cx="${x + w / 2}" cy="${y + h / 2}" rx="${w / 2}" ry="${h / 2}" fill="${fill}" ${style}${rotation}/>`;
+      case 'arrow': {
+        const [left, right] = getArrowHead(start, end, stroke.width);
+        return `<path d="M${start.x} ${start.y}L${end.x} ${end.y}M${left.x} ${left.y}L${end.x} ${end.y}L${right.x} ${right.y}" ` +
+          `fill="none" ${style}/>`;
+      }
+      default:
+        return `<path d="M${start.x} ${start.y}L${end.x} ${end.y}" fill="none" ${style}/>`;
+    }
+  }
+
+  if (stroke.points[0].width !== undefined) {
+    return renderSvgVariableStroke(stroke);
+  }
+
+  const [first, ...rest] = stroke.points;
+  const d = `M${first.x} ${first.y}` + rest.map(point => `L${point.x} ${point.y}`).join('');
+  return `<path d="${d}" fill="none" ${style}/>`;
+}
+
+/**
+ * Render strokes to an SVG document
+ *
+ * @param {Array} strokes - Strokes to render
+ * @param {Object} options - {padding, background, scale}; background null for transparent
+ * @returns {string} SVG markup
+ */
+function renderSvg(strokes, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const frame = getFrame(strokes, opts);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${frame.pixelWidth}" height="${frame.pixelHeight}" ` +
+    `viewBox="${frame.x} ${frame.y} ${frame.width} ${frame.height}">`
+  ];
+
+  if (opts.background) {
+    parts.push(`<rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${frame.height}" ` +
+      `fill="${escapeXml(opts.background)}"/>`);
+  }
+
+  for (const stroke of strokes) {
+    // Skip invalid strokes
+    if (!stroke.points || stroke.points.length === 0) continue;
+    parts.push(renderSvgElement(stroke));
+  }
+
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Render strokes to a PNG image
+ *
+ * @param {Array} strokes - Strokes to render
+ * @param {Object} options - {padding, background, scale}; background null for transparent
+ * @returns {Buffer} PNG data
+ */
+function renderPng(strokes, options = {}) {
+  const resvg = new Resvg(renderSvg(strokes, options), {
+    font: { loadSystemFonts: strokes.some(isText) }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Parse and validate export options from query parameters
+ *
+ * @param {Object} query - {padding, background, scale}
+ * @returns {Object} {options} or {error} describing the invalid parameter
+ */
+function parseExportOptions(query) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  if (query.padding !== undefined) {
+    const padding = Number(query.padding);
+    if (!Number.isFinite(padding) || padding < 0 || padding > 1000) {
+      return { error: 'padding must be a number between 0 and 1000' };
+    }
+    options.padding = padding;
+  }
+
+  if (query.scale !== undefined) {
+    const scale = Number(query.scale);
+    if (!Number.isFinite(scale) || scale < 0.1 || scale > 10) {
+      return { error: 'scale must be a number between 0.1 and 10' };
+    }
+    options.scale = scale;
+  }
+
+  if (query.background !== undefined) {
+    const background = String(query.background);
+    if (background === 'transparent' || background === 'none') {
+      options.background = null;
+    } else if (/^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(background)) {
+      options.background = background.startsWith('#') ? background : `#${background}`;
+    } else if (/^[a-z]{3,20}$/i.test(background)) {
+      options.background = background;
+    } else {
+      return { error: 'background must be a hex colour, a colour name or "transparent"' };
+    }
+  }
+
+  return { options };
+}
+
+/**
+ * Check that rendered output stays within the size limit
+ *
+ * @param {Array} strokes - Strokes to render
+ * @param {Object} options - Export options
+ * @returns {boolean} True if the output is small enough to render
+ */
+function isWithinSizeLimit(strokes, options) {
+  const frame = getFrame(strokes, { ...DEFAULT_OPTIONS, ...options });
+  return frame.pixelWidth <= MAX_OUTPUT_SIZE && frame.pixelHeight <= MAX_OUTPUT_SIZE;
+}
+
+module.exports = {
+  getStrokeBounds,
+  renderSvg,
+  renderPng,
+  parseExportOptions,
+  isWithinSizeLimit
+};
@@ -0,0 +1,34 @@
+/**
+ * Client Identity Module
+ *
+ * Users keep the same identity across reconnects and page reloads: the
+ * browser generates a random client key once, keeps it in localStorage and
+ * presents it on register-user. The key itself is a secret; stroke ownership,
+ * undo history and everything broadcast to the room use an ID derived from it
+ * with a one-way hash. IDs are public (every stroke carries its owner's), but
+ * can't be turned back into the key, so copying one doesn't let anybody undo
+ * or clear another user's strokes.
+ */
+
+const crypto = require('crypto');
+
+// Client keys are random strings of URL-safe characters
+const CLIENT_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Derive the public user ID for a client key
+ *
+ * @param {*} clientKey - Key presented by the client
+ * @returns {string|null} User ID, or null if the key is missing or malformed
+ */
+function getClientId(clientKey) {
+  if (typeof clientKey !== 'string' || !CLIENT_KEY_PATTERN.test(clientKey)) {
+    return null;
+  }
+  const hash = crypto.createHash('sha256').update(clientKey).digest('hex');
+  return `user-${hash.substring(0, 24)}`;
+}
+
+module.exports = {
+  getClientId
+};
@@ -0,0 +1,212 @@
+/**
+ * Layer Manager Module
+ *
+ * Every room has an ordered list of layers (bottom first). Each element in
+ * room.strokes belongs to one layer through its `layerId`; elements without
+ * one belong to the default layer, which every room has and which cannot be
+ * removed:
+ *   { id, name, visible, locked }
+ *
+ * The layer list is kept on the room object and written through the room
+ * storage backend, so it shares the room's lifetime and durability.
+ *
+ * Hidden layers are left out of exports and can't be erased or edited.
+ * Locked layers can't be drawn on, erased, edited, moved, undone into or
+ * cleared; the server enforces this for every change to the room.
+ */
+
+const roomManager = require('./rooms');
+
+// Layer that elements without a layerId belong to
+const DEFAULT_LAYER_ID = 'default';
+
+// Maximum number of layers in a room
+const MAX_LAYERS = 20;
+
+// Maximum length of a layer name
+const MAX_LAYER_NAME_LENGTH = 50;
+
+class LayerManager {
+  /**
+   * Get the layer list for a room, loading it from storage on first use
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Layers {id, name, visible, locked}, bottom first
+   */
+  getLayers(roomId) {
+    const room = roomManager.getRoom(roomId);
+    if (!room.layers) {
+      room.layers = roomManager.storage.loadLayers(roomId) ||
+        [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+    }
+    return room.layers;
+  }
+
+  /**
+   * Find a layer by ID
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} layerId - Layer ID (the default layer if missing)
+   * @returns {Object|undefined} The layer
+   */
+  getLayer(roomId, layerId) {
+    const id = layerId ?? DEFAULT_LAYER_ID;
+    return this.getLayers(roomId).find(layer => layer.id === id);
+  }
+
+  /**
+   * Add a new layer on top of the others
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} name - Layer name (a numbered name is used if empty)
+   * @returns {Object|null} The created layer, or null if the room has too many layers
+   */
+  createLayer(roomId, name) {
+    const layers = this.getLayers(roomId);
+    if (layers.length >= MAX_LAYERS) return null;
+
+    const layer = {
+      id: `layer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: cleanName(name) || `Layer ${layers.length + 1}`,
+      visible: true,
+      locked: false
+    };
+
+    layers.push(layer);
+    this.saveLayers(roomId);
+
+    console.log(`Layer ${layer.id} ("${layer.name}") created in room ${roomId}`);
+    return layer;
+  }
+
+  /**
+   * Rename, hide/show or lock/unlock a layer
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} layerId - Layer ID
+   * @param {Object} changes - {name, visible, locked}; missing fields are kept
+   * @returns {Object|null} The updated layer, or null if the layer or a change is invalid
+   */
+  updateLayer(roomId, layerId, { name, visible, locked }) {
+    const layer = this.getLayer(roomId, layerId);
+    if (!layer) return null;
+
+    if ((name !== undefined && !cleanName(name)) ||
+        (visible !== undefined && typeof visible !== 'boolean') ||
+        (locked !== undefined && typeof locked !== 'boolean')) {
+      return null;
+    }
+
+    if (name !== undefined) layer.name = cleanName(name);
+    if (visible !== undefined) layer.visible = visible;
+    if (locked !== undefined) layer.locked = locked;
+    this.saveLayers(roomId);
+
+    console.log(`Layer ${layerId} in room ${roomId} updated`);
+    return layer;
+  }
+
+  /**
+   * Move a layer to a new position in the stack
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} layerId - Layer ID
+   * @param {number} index - New position (0 is the bottom)
+   * @returns {boolean} True if the layer was moved
+   */
+  moveLayer(roomId, layerId, index) {
+    const layers = this.getLayers(roomId);
+    const from = layers.findIndex(layer => layer.id === layerId);
+    if (from === -1 || !Number.isInteger(index) || index < 0 || index >= layers.length) {
+      return false;
+    }
+
+    const [layer] = layers.splice(from, 1);
+    layers.splice(index, 0, layer);
+    this.saveLayers(roomId);
+
+    console.log(`Layer ${layerId} in room ${roomId} moved to position ${index}`);
+    return true;
+  }
+
+  /**
+   * Check whether new elements may be added to a layer
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} layerId - Layer ID (the default layer if missing)
+   * @returns {boolean} True if the layer exists and isn't locked
+   */
+  canDrawOn(roomId, layerId) {
+    const layer = this.getLayer(roomId, layerId);
+    return Boolean(layer) && !layer.locked;
+  }
+
+  /**
+   * Check whether an element's layer is locked
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} element - Room element
+   * @returns {boolean} True if the element is on a locked layer
+   */
+  isLocked(roomId, element) {
+    const layer = this.getLayer(roomId, element.layerId);
+    return Boolean(layer && layer.locked);
+  }
+
+  /**
+   * Check whether an element may be erased or edited: its layer is visible
+   * and not locked
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} element - Room element
+   * @returns {boolean} True if the element can be changed
+   */
+  isEditable(roomId, element) {
+    const layer = this.getLayer(roomId, element.layerId);
+    return Boolean(layer) && layer.visible && !layer.locked;
+  }
+
+  /**
+   * Get the elements of a room in compositing order: layer by layer from the
+   * bottom up, skipping hidden layers
+   * Mirrors compositeLayers in the client's canvasLogic.js.
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Visible elements in drawing order
+   */
+  getVisibleStrokes(roomId) {
+    const layers = this.getLayers(roomId);
+    const layerIndex = new Map(layers.map((layer, index) => [layer.id, index]));
+    const layered = layers.map(() => []);
+
+    for (const stroke of roomManager.getStrokes(roomId)) {
+      const index = layerIndex.get(stroke.layerId ?? DEFAULT_LAYER_ID) ?? layerIndex.get(DEFAULT_LAYER_ID);
+      layered[index].push(stroke);
+    }
+
+    return layered.filter((_, index) => layers[index].visible).flat();
+  }
+
+  /**
+   * Persist the layer list of a room
+   *
+   * @param {string} roomId - Room identifier
+   */
+  saveLayers(roomId) {
+    roomManager.storage.saveLayers(roomId, this.getLayers(roomId));
+  }
+}
+
+/**
+ * Normalise a layer name
+ *
+ * @param {*} name - Candidate name
+ * @returns {string} Trimmed name (empty if unusable)
+ */
+function cleanName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, MAX_LAYER_NAME_LENGTH) : '';
+}
+
+// Export singleton instance
+const layerManager = new LayerManager();
+module.exports = layerManager;
@@ -0,0 +1,264 @@
+/**
+ * Presence Module
+ *
+ * The server owns the presence record of every connected user, so every
+ * client sees the same name, colour and status for a collaborator:
+ *   { id, socketId, name, color, status, presenting }
+ *
+ * - id is the user's client ID (see identity.js), shared by their tabs;
+ *   socketId identifies the connection (ghost cursors and previews are keyed
+ *   by it)
+ * - Names are unique among the people in a room: a second "Alice" becomes
+ *   "Alice (2)"; tabs of the same user keep the same name
+ * - Colours are assigned once per user per room, preferring the palette
+ *   colour fewest people in the room have. They are kept on the room object,
+ *   so users keep their colour for as long as the room is loaded
+ * - The status follows the user's activity (see touch and tick):
+ *     drawing - changed the drawing in the last DRAWING_TIMEOUT
+ *     active  - sent anything (e.g. moved their cursor) in the last IDLE_TIMEOUT
+ *     idle    - nothing for IDLE_TIMEOUT
+ *     away    - nothing for AWAY_TIMEOUT
+ * - One user per room can present: everyone else is asked to follow their
+ *   viewport, the part of the drawing they see ({zoom, panX, panY, width,
+ *   height}, kept with the record but sent separately as it changes often)
+ */
+
+const roomManager = require('./rooms');
+
+// Colours handed out to users, in order of preference
+const USER_COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'];
+
+// How long after their last activity users stop drawing, go idle and go away (ms)
+const DRAWING_TIMEOUT = 3 * 1000;
+const IDLE_TIMEOUT = 60 * 1000;
+const AWAY_TIMEOUT = 5 * 60 * 1000;
+
+class PresenceManager {
+  constructor() {
+    // Map<roomId, Map<socketId, {id, socketId, name, color, status, presenting, viewport, lastActive, lastDrawn}>>
+    this.rooms = new Map();
+  }
+
+  /**
+   * Add a user's connection to a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} socketId - Socket ID of the connection
+   * @param {string} userId - Client ID of the user (see identity.js)
+   * @param {string} name - Name the user chose
+   * @returns {Object} The user's presence record
+   */
+  join(roomId, socketId, userId, name) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, new Map());
+    }
+    const users = this.rooms.get(roomId);
+    const now = Date.now();
+
+    const record = {
+      id: userId,
+      socketId,
+      name: this.getUniqueName(users, userId, name),
+      color: this.getColor(roomId, userId),
+      status: 'active',
+      presenting: false,
+      viewport: null,
+      lastActive: now,
+      lastDrawn: 0
+    };
+    users.set(socketId, record);
+    return record;
+  }
+
+  /**
+   * Remove a user's connection from a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} socketId - Socket ID of the connection
+   */
+  leave(roomId, socketId) {
+    const users = this.rooms.get(roomId);
+    if (!users) return;
+
+    users.delete(socketId);
+    if (users.size === 0) {
+      this.rooms.delete(roomId);
+    }
+  }
+
+  /**
+   * Get the presence records of everyone in a room, in order of arrival
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Records {id, socketId, name, color, status, presenting}
+   */
+  getUsers(roomId) {
+    const users = this.rooms.get(roomId);
+    if (!users) return [];
+
+    return Array.from(users.values()).map(({ id, socketId, name, color, status, presenting }) =>
+      ({ id, socketId, name, color, status, presenting }));
+  }
+
+  /**
+   * Record the part of the drawing a user sees
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} socketId - Socket ID of the connection
+   * @param {Object} viewport - {zoom, panX, panY, width, height}
+   * @returns {boolean} True if the user is in the room
+   */
+  setViewport(roomId, socketId, viewport) {
+    const users = this.rooms.get(roomId);
+    const record = users && users.get(socketId);
+    if (!record) return false;
+
+    record.viewport = viewport;
+    return true;
+  }
+
+  /**
+   * Get the viewports of everyone in a room who has sent one
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Viewports {userId, zoom, panX, panY, width, height} (userId is the socket ID)
+   */
+  getViewports(roomId) {
+    const users = this.rooms.get(roomId);
+    if (!users) return [];
+
+    return Array.from(users.values())
+      .filter(record => record.viewport)
+      .map(record => ({ userId: record.socketId, ...record.viewport }));
+  }
+
+  /**
+   * Start or stop presenting; a new presenter takes over from the last one
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} socketId - Socket ID of the connection
+   * @param {boolean} presenting - True to ask everyone to follow this user
+   * @returns {boolean} True if the user is in the room
+   */
+  setPresenting(roomId, socketId, presenting) {
+    const users = this.rooms.get(roomId);
+    if (!users || !users.has(socketId)) return false;
+
+    for (const record of users.values()) {
+      record.presenting = presenting && record.socketId === socketId;
+    }
+    return true;
+  }
+
+  /**
+   * Record activity from a user
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} socketId - Socket ID of the connection
+   * @param {boolean} drawing - True if the activity changed the drawing
+   * @returns {boolean} True if the user's status changed
+   */
+  touch(roomId, socketId, drawing) {
+    const users = this.rooms.get(roomId);
+    const record = users && users.get(socketId);
+    if (!record) return false;
+
+    const now = Date.now();
+    record.lastActive = now;
+    if (drawing) record.lastDrawn = now;
+    return this.updateStatus(record, now);
+  }
+
+  /**
+   * Bring every user's status up to date with the time passed since their
+   * last activity; called regularly by the server
+   *
+   * @returns {Array} IDs of the rooms in which a status changed
+   */
+  tick() {
+    const now = Date.now();
+    const changed = [];
+
+    for (const [roomId, users] of this.rooms) {
+      let roomChanged = false;
+      for (const record of users.values()) {
+        if (this.updateStatus(record, now)) roomChanged = true;
+      }
+      if (roomChanged) changed.push(roomId);
+    }
+    return changed;
+  }
+
+  /**
+   * Work out a user's status from their last activity
+   *
+   * @param {Object} record - Presence record
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the status changed
+   */
+  updateStatus(record, now) {
+    const status = now - record.lastDrawn < DRAWING_TIMEOUT ? 'drawing'
+      : now - record.lastActive < IDLE_TIMEOUT ? 'active'
+      : now - record.lastActive < AWAY_TIMEOUT ? 'idle'
+      : 'away';
+
+    if (status === record.status) return false;
+    record.status = status;
+    return true;
+  }
+
+  /**
+   * Pick the name a user is shown with
+   * Other users already in the room with the same name push it to "Name (2)",
+   * "Name (3)" and so on
+   *
+   * @param {Map} users - Presence records of the room
+   * @param {string} userId - Client ID of the user
+   * @param {string} name - Name the user chose
+   * @returns {string} Name unique among the other users in the room
+   */
+  getUniqueName(users, userId, name) {
+    const records = Array.from(users.values());
+    const own = records.find(record => record.id === userId);
+    if (own) return own.name;
+
+    const taken = new Set(records.map(record => record.name));
+    let unique = name;
+    for (let count = 2; taken.has(unique); count++) {
+      unique = `${name} (${count})`;
+    }
+    return unique;
+  }
+
+  /**
+   * Get a user's colour in a room, assigning one on their first visit
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user
+   * @returns {string} Hex colour
+   */
+  getColor(roomId, userId) {
+    const room = roomManager.getRoom(roomId);
+    if (!room.userColors) {
+      room.userColors = new Map();
+    }
+    if (room.userColors.has(userId)) {
+      return room.userColors.get(userId);
+    }
+
+    // Prefer the colour the fewest people in the room have
+    const counts = new Map(USER_COLORS.map(color => [color, 0]));
+    for (const record of (this.rooms.get(roomId) || new Map()).values()) {
+      counts.set(record.color, counts.get(record.color) + 1);
+    }
+    const color = USER_COLORS.reduce((best, candidate) =>
+      counts.get(candidate) < counts.get(best) ? candidate : best);
+
+    room.userColors.set(userId, color);
+    return color;
+  }
+}
+
+// Export singleton instance
+const presenceManager = new PresenceManager();
+module.exports = presenceManager;
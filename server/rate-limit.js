@@ -0,0 +1,274 @@
+/**
+ * Rate Limiting Module
+ *
+ * Every socket gets a token bucket per event type: each event takes a token,
+ * and tokens refill at a steady rate up to the bucket's capacity, which is
+ * the burst a client may send at once (e.g. its offline queue). Events that
+ * find their bucket empty are dropped.
+ *
+ * Clients that keep hitting their limits escalate. Hits less than
+ * strikeInterval apart count as one strike, and strikes are forgotten after
+ * strikeMemory:
+ *   1. warning    - the event is dropped and the client is warned
+ *   2. throttled  - after throttleAfter strikes, all the socket's buckets
+ *                   refill slower for throttleDuration
+ *   3. disconnect - after disconnectAfter strikes the socket is disconnected
+ *
+ * Rooms are also capped in total strokes and points (see server.js), and
+ * every client address gets a bucket of room password attempts: each check
+ * takes a token before anything is hashed and a right password gives it
+ * back, so only wrong passwords use the bucket up. Once it is empty, checks
+ * from that address are refused until it refills (see access.js).
+ *
+ * The defaults below can be overridden with the RATE_LIMITS environment
+ * variable, a JSON object with the same shape (event buckets are merged one
+ * by one). Every hit is counted for monitoring (see getStats).
+ */
+
+// Default limits; bucket refill rates are tokens per second
+const DEFAULT_LIMITS = {
+  events: {
+    'register-user': { capacity: 5, refill: 0.5 },
+    'request-sync': { capacity: 5, refill: 1 },
+    'stroke': { capacity: 100, refill: 10 },
+    'stroke-begin': { capacity: 20, refill: 10 },
+    'stroke-append': { capacity: 40, refill: 30 },
+    'stroke-end': { capacity: 20, refill: 10 },
+    'import-strokes': { capacity: 3, refill: 0.2 },
+    'erase': { capacity: 20, refill: 5 },
+    'undo': { capacity: 20, refill: 5 },
+    'redo': { capacity: 20, refill: 5 },
+    'clear-canvas': { capacity: 5, refill: 1 },
+    'cursor-move': { capacity: 60, refill: 30 },
+    'viewport': { capacity: 20, refill: 10 },
+    'shape-preview': { capacity: 120, refill: 120 },
+    'text-preview': { capacity: 60, refill: 30 },
+    'selection-preview': { capacity: 120, refill: 120 }
+  },
+  // Bucket of every event without its own
+  defaultBucket: { capacity: 30, refill: 5 },
+  strikeInterval: 1000,
+  strikeMemory: 60 * 1000,
+  throttleAfter: 3,
+  disconnectAfter: 5,
+  // How fast buckets refill while throttled, as a fraction of their rate
+  throttleFactor: 0.25,
+  throttleDuration: 30 * 1000,
+  maxRoomStrokes: 10000,
+  maxRoomPoints: 1000000,
+  // Wrong room passwords per client address, across sockets and REST requests
+  passwordAttempts: { capacity: 5, refill: 0.1 }
+};
+
+// How many client addresses with wrong passwords are remembered before the
+// ones whose bucket has refilled are forgotten
+const MAX_PASSWORD_BUCKETS = 10000;
+
+// Hits since the server started, for monitoring
+const stats = {
+  hits: 0,
+  hitsByEvent: {},
+  warnings: 0,
+  throttles: 0,
+  disconnects: 0,
+  roomLimitHits: 0,
+  passwordLockouts: 0
+};
+
+// Buckets of wrong room passwords: Map<address, {tokens, updatedAt}>
+const passwordBuckets = new Map();
+
+/**
+ * Read the limits, applying overrides from the RATE_LIMITS environment variable
+ *
+ * @returns {Object} Limits (see DEFAULT_LIMITS)
+ */
+function loadLimits() {
+  if (!process.env.RATE_LIMITS) return DEFAULT_LIMITS;
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    return {
+      ...DEFAULT_LIMITS,
+      ...overrides,
+      events: { ...DEFAULT_LIMITS.events, ...overrides.events }
+    };
+  } catch (error) {
+    console.error(`Ignoring invalid RATE_LIMITS: ${error.message}`);
+    return DEFAULT_LIMITS;
+  }
+}
+
+const limits = loadLimits();
+
+class RateLimiter {
+  /**
+   * Limiter for one socket
+   */
+  constructor() {
+    // Map<event, {tokens, updatedAt}>
+    this.buckets = new Map();
+    // Times of the socket's recent strikes, oldest first
+    this.strikes = [];
+    this.throttledUntil = 0;
+  }
+
+  /**
+   * Take a token for an event
+   * - Allowed events return null
+   * - Dropped events return the escalation level; `escalated` is true when
+   *   the hit counted as a new strike, i.e. when the client should be told
+   *
+   * @param {string} event - Event name
+   * @param {number} [now] - Current time in ms
+   * @returns {Object|null} {level: 'warning'|'throttled'|'disconnect', escalated}, or null if allowed
+   */
+  take(event, now = Date.now()) {
+    const { capacity, refill } = limits.events[event] || limits.defaultBucket;
+    const rate = now < this.throttledUntil ? refill * limits.throttleFactor : refill;
+
+    let bucket = this.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now };
+      this.buckets.set(event, bucket);
+    }
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * rate);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return null;
+    }
+
+    stats.hits++;
+    stats.hitsByEvent[event] = (stats.hitsByEvent[event] || 0) + 1;
+    return this.strike(now);
+  }
+
+  /**
+   * Record a hit and work out how far the socket has escalated
+   *
+   * @param {number} now - Current time in ms
+   * @returns {Object} {level, escalated} (see take)
+   */
+  strike(now) {
+    this.strikes = this.strikes.filter(time => now - time < limits.strikeMemory);
+
+    const last = this.strikes[this.strikes.length - 1];
+    const escalated = last === undefined || now - last >= limits.strikeInterval;
+    if (escalated) {
+      this.strikes.push(now);
+    }
+
+    const count = this.strikes.length;
+    if (count >= limits.disconnectAfter) {
+      if (escalated) stats.disconnects++;
+      return { level: 'disconnect', escalated };
+    }
+    if (count >= limits.throttleAfter) {
+      if (escalated) {
+        this.throttledUntil = now + limits.throttleDuration;
+        stats.throttles++;
+      }
+      return { level: 'throttled', escalated };
+    }
+    if (escalated) stats.warnings++;
+    return { level: 'warning', escalated };
+  }
+}
+
+/**
+ * Check whether a room has room for more strokes
+ *
+ * @param {Object} size - Current {strokes, points} of the room
+ * @param {Array} strokes - Strokes to add
+ * @returns {string|null} Why the strokes can't be added, or null if they can
+ */
+function getRoomLimitError(size, strokes) {
+  const points = strokes.reduce((total, stroke) => total + stroke.points.length, 0);
+  if (size.strokes + strokes.length <= limits.maxRoomStrokes && size.points + points <= limits.maxRoomPoints) {
+    return null;
+  }
+
+  stats.roomLimitHits++;
+  return size.strokes + strokes.length > limits.maxRoomStrokes
+    ? `the room is full (at most ${limits.maxRoomStrokes} elements)`
+    : `the room is full (at most ${limits.maxRoomPoints} points)`;
+}
+
+/**
+ * Refill the wrong-password bucket of a client address
+ *
+ * @param {string} address - Client address
+ * @param {number} now - Current time in ms
+ * @returns {Object|undefined} {tokens, updatedAt}, or undefined if the bucket is full
+ */
+function refillPasswordBucket(address, now) {
+  const { capacity, refill } = limits.passwordAttempts;
+  const bucket = passwordBuckets.get(address);
+  if (!bucket) return undefined;
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refill);
+  bucket.updatedAt = now;
+  if (bucket.tokens >= capacity) {
+    passwordBuckets.delete(address);
+    return undefined;
+  }
+  return bucket;
+}
+
+/**
+ * Take a room password attempt for a client address, before the password
+ * is checked
+ *
+ * @param {string} address - Client address
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if the address had an attempt left
+ */
+function takePasswordAttempt(address, now = Date.now()) {
+  if (passwordBuckets.size >= MAX_PASSWORD_BUCKETS) {
+    for (const key of passwordBuckets.keys()) refillPasswordBucket(key, now);
+  }
+
+  const bucket = refillPasswordBucket(address, now) || { tokens: limits.passwordAttempts.capacity, updatedAt: now };
+  if (bucket.tokens < 1) {
+    stats.passwordLockouts++;
+    return false;
+  }
+  bucket.tokens -= 1;
+  passwordBuckets.set(address, bucket);
+  return true;
+}
+
+/**
+ * Give back the attempt of a password that turned out to be right
+ *
+ * @param {string} address - Client address
+ * @param {number} [now] - Current time in ms
+ */
+function returnPasswordAttempt(address, now = Date.now()) {
+  const bucket = refillPasswordBucket(address, now);
+  if (bucket) {
+    bucket.tokens += 1;
+    refillPasswordBucket(address, now);
+  }
+}
+
+/**
+ * Get the rate limiting counters
+ *
+ * @returns {Object} Hits (total and per event), warnings, throttles,
+ *   disconnects, room limit hits and refused password checks since the
+ *   server started
+ */
+function getStats() {
+  return { ...stats, hitsByEvent: { ...stats.hitsByEvent } };
+}
+
+module.exports = {
+  RateLimiter,
+  getRoomLimitError,
+  takePasswordAttempt,
+  returnPasswordAttempt,
+  getStats
+};
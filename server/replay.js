@@ -0,0 +1,133 @@
+/**
+ * Session Replay Module
+ *
+ * Records a timestamped log of every drawing operation handled in a room
+ * (strokes, undo, redo, clears, moderation and restores) so clients can
+ * replay how a drawing was built. Each entry carries the room op it caused,
+ * so replaying is just applying the ops in order to an empty canvas.
+ *
+ * The log lives on the room object and is written through the room storage
+ * backend, so it shares the room's lifetime and durability.
+ *
+ * The log is capped at MAX_REPLAY_SIZE: once it grows past that, its oldest
+ * entries are folded into a single 'start' entry holding the drawing as it
+ * was after them (a 'replace' op), so the replay begins from there.
+ */
+
+const roomManager = require('./rooms');
+
+// Largest replay log kept per room, counted in points plus one per entry.
+// Past it, the oldest entries are folded until the log is half this size
+const MAX_REPLAY_SIZE = 1000000;
+
+/**
+ * Size of a replay entry: one, plus the points of the strokes and the IDs
+ * its op carries. The 'start' entry isn't counted: it is a single drawing,
+ * which the room's stroke and point limits already bound
+ *
+ * @param {Object} entry - Replay entry
+ * @returns {number} Size
+ */
+function getEntrySize({ event, op }) {
+  if (event === 'start') return 0;
+
+  const strokes = op.stroke ? [op.stroke] : op.strokes || (op.changes || []).flatMap(change => change.strokes);
+  const points = strokes.reduce((total, stroke) => total + (Array.isArray(stroke.points) ? stroke.points.length : 0), 0);
+  return 1 + points + (op.strokeIds ? op.strokeIds.length : 0);
+}
+
+class ReplayRecorder {
+  /**
+   * Get the replay log for a room, loading it from storage on first use
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Replay entries, oldest first
+   */
+  getLog(roomId) {
+    const room = roomManager.getRoom(roomId);
+    if (!room.replayLog) {
+      room.replayLog = roomManager.storage.loadReplay(roomId) || [];
+      room.replaySize = room.replayLog.reduce((total, entry) => total + getEntrySize(entry), 0);
+      if (room.replaySize > MAX_REPLAY_SIZE) this.compact(roomId);
+    }
+    return room.replayLog;
+  }
+
+  /**
+   * Record an operation in the room's replay log
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} event - Event that caused the change (stroke, undo, redo, clear-canvas, clear-user-strokes, clear-all, restore)
+   * @param {Object} op - Room op that was applied (see applyOp in rooms.js)
+   * @param {string} userId - User who triggered the event
+   */
+  record(roomId, event, op, userId) {
+    const entry = {
+      event,
+      userId,
+      timestamp: Date.now(),
+      op
+    };
+
+    const room = roomManager.getRoom(roomId);
+    this.getLog(roomId).push(entry);
+    room.replaySize += getEntrySize(entry);
+    roomManager.storage.appendReplay(roomId, entry);
+
+    if (room.replaySize > MAX_REPLAY_SIZE) this.compact(roomId);
+  }
+
+  /**
+   * Fold the oldest entries of a room's replay log into one 'start' entry
+   * with the drawing as it was after them, until the rest of the log is at
+   * most half of MAX_REPLAY_SIZE (the newest entry is always kept), and save
+   * the result
+   *
+   * @param {string} roomId - Room identifier
+   */
+  compact(roomId) {
+    const room = roomManager.getRoom(roomId);
+    const log = room.replayLog;
+
+    let strokes = [];
+    let size = room.replaySize;
+    let folded = 0;
+    while (folded < log.length - 1 && size > MAX_REPLAY_SIZE / 2) {
+      strokes = roomManager.applyOp(strokes, log[folded].op);
+      size -= getEntrySize(log[folded]);
+      folded++;
+    }
+    if (folded === 0) return;
+
+    const start = {
+      event: 'start',
+      userId: null,
+      timestamp: log[folded - 1].timestamp,
+      op: { type: 'replace', strokes }
+    };
+    log.splice(0, folded, start);
+    room.replaySize = size;
+    roomManager.storage.saveReplay(roomId, log);
+
+    console.log(`Folded ${folded} old replay entries of room ${roomId}`);
+  }
+
+  /**
+   * Get the replay of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Object} {roomId, startedAt, entries[]}
+   */
+  getReplay(roomId) {
+    const room = roomManager.getRoom(roomId);
+    return {
+      roomId,
+      startedAt: room.createdAt,
+      entries: this.getLog(roomId)
+    };
+  }
+}
+
+// Export singleton instance
+const replayRecorder = new ReplayRecorder();
+module.exports = replayRecorder;
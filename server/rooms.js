@@ -5,41 +5,221 @@
  * - Unique room ID
  * - Collection of drawing strokes
  * - Active user connections
- * - Real-time cursor positions
+ * - Real-time cursor positions, broadcast in batches (see takeCursorFrames)
+ * - Brush strokes that are still being drawn (never persisted)
  * - Room creation timestamp
  * 
- * Handles automatic cleanup of empty rooms after 5 minutes of inactivity.
+ * Every change to a room's strokes is written through the configured storage
+ * backend (see storage.js) as an operation, so rooms can be reloaded lazily
+ * after a restart. Each op gets the room's next sequence number, which clients
+ * use to apply broadcast changes in order and to notice ones they missed.
+ * Sequence numbers start again when a room's changes weren't kept (e.g. with
+ * the memory backend), so each incarnation of a room gets a random epoch, and
+ * a client's seq only means something together with the epoch it came from.
+ * The first op of a room writes a snapshot instead of a log entry, so the
+ * epoch is on disk before any seq that counts in it.
+ * While the storage backend can't write a room, the room reports it (see
+ * getStorageError) so changes to it are refused, and it stays loaded.
+ * The most recent ops are also kept in memory, so a client that reconnects
+ * can be sent just the changes it missed. Empty rooms are unloaded from memory after 5 minutes of
+ * inactivity.
  */
 
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+
+// Number of logged ops after which a full snapshot is written
+const SNAPSHOT_INTERVAL = 100;
+
+// Number of recent ops kept in memory for clients resuming after a reconnect
+const MAX_RECENT_OPS = 500;
+
+/**
+ * Apply a single operation to a strokes array
+ * Used both for live mutations and for replaying a persisted op log
+ *
+ * Supported ops:
+ * - { type: 'add', stroke }        - append a stroke
+ * - { type: 'add-many', strokes }  - append several strokes at once
+ * - { type: 'remove', strokeIds }  - remove strokes by ID
+ * - { type: 'replace', strokes }   - replace the whole drawing
+ * - { type: 'splice', changes }    - replace strokes in place; each change
+ *   {removeIds, strokes, index} removes strokes by ID and inserts the new ones
+ *   where the first removed stroke was (or at index if none was found)
+ *
+ * @param {Array} strokes - Current strokes
+ * @param {Object} op - Operation to apply
+ * @returns {Array} Resulting strokes array
+ */
+function applyOp(strokes, op) {
+  switch (op.type) {
+    case 'add':
+      strokes.push(op.stroke);
+      return strokes;
+    case 'add-many':
+      strokes.push(...op.strokes);
+      return strokes;
+    case 'remove': {
+      const ids = new Set(op.strokeIds);
+      return strokes.filter(stroke => !ids.has(stroke.id));
+    }
+    case 'replace':
+      return [...op.strokes];
+    case 'splice': {
+      let result = strokes;
+      for (const change of op.changes) {
+        const ids = new Set(change.removeIds);
+        let at = result.findIndex(stroke => ids.has(stroke.id));
+        if (at === -1) at = Math.min(change.index ?? result.length, result.length);
+        result = result.filter(stroke => !ids.has(stroke.id));
+        result.splice(at, 0, ...change.strokes);
+      }
+      return result;
+    }
+    default:
+      console.log(`Unknown room op type: ${op.type}`);
+      return strokes;
+  }
+}
+
 class RoomManager {
-  constructor() {
-    // Store all rooms: Map<roomId, RoomObject>
-    // RoomObject: { id, strokes[], cursors Map, users Set, createdAt }
+  /**
+   * @param {Object} storage - Storage backend (see storage.js)
+   */
+  constructor(storage = createStorage()) {
+    // Store all loaded rooms: Map<roomId, RoomObject>
+    // RoomObject: { id, strokes[], seq, recentOps[], cursors Map, movedCursors Set, partialStrokes Map, users Set, createdAt, opsSinceSnapshot, hasSnapshot }
     this.rooms = new Map();
+    this.storage = storage;
+    // Rooms with cursors that moved since the last cursor frame
+    this.roomsWithMovedCursors = new Set();
   }
 
   /**
    * Get or create a room
-   * If room doesn't exist, creates a new one with empty state
+   * If the room isn't loaded, restores it from storage or creates a new one
+   * with empty state
    * 
    * @param {string} roomId - Unique identifier for the room
    * @returns {Object} Room object containing id, strokes, cursors, users, and createdAt
    */
   getRoom(roomId) {
     if (!this.rooms.has(roomId)) {
-      // Initialize new room with empty state
-      this.rooms.set(roomId, {
+      const room = {
         id: roomId,
         strokes: [],              // Array of all drawing strokes in this room
+        seq: 0,                   // Sequence number of the last op applied
+        epoch: crypto.randomBytes(8).toString('hex'), // Incarnation the seq counts in (see getEpoch)
+        recentOps: [],            // Last ops applied, with their seq (see getOpsSince)
         cursors: new Map(),       // Map<userId, {x, y}> - cursor positions
+        movedCursors: new Set(),  // Users whose cursor moved since the last cursor frame
+        partialStrokes: new Map(), // Map<userId, stroke> - strokes still being drawn
         users: new Set(),         // Set of active user socket IDs
-        createdAt: Date.now()     // Room creation timestamp
-      });
-      console.log(`Created new room: ${roomId}`);
+        createdAt: Date.now(),    // Room creation timestamp
+        opsSinceSnapshot: 0,      // Ops logged since the last snapshot
+        hasSnapshot: false,       // Whether a snapshot (with the epoch) was written
+        unloadTimer: null         // Pending unload while the room is empty
+      };
+
+      const saved = this.storage.load(roomId);
+      if (saved) {
+        if (saved.snapshot) {
+          room.strokes = saved.snapshot.strokes;
+          room.seq = saved.snapshot.seq || 0;
+          room.epoch = saved.snapshot.epoch || room.epoch;
+          room.createdAt = saved.snapshot.createdAt;
+          room.hasSnapshot = true;
+        } else {
+          // Never snapshotted: the first logged op is as old as the room gets
+          room.createdAt = saved.ops[0].timestamp;
+        }
+        // A crash between writing a snapshot and truncating the log leaves
+        // ops in the log that the snapshot already contains, and a retried
+        // append can log an op twice
+        let applied = 0;
+        for (const op of saved.ops) {
+          if (op.seq && op.seq <= room.seq) continue;
+          room.strokes = applyOp(room.strokes, op);
+          // Ops logged before sequence numbers existed count on from the last one
+          room.seq = op.seq || room.seq + 1;
+          applied++;
+        }
+        room.opsSinceSnapshot = applied;
+        console.log(`Loaded room ${roomId} from storage (${room.strokes.length} strokes)`);
+      } else {
+        console.log(`Created new room: ${roomId}`);
+      }
+
+      this.rooms.set(roomId, room);
+
+      // Rooms loaded without anyone joining (e.g. via the REST API) are unloaded again
+      this.scheduleUnload(roomId);
     }
     return this.rooms.get(roomId);
   }
 
+  /**
+   * Apply an operation to a room and write it through to storage
+   * The op gets the room's next sequence number (see getSeq). Takes a
+   * snapshot instead of logging the first op of a room, and once enough ops
+   * have accumulated in the log
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} op - Operation (see applyOp)
+   * @returns {Object} Room object after the change
+   */
+  commit(roomId, op) {
+    const room = this.getRoom(roomId);
+    room.seq++;
+    const record = { ...op, seq: room.seq, timestamp: Date.now() };
+
+    room.strokes = applyOp(room.strokes, record);
+
+    room.recentOps.push(record);
+    if (room.recentOps.length > MAX_RECENT_OPS) {
+      room.recentOps.shift();
+    }
+
+    if (!room.hasSnapshot || room.opsSinceSnapshot + 1 >= SNAPSHOT_INTERVAL) {
+      this.snapshotRoom(roomId);
+    } else {
+      this.storage.append(roomId, record);
+      room.opsSinceSnapshot++;
+    }
+    return room;
+  }
+
+  /**
+   * Write a full snapshot of a loaded room to storage
+   *
+   * @param {string} roomId - Room identifier
+   */
+  snapshotRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    this.storage.snapshot(roomId, {
+      createdAt: room.createdAt,
+      seq: room.seq,
+      epoch: room.epoch,
+      strokes: room.strokes
+    });
+    room.opsSinceSnapshot = 0;
+    room.hasSnapshot = true;
+  }
+
+  /**
+   * Check whether changes to a room can be saved right now
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {string|null} Why the room can't take changes, or null if it can
+   */
+  getStorageError(roomId) {
+    const error = this.storage.getWriteError(roomId);
+    if (!error) return null;
+    return 'the server can\'t save changes to this room right now, try again in a moment';
+  }
+
   /**
    * Add a user to a room
    * Automatically creates room if it doesn't exist
@@ -55,7 +235,7 @@ class RoomManager {
 
   /**
    * Remove a user from a room
-   * Schedules room cleanup if it becomes empty (5-minute delay)
+   * Schedules unloading the room if it becomes empty (5-minute delay)
    * 
    * @param {string} roomId - Room identifier
    * @param {string} userId - User's socket ID
@@ -66,35 +246,58 @@ class RoomManager {
 
     room.users.delete(userId);
     room.cursors.delete(userId);
+
+    // A stroke the user was still drawing is abandoned
+    room.partialStrokes.delete(userId);
     
     console.log(`User ${userId} left room ${roomId} (${room.users.size} remaining)`);
 
     // Schedule cleanup for empty rooms
     if (room.users.size === 0) {
       console.log(`Room ${roomId} is empty, scheduling cleanup`);
-      
-      // Wait 5 minutes before deleting empty room (in case users reconnect)
-      setTimeout(() => {
-        if (this.rooms.has(roomId) && this.rooms.get(roomId).users.size === 0) {
-          this.rooms.delete(roomId);
-          console.log(`Deleted empty room: ${roomId}`);
-        }
-      }, 5 * 60 * 1000); // 5 minutes
+      this.scheduleUnload(roomId);
     }
   }
 
+  /**
+   * Unload a room from memory if it is still empty after 5 minutes
+   * (in case users reconnect). Durable backends keep the drawing; the memory
+   * backend discards it.
+   *
+   * @param {string} roomId - Room identifier
+   */
+  scheduleUnload(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    // Restart the countdown so the room always gets the full 5 minutes
+    clearTimeout(room.unloadTimer);
+    room.unloadTimer = setTimeout(() => {
+      if (this.storage.getWriteError(roomId)) {
+        // Unsaved changes only exist in memory until a write succeeds
+        this.scheduleUnload(roomId);
+        return;
+      }
+      if (this.rooms.has(roomId) && this.rooms.get(roomId).users.size === 0) {
+        if (this.rooms.get(roomId).opsSinceSnapshot > 0) {
+          this.snapshotRoom(roomId);
+        }
+        this.rooms.delete(roomId);
+        console.log(`Unloaded empty room: ${roomId}`);
+      }
+    }, 5 * 60 * 1000).unref(); // 5 minutes
+  }
+
   /**
    * Add a drawing stroke to a room
    * Enriches stroke with unique ID, user ID, and timestamp metadata
    * 
    * @param {string} roomId - Room identifier
    * @param {Object} stroke - Stroke object {color, width, points[]}
-   * @param {string} userId - User's socket ID who created the stroke
+   * @param {string} userId - User's client ID (see identity.js) who created the stroke
    * @returns {Object} Stroke with added metadata (id, userId, timestamp)
    */
   addStroke(roomId, stroke, userId) {
-    const room = this.getRoom(roomId);
-    
     // Enrich stroke with metadata for tracking and identification
     const strokeWithMeta = {
       ...stroke,
@@ -103,13 +306,130 @@ class RoomManager {
       timestamp: Date.now()
     };
     
-    room.strokes.push(strokeWithMeta);
+    const room = this.commit(roomId, { type: 'add', stroke: strokeWithMeta });
     console.log(`Stroke added to room ${roomId} (total: ${room.strokes.length})`);
     
     return strokeWithMeta;
   }
 
-  
+  /**
+   * Add several strokes as a single group (e.g. an import)
+   * All strokes share a groupId so they can be undone as one unit
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} strokes - Stroke objects {color, width, points[]}
+   * @param {string} userId - User's client ID (see identity.js) who created the strokes
+   * @returns {Array} Strokes with added metadata (id, userId, groupId, timestamp)
+   */
+  addStrokeGroup(roomId, strokes, userId) {
+    const now = Date.now();
+    const groupId = `group-${now}-${Math.random().toString(36).substr(2, 9)}`;
+
+    const strokesWithMeta = strokes.map(stroke => ({
+      ...stroke,
+      id: `${userId}-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      userId: userId,
+      groupId: groupId,
+      timestamp: now
+    }));
+
+    const room = this.commit(roomId, { type: 'add-many', strokes: strokesWithMeta });
+    console.log(`${strokesWithMeta.length} strokes added to room ${roomId} as group ${groupId} (total: ${room.strokes.length})`);
+
+    return strokesWithMeta;
+  }
+
+  /**
+   * Put previously removed strokes back on the canvas (e.g. redo)
+   * The strokes keep their original IDs and metadata
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} strokes - Strokes with metadata
+   */
+  restoreStrokes(roomId, strokes) {
+    this.commit(roomId, { type: 'add-many', strokes });
+  }
+
+  /**
+   * Remove strokes from a room by ID
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array<string>} strokeIds - IDs of strokes to remove
+   * @returns {Array} The removed strokes
+   */
+  removeStrokes(roomId, strokeIds) {
+    const room = this.getRoom(roomId);
+    const ids = new Set(strokeIds);
+    const removed = room.strokes.filter(stroke => ids.has(stroke.id));
+    if (removed.length === 0) return [];
+
+    this.commit(roomId, { type: 'remove', strokeIds: removed.map(stroke => stroke.id) });
+    return removed;
+  }
+
+  /**
+   * Replace strokes in place, keeping their position in the drawing order
+   * Used by the eraser to swap a stroke for the pieces that survive
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} changes - Changes {removeIds, strokes, index} (see applyOp)
+   */
+  spliceStrokes(roomId, changes) {
+    this.commit(roomId, { type: 'splice', changes });
+  }
+
+  /**
+   * Replace the entire drawing of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} strokes - New strokes with metadata
+   */
+  replaceStrokes(roomId, strokes) {
+    this.commit(roomId, { type: 'replace', strokes });
+  }
+
+  /**
+   * Start a stroke that is streamed while it is drawn
+   * Replaces any stroke the user was still drawing
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's socket ID
+   * @param {Object} stroke - First part of the stroke {color, width, layerId, points[]}
+   * @returns {Object} The partial stroke
+   */
+  beginStroke(roomId, userId, stroke) {
+    const room = this.getRoom(roomId);
+    room.partialStrokes.set(userId, stroke);
+    return stroke;
+  }
+
+  /**
+   * Get the stroke a user is still drawing
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's socket ID
+   * @returns {Object|undefined} The partial stroke
+   */
+  getPartialStroke(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.partialStrokes.get(userId) : undefined;
+  }
+
+  /**
+   * Stop tracking the stroke a user was drawing
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's socket ID
+   * @returns {Object|undefined} The partial stroke, to be committed by the caller
+   */
+  endStroke(roomId, userId) {
+    const stroke = this.getPartialStroke(roomId, userId);
+    if (stroke) {
+      this.rooms.get(roomId).partialStrokes.delete(userId);
+    }
+    return stroke;
+  }
+
   /**
    * Get all strokes for a room
    * 
@@ -121,8 +441,53 @@ class RoomManager {
     return room.strokes;
   }
 
+  /**
+   * Get the sequence number of the last change to a room's strokes
+   * It goes up by one with every op, so a client that has applied changes up
+   * to seq N needs N + 1 next; anything else means it missed a change
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {number} Sequence number (0 before the first change)
+   */
+  getSeq(roomId) {
+    return this.getRoom(roomId).seq;
+  }
+
+  /**
+   * Get the epoch of a room: a random ID for the run of sequence numbers it
+   * counts in. It changes when the room is created again without its saved
+   * state, as its sequence numbers then start again from 0
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {string} Epoch
+   */
+  getEpoch(roomId) {
+    return this.getRoom(roomId).epoch;
+  }
+
+  /**
+   * Get the ops a client missed since it last saw a room
+   * Only recent ops are kept, and only while the room is loaded
+   *
+   * @param {string} roomId - Room identifier
+   * @param {number} seq - Sequence number of the last op the client applied
+   * @param {string} epoch - Epoch that sequence number is from (see getEpoch)
+   * @returns {Array|null} Ops after seq in order, or null if they aren't all
+   *   available or are from another epoch (the client then needs the full drawing)
+   */
+  getOpsSince(roomId, seq, epoch) {
+    const room = this.getRoom(roomId);
+    if (epoch !== room.epoch) return null;
+    if (!Number.isInteger(seq) || seq < 0 || seq > room.seq) return null;
+
+    const missed = room.recentOps.filter(op => op.seq > seq);
+    if (missed.length !== room.seq - seq) return null;
+    return missed;
+  }
+
   /**
    * Update cursor position for a user in a room
+   * The new position goes out with the room's next cursor frame
    * 
    * @param {string} roomId - Room identifier
    * @param {string} userId - User's socket ID
@@ -131,6 +496,44 @@ class RoomManager {
   updateCursor(roomId, userId, position) {
     const room = this.getRoom(roomId);
     room.cursors.set(userId, position);
+    room.movedCursors.add(userId);
+    this.roomsWithMovedCursors.add(roomId);
+  }
+
+  /**
+   * Get every cursor in a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Cursors {userId, x, y}
+   */
+  getCursors(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+    return Array.from(room.cursors, ([userId, position]) => ({ userId, ...position }));
+  }
+
+  /**
+   * Collect the cursors that moved since the last call, one frame per room
+   * Only the latest position of each cursor is kept, however often it moved
+   *
+   * @returns {Array} Frames {roomId, cursors: [{userId, x, y}]}
+   */
+  takeCursorFrames() {
+    const frames = [];
+    for (const roomId of this.roomsWithMovedCursors) {
+      const room = this.rooms.get(roomId);
+      if (!room) continue;
+
+      const cursors = [];
+      for (const userId of room.movedCursors) {
+        const position = room.cursors.get(userId);
+        if (position) cursors.push({ userId, ...position });
+      }
+      room.movedCursors.clear();
+      if (cursors.length > 0) frames.push({ roomId, cursors });
+    }
+    this.roomsWithMovedCursors.clear();
+    return frames;
   }
 
   /**
@@ -165,6 +568,20 @@ class RoomManager {
     };
   }
 
+  /**
+   * Get the size of a room's drawing
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Object} {strokes, points}: number of elements and of points in them
+   */
+  getRoomSize(roomId) {
+    const strokes = this.getStrokes(roomId);
+    return {
+      strokes: strokes.length,
+      points: strokes.reduce((total, stroke) => total + stroke.points.length, 0)
+    };
+  }
+
   /**
    * Get statistics for all active rooms
    * 
@@ -173,6 +590,18 @@ class RoomManager {
   getAllRoomsStats() {
     return Array.from(this.rooms.keys()).map(roomId => this.getRoomStats(roomId));
   }
+
+  /**
+   * Apply an operation to a strokes array that belongs to no room
+   * (e.g. to rebuild the drawing from a replay log)
+   *
+   * @param {Array} strokes - Strokes (may be modified)
+   * @param {Object} op - Operation (see applyOp)
+   * @returns {Array} Resulting strokes array
+   */
+  applyOp(strokes, op) {
+    return applyOp(strokes, op);
+  }
 }
 
 // Export singleton instance
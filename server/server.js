@@ -10,141 +10,701 @@ const http = require("http");
 const { Server } = require("socket.io");
 const roomManager = require("./rooms");
 const stateManager = require("./state-manager");
+const versionManager = require("./versions");
+const layerManager = require("./layers");
+const accessManager = require("./access");
+const presenceManager = require("./presence");
+const replayRecorder = require("./replay");
+const { renderSvg, renderPng, getStrokeBounds, parseExportOptions, isWithinSizeLimit } = require("./export");
+const { isValidMatrix } = require("./transform");
+const { getClientId } = require("./identity");
+const { validatePayload, isKnownEvent, MAX_STROKE_POINTS } = require("./validation");
+const { RateLimiter, getRoomLimitError, getStats: getRateLimitStats } = require("./rate-limit");
 
 // Initialize Express application
 const app = express();
 const server = http.createServer(app);
 
+// Allow the REST API to be called from any origin, matching the Socket.IO policy
+app.use((req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Headers", "Content-Type, X-Client-Key, X-Room-Password, X-Room-Invite");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+});
+
+// Parse JSON request bodies for the REST API (malformed ones are answered
+// by the error handler at the end)
+app.use(express.json());
+
 // Initialize Socket.IO with CORS enabled for all origins
 const io = new Server(server, {
   cors: {
     origin: "*" // Allow connections from any origin (configure appropriately for production)
-  }
+  },
+  maxHttpBufferSize: 5 * 1024 * 1024 // Room for large drawing imports (default is 1 MB)
 });
 
-// Track users per room: Map<roomId, Map<socketId, username>>
-const roomUsers = new Map();
+// Events that change the room; viewers can't send them
+const EDIT_EVENTS = new Set([
+  "stroke", "stroke-begin", "stroke-append", "stroke-end", "undo", "redo", "clear-canvas",
+  "import-strokes", "erase", "shape-preview", "text-preview", "text-update", "transform",
+  "selection-preview", "layer-create", "layer-update", "layer-move", "move-to-layer"
+]);
+
+// What a client that sends too much is told at each escalation level (see rate-limit.js)
+const RATE_LIMIT_MESSAGES = {
+  warning: "You are sending changes too quickly, so some were dropped.",
+  throttled: "You are sending changes too quickly, so the server has slowed you down for a while.",
+  disconnect: "You were disconnected for sending changes too quickly."
+};
+
+// Rate limiter bucket shared by every event the server doesn't handle, so
+// making up new event names doesn't get a client fresh tokens
+const UNKNOWN_EVENT = "unknown-event";
+
+// Dropped events that aren't answered: previews only show for a moment and
+// leave nothing to roll back
+const UNANSWERED_DROPS = new Set([
+  UNKNOWN_EVENT, "cursor-move", "viewport", "shape-preview", "text-preview", "selection-preview"
+]);
+
+// Parts of a streamed brush stroke; dropping one abandons the stroke, which
+// stroke-end then reports to the sender
+const STREAM_EVENTS = new Set(["stroke-begin", "stroke-append", "stroke-end"]);
+
+// Cursor positions are broadcast in one frame per room at most this often (ms)
+const CURSOR_FRAME_INTERVAL = 50;
+
+// Moderation events; only the room owner can send them
+const OWNER_EVENTS = new Set(["kick-user", "ban-user", "set-frozen", "clear-user-strokes", "clear-all"]);
+
+// User statuses are brought up to date with their activity this often (ms)
+const PRESENCE_TICK_INTERVAL = 1000;
+
+/**
+ * Broadcast a change to a room's strokes as a small delta
+ * Every delta carries the room's sequence number after the change, so
+ * clients can apply them in order and ask for a full sync-state when they
+ * notice a gap. Replacing the whole drawing is sent as a full sync-state.
+ *
+ * @param {string} roomId - Room identifier
+ * @param {Object} op - Room op that was just committed (see rooms.js)
+ * @param {string} userId - ID of the user who made the change (see identity.js)
+ */
+function broadcastOp(roomId, op, userId) {
+  const seq = roomManager.getSeq(roomId);
+
+  switch (op.type) {
+    case "add":
+      io.to(roomId).emit("stroke", op.stroke, seq);
+      break;
+    case "add-many":
+      io.to(roomId).emit("strokes-added", op.strokes, seq);
+      break;
+    case "remove":
+      io.to(roomId).emit("strokes-removed", { strokeIds: op.strokeIds, userId, seq });
+      break;
+    case "splice":
+      io.to(roomId).emit("strokes-spliced", { changes: op.changes, userId, seq });
+      break;
+    default:
+      io.to(roomId).emit("sync-state", { strokes: roomManager.getStrokes(roomId), seq, epoch: roomManager.getEpoch(roomId) });
+  }
+}
+
+/**
+ * Find the connected sockets of a user in a room
+ *
+ * @param {string} roomId - Room identifier
+ * @param {string} userId - Client ID of the user (see identity.js)
+ * @returns {Array} Their sockets (one per open tab)
+ */
+function getUserSockets(roomId, userId) {
+  const socketIds = io.sockets.adapter.rooms.get(roomId) || new Set();
+  return Array.from(socketIds)
+    .map(socketId => io.sockets.sockets.get(socketId))
+    .filter(userSocket => userSocket && userSocket.data.clientId === userId);
+}
+
+/**
+ * Broadcast the cursors that moved since the last frame, one "cursors"
+ * frame per room with the latest position of each
+ * Clients send cursor-move often; batching them keeps the fan-out to one
+ * message per user per frame, however many cursors move
+ */
+function broadcastCursorFrames() {
+  for (const { roomId, cursors } of roomManager.takeCursorFrames()) {
+    io.to(roomId).emit("cursors", cursors);
+  }
+}
 
-// Track user labels/usernames globally: Map<socketId, username>
-const userLabels = new Map();
+setInterval(broadcastCursorFrames, CURSOR_FRAME_INTERVAL);
+
+/**
+ * Send everyone in a room the presence records of its users (see presence.js)
+ *
+ * @param {string} roomId - Room identifier
+ */
+function broadcastUsers(roomId) {
+  io.to(roomId).emit("users-updated", presenceManager.getUsers(roomId));
+}
+
+// Users go idle and away without sending anything, so their status is
+// updated on a timer as well as on activity
+setInterval(() => {
+  for (const roomId of presenceManager.tick()) {
+    broadcastUsers(roomId);
+  }
+}, PRESENCE_TICK_INTERVAL);
+
+/**
+ * Answer an event's acknowledgement callback, if the client sent one
+ *
+ * @param {Function} [ack] - Callback passed as the event's last argument
+ * @param {Object} result - Result for the client
+ */
+function acknowledge(ack, result) {
+  if (typeof ack === "function") {
+    ack(result);
+  }
+}
 
 /**
  * Handle new WebSocket connection
- * - Automatically joins user to specified room from query params
+ * - Takes the room to join from query params; the socket joins it once the
+ *   user has registered and been let in (see access.js)
  * - Sets up all event listeners for this socket connection
  */
 io.on("connection", (socket) => {
   // Extract room ID from connection query params, default to "default" room
   const roomId = socket.handshake.query.room || "default";
-  socket.join(roomId);
   
   // Store user label for this connection
   let userLabel = null;
 
+  // Role in the room ("owner", "editor" or "viewer"); null until the user is let in
+  let role = null;
+
+  // Identity that owns this user's strokes and undo history across reconnects
+  // (see identity.js); the socket ID until the user registers with a client key
+  let clientId = socket.id;
+
+  // Why the brush stroke being streamed was rejected when it began, reported
+  // to the author when it ends
+  let rejectedStream = null;
+
+  // Token buckets of this socket, per event
+  const limiter = new RateLimiter();
+
+  /**
+   * Check every event before its handler runs
+   * - Events over the socket's rate limit are dropped (see rejectFlood).
+   *   Events the server doesn't handle all share one bucket, and are dropped
+   *   without a reply
+   * - Nothing but register-user is accepted before the user is let in
+   * - Viewers, and everyone but the owner while the board is frozen, can't
+   *   send events that change the room; only the owner can moderate. Nobody
+   *   can while the room's changes can't be saved (see storage.js).
+   *   Refused events get an error back, through the acknowledgement if
+   *   there is one and as "invalid-payload" otherwise; previews are dropped
+   *   quietly, and a refused part of a streamed stroke abandons the stroke
+   * - The payload must match the event's schema (see validation.js); the
+   *   handler gets the sanitised payload. Invalid payloads are answered with
+   *   {event, path, error}, through the acknowledgement if there is one and
+   *   as "invalid-payload" otherwise
+   * - Accepted events count as activity for the user's presence status
+   */
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === "function" ? args.pop() : undefined;
+
+    const known = isKnownEvent(event);
+    const limited = limiter.take(known ? event : UNKNOWN_EVENT);
+    if (limited) {
+      rejectFlood(known ? event : UNKNOWN_EVENT, limited, ack);
+      return;
+    }
+    if (!known) return;
+
+    if (event !== "register-user" && !role) return;
+
+    const error = EDIT_EVENTS.has(event) ? accessManager.getEditError(roomId, role) || roomManager.getStorageError(roomId)
+      : OWNER_EVENTS.has(event) ? (role !== "owner" ? "only the room owner can do that" : roomManager.getStorageError(roomId))
+      : null;
+    if (error) {
+      console.log(`Ignoring ${event} from ${userLabel} in room ${roomId}: ${error}`);
+      if (STREAM_EVENTS.has(event)) abandonStream(error);
+      if (ack) {
+        acknowledge(ack, { error });
+      } else if (!UNANSWERED_DROPS.has(event) && !STREAM_EVENTS.has(event)) {
+        socket.emit("invalid-payload", { event, path: null, error });
+      }
+      return;
+    }
+
+    const result = validatePayload(event, args[0]);
+    if (result.error) {
+      const reply = { event, path: result.path, error: result.error };
+      if (ack) {
+        acknowledge(ack, reply);
+      } else {
+        socket.emit("invalid-payload", reply);
+      }
+      return;
+    }
+
+    // Handlers get the sanitised payload, followed by the acknowledgement
+    packet.length = 1;
+    packet.push(result.value);
+    if (ack) packet.push(ack);
+
+    if (presenceManager.touch(roomId, socket.id, EDIT_EVENTS.has(event))) {
+      broadcastUsers(roomId);
+    }
+    next();
+  });
+
+  /**
+   * Drop an event that went over its rate limit
+   * - Events with an acknowledgement get an error back; other changes get
+   *   "rate-limited", so the client can roll them back and resync
+   * - A dropped part of a streamed stroke abandons the stroke
+   * - Each new strike is logged and sent as "rate-limited" whatever the
+   *   event, and the client is disconnected once it has too many
+   *
+   * @param {string} event - Event name
+   * @param {Object} limited - {level, escalated} from the rate limiter
+   * @param {Function} [ack] - Acknowledgement callback of the sender
+   */
+  function rejectFlood(event, { level, escalated }, ack) {
+    const error = "you are sending too much, slow down";
+    if (STREAM_EVENTS.has(event)) abandonStream(error);
+    acknowledge(ack, { error });
+    if (escalated) {
+      console.log(`${userLabel || socket.id} hit the rate limit on ${event} in room ${roomId}: ${level}`);
+    } else if (ack || UNANSWERED_DROPS.has(event) || STREAM_EVENTS.has(event)) {
+      return;
+    }
+    socket.emit("rate-limited", { event, level, message: RATE_LIMIT_MESSAGES[level] });
+    if (escalated && level === "disconnect") {
+      socket.disconnect(true);
+    }
+  }
+
+
   /**
    * Handle user registration when they join a room
-   * - Assigns username/label to the user
-   * - Syncs current drawing state to the new user
-   * - Broadcasts updated user list to all room members
+   * - Derives the user's identity from their secret client key
+   * - Makes the creator of a new room its owner, optionally with a password
+   * - Checks that the user may join (password, invite or membership); users
+   *   who may not get "access-denied" and can register again. Passwords are
+   *   checked off the event loop, and wrong ones are limited per client
+   *   address (see rate-limit.js)
+   * - Joins the user to the room with a presence record (a unique name and
+   *   a colour, see presence.js) and tells them their identity and role
+   * - Syncs current drawing state to the new user; a client reconnecting
+   *   with the sequence number it last applied (and the room epoch it came
+   *   from) is sent only the ops it missed when they are still available
+   * - Broadcasts the presence records to all room members, and sends the
+   *   new user the cursors and viewports already in the room
    */
-  socket.on("register-user", ({ userId, username }) => {
-    // Set user label, fallback to shortened socket ID if not provided
+  socket.on("register-user", async ({ username, clientKey, lastSeq, epoch, create, password, invite } = {}) => {
+    // Set user label (sanitised by its schema), fallback to shortened socket ID if not provided
     userLabel = username || `User ${socket.id.substring(0, 5)}`;
-    userLabels.set(socket.id, userLabel);
-    
-    // Initialize room users list if this is the first user in the room
-    if (!roomUsers.has(roomId)) {
-      roomUsers.set(roomId, new Map());
+
+    // Without a valid key the user only owns what they draw on this connection,
+    // and can't own or be remembered in a room
+    const identity = getClientId(clientKey);
+    if (create && identity) {
+      await accessManager.createRoom(roomId, identity, create.password);
     }
-    
-    // Register user in both tracking maps
-    roomUsers.get(roomId).set(socket.id, userLabel);
+
+    const access = await accessManager.authorize(roomId, identity, { password, invite }, socket.handshake.address);
+    // The user may have left while their password was checked
+    if (socket.disconnected) return;
+    if (access.error) {
+      console.log(`${userLabel} was refused access to room ${roomId}: ${access.error}`);
+      socket.emit("access-denied", { reason: access.error });
+      return;
+    }
+
+    role = access.role;
+    clientId = identity || socket.id;
+    socket.data.clientId = clientId;
+    userLabel = presenceManager.join(roomId, socket.id, clientId, userLabel).name;
+    socket.join(roomId);
+    socket.emit("registered", {
+      userId: clientId,
+      role,
+      passwordProtected: accessManager.isProtected(roomId),
+      frozen: accessManager.isFrozen(roomId)
+    });
+
     roomManager.addUser(roomId, socket.id);
     
-    console.log(`${userLabel} (${socket.id}) joined room ${roomId}`);
+    console.log(`${userLabel} (${socket.id}, ${clientId}) joined room ${roomId} as ${role}`);
+    
+    // A reconnecting user only needs the ops it missed (and the layers, which aren't sequenced)
+    const missed = roomManager.getOpsSince(roomId, lastSeq, epoch);
+    if (missed) {
+      socket.emit("resume", {
+        ops: missed,
+        layers: layerManager.getLayers(roomId),
+        canUndo: stateManager.canUserUndo(roomId, clientId),
+        canRedo: stateManager.canUserRedo(roomId, clientId)
+      });
+      console.log(`${userLabel} resumed room ${roomId} with ${missed.length} missed op(s)`);
+    } else {
+      // Send current canvas state (all strokes and layers) to the newly joined user
+      const syncState = stateManager.getSyncState(roomId);
+      socket.emit("sync-state", {
+        strokes: syncState.strokes,
+        layers: syncState.layers,
+        seq: syncState.seq,
+        epoch: syncState.epoch,
+        canUndo: stateManager.canUserUndo(roomId, clientId),
+        canRedo: stateManager.canUserRedo(roomId, clientId)
+      });
+    }
     
-    // Send current canvas state (all strokes) to the newly joined user
+    // Broadcast updated user list to all users in the room
+    broadcastUsers(roomId);
+
+    // Cursors only go out when they move, so send the ones already there
+    const cursors = roomManager.getCursors(roomId);
+    if (cursors.length > 0) {
+      socket.emit("cursors", cursors);
+    }
+
+    // Likewise the viewports of the others
+    const viewports = presenceManager.getViewports(roomId);
+    if (viewports.length > 0) {
+      socket.emit("viewports", viewports);
+    }
+
+    const userList = presenceManager.getUsers(roomId);
+    console.log(`Room ${roomId} now has ${userList.length} users: ${userList.map(user => user.name).join(", ")}`);
+  });
+
+  /**
+   * Send the full drawing to this socket only
+   * Used when it asks for it after missing a delta, and to drop local
+   * changes the server rejected
+   */
+  function resync() {
     const syncState = stateManager.getSyncState(roomId);
-    const canRedo = stateManager.canUserRedo(roomId, socket.id);
     socket.emit("sync-state", {
       strokes: syncState.strokes,
-      canRedo: canRedo
+      layers: syncState.layers,
+      seq: syncState.seq,
+      epoch: syncState.epoch
     });
-    
-    // Broadcast updated user list to all users in the room
-    const userList = Array.from(roomUsers.get(roomId).values());
-    io.to(roomId).emit("users-updated", userList);
-    
-    console.log(`Room ${roomId} now has ${userList.length} users: ${userList.join(", ")}`);
+  }
+
+  /**
+   * Refuse a payload that matched its schema but doesn't fit the room
+   * (e.g. it names an element or layer that is gone), answering it like
+   * the middleware answers invalid payloads
+   *
+   * @param {string} event - Event name
+   * @param {string} path - Where the problem is in the payload
+   * @param {string} error - What is wrong
+   */
+  function rejectPayload(event, path, error) {
+    console.log(`Invalid ${event} from ${userLabel} in room ${roomId}: ${error}`);
+    socket.emit("invalid-payload", { event, path, error });
+  }
+
+  /**
+   * Tell this user whether their undo and redo buttons should be enabled
+   * Sent after every change the user makes to the drawing
+   */
+  function sendHistoryState() {
+    socket.emit("undo-state", stateManager.canUserUndo(roomId, clientId));
+    socket.emit("redo-state", stateManager.canUserRedo(roomId, clientId));
+  }
+
+  /**
+   * Handle a client asking for the full drawing
+   * - Sent when it receives a delta whose sequence number shows it missed one
+   */
+  socket.on("request-sync", () => {
+    console.log(`${userLabel} requested a full sync of room ${roomId}`);
+    resync();
   });
 
   /**
-   * Handle drawing stroke events
-   * - Validates stroke data for security and integrity
-   * - Clears redo history (new stroke invalidates redo)
-   * - Broadcasts stroke to all other users in the room
+   * Check a finished stroke before it is committed
+   *
+   * @param {Object} stroke - Stroke from this socket
+   * @returns {string|null} Why the stroke is rejected, or null if it can be committed
    */
-  socket.on("stroke", (stroke) => {
-    // Validate stroke data before processing
+  function checkStroke(stroke) {
     if (!stateManager.validateStroke(stroke)) {
       console.log(`Invalid stroke from ${userLabel}, ignoring`);
-      return;
+      return "the stroke is invalid";
     }
 
-    // New stroke clears redo history for this user
-    stateManager.clearRedoHistory(roomId, socket.id);
-    
+    if (!layerManager.canDrawOn(roomId, stroke.layerId)) {
+      console.log(`Stroke from ${userLabel} is on a missing or locked layer, ignoring`);
+      return "its layer is locked or was deleted";
+    }
+    return getRoomLimitError(roomManager.getRoomSize(roomId), [stroke]);
+  }
+
+  /**
+   * Add a finished stroke to the room
+   * - Records it in the user's history (a new stroke invalidates their redo)
+   * - Acknowledges it with the server ID and timestamp, so the sender can
+   *   reconcile its local copy before the broadcast arrives
+   * - Broadcasts stroke to everyone in the room; the sender swaps its local
+   *   copy for the server copy
+   *
+   * @param {Object} stroke - Validated stroke from this socket
+   * @param {Function} [ack] - Acknowledgement callback of the sender
+   */
+  function commitStroke(stroke, ack) {
     // Add stroke to room's drawing state with metadata
-    const strokeWithMeta = roomManager.addStroke(roomId, stroke, socket.id);
-    
-    // Broadcast the stroke to all other users in the room (not the sender)
-    socket.to(roomId).emit("stroke", strokeWithMeta);
+    const strokeWithMeta = stateManager.addStroke(roomId, clientId, stroke);
+    replayRecorder.record(roomId, "stroke", { type: "add", stroke: strokeWithMeta }, clientId);
+    acknowledge(ack, { id: strokeWithMeta.id, timestamp: strokeWithMeta.timestamp });
     
-    // Notify all users that redo is no longer available
-    io.to(roomId).emit("redo-state", false);
+    // Broadcast the stroke to all users in the room, including the sender
+    broadcastOp(roomId, { type: "add", stroke: strokeWithMeta }, clientId);
+    sendHistoryState();
+  }
+
+  /**
+   * Handle drawing stroke events (shapes, text and short brush strokes)
+   * - Validates the stroke and adds it to the room in one go
+   * - Acknowledged with {id, timestamp}, or {error} if it is rejected
+   */
+  socket.on("stroke", (stroke, ack) => {
+    const error = checkStroke(stroke);
+    if (error) {
+      acknowledge(ack, { error });
+      return;
+    }
+    commitStroke(stroke, ack);
+    socket.to(roomId).emit("stroke-end", socket.id);
+  });
+
+  /**
+   * Handle the start of a streamed brush stroke
+   * - Brush strokes are streamed while they are drawn: stroke-begin, any
+   *   number of stroke-append batches, then stroke-end
+   * - The server keeps the partial stroke and relays every batch, so others
+   *   see the stroke grow; it is committed on stroke-end and abandoned if the
+   *   author disconnects first
+   */
+  socket.on("stroke-begin", (stroke) => {
+    rejectedStream = checkStroke(stroke);
+    if (rejectedStream) return;
+
+    const partial = roomManager.beginStroke(roomId, socket.id, stroke);
+    socket.to(roomId).emit("stroke-begin", { userId: socket.id, stroke: partial });
+  });
+
+  /**
+   * Handle a batch of points for the stroke being streamed
+   * - Adds the points to the partial stroke and relays them to everyone else
+   * - Points that don't fit the stroke abandon it: everyone else drops the
+   *   partial stroke, the sender gets "invalid-payload" and stroke-end is
+   *   answered with the reason (batches after a stroke that was rejected
+   *   when it began are dropped quietly; stroke-end reports that)
+   */
+  socket.on("stroke-append", ({ points }) => {
+    const partial = roomManager.getPartialStroke(roomId, socket.id);
+    if (!partial) return;
+
+    const error = partial.points.length + points.length > MAX_STROKE_POINTS
+      ? `points would make the stroke longer than ${MAX_STROKE_POINTS} points`
+      : !stateManager.validateStroke({ ...partial, points }) ? "points don't fit the stroke" : null;
+    if (error) {
+      abandonStream(error);
+      rejectPayload("stroke-append", "points", error);
+      return;
+    }
+
+    partial.points.push(...points);
+    socket.to(roomId).emit("stroke-append", { userId: socket.id, points });
+  });
+
+  /**
+   * Abandon the stroke this socket is streaming, if any: everyone else drops
+   * the partial stroke, and stroke-end is answered with the reason
+   *
+   * @param {string} error - Why the stroke was abandoned
+   */
+  function abandonStream(error) {
+    if (roomManager.endStroke(roomId, socket.id)) {
+      socket.to(roomId).emit("stroke-abandoned", socket.id);
+    }
+    rejectedStream = error;
+  }
+
+  /**
+   * Handle the end of a streamed stroke
+   * - Adds the last points and commits the stroke like a normal "stroke",
+   *   acknowledged the same way; everyone else then gets "stroke-end" and
+   *   drops the partial stroke, which the committed one replaces
+   * - A stroke that can't be committed is abandoned: everyone else drops
+   *   the partial stroke and the sender gets the reason
+   */
+  socket.on("stroke-end", ({ points = [] } = {}, ack) => {
+    const partial = roomManager.endStroke(roomId, socket.id);
+    if (!partial) {
+      // The stroke was rejected when it began
+      acknowledge(ack, { error: rejectedStream || "the stroke was never started" });
+      rejectedStream = null;
+      return;
+    }
+
+    const stroke = { ...partial, points: [...partial.points, ...points] };
+    const error = checkStroke(stroke);
+    if (error) {
+      socket.to(roomId).emit("stroke-abandoned", socket.id);
+      acknowledge(ack, { error });
+      return;
+    }
+    commitStroke(stroke, ack);
+    socket.to(roomId).emit("stroke-end", socket.id);
+  });
+
+  /**
+   * Handle drawing import (JSON documents or converted SVG files)
+   * - Validates every imported stroke, dropping invalid ones and those on
+   *   missing or locked layers
+   * - Adds them as one group so the importer can undo the whole import at once
+   * - Broadcasts the new strokes to everyone in the room, including the importer
+   */
+  socket.on("import-strokes", ({ strokes }) => {
+    // Strokes that don't match the element schema arrive as null
+    const validStrokes = strokes.filter(stroke =>
+      stroke && stateManager.validateStroke(stroke) && layerManager.canDrawOn(roomId, stroke.layerId));
+    if (validStrokes.length === 0) {
+      socket.emit("import-result", { error: "No valid strokes found" });
+      return;
+    }
+
+    const roomError = getRoomLimitError(roomManager.getRoomSize(roomId), validStrokes);
+    if (roomError) {
+      socket.emit("import-result", { error: `Nothing was imported: ${roomError}` });
+      return;
+    }
+
+    const imported = stateManager.addStrokeGroup(roomId, clientId, validStrokes);
+    replayRecorder.record(roomId, "import", { type: "add-many", strokes: imported }, clientId);
+
+    broadcastOp(roomId, { type: "add-many", strokes: imported }, clientId);
+    sendHistoryState();
+    socket.emit("import-result", {
+      imported: imported.length,
+      rejected: strokes.length - imported.length
+    });
+    console.log(`${userLabel} imported ${imported.length} strokes into room ${roomId}`);
+  });
+
+  /**
+   * Handle eraser action
+   * - Splits every stroke the eraser path crosses, atomically
+   * - An erase that would take too much work is refused with "invalid-payload"
+   * - Records the erase so the eraser can undo/redo it
+   * - Broadcasts the in-place replacements to everyone in the room
+   */
+  socket.on("erase", ({ points, width }) => {
+    const result = stateManager.erase(roomId, clientId, points, width / 2);
+    if (!result) return;
+    if (result.error) {
+      socket.emit("invalid-payload", { event: "erase", path: "points", error: result.error });
+      return;
+    }
+
+    replayRecorder.record(roomId, "erase", result.op, clientId);
+    broadcastOp(roomId, result.op, clientId);
+    sendHistoryState();
+    console.log(`${userLabel} erased in room ${roomId}`);
+  });
+
+  /**
+   * Handle move/scale/rotate of selected elements
+   * - Applies an affine transform to the elements, atomically
+   * - Concurrent edits: the first change to an element wins. Every change
+   *   gives the element a new ID, so a transform that still names an old ID
+   *   is rejected as a whole and the sender is re-synced
+   * - Records the transform so the user can undo/redo it
+   * - Broadcasts the in-place replacements to everyone in the room
+   */
+  socket.on("transform", ({ strokeIds, matrix }) => {
+    if (!isValidMatrix(matrix)) {
+      socket.emit("invalid-payload", { event: "transform", path: "matrix", error: "matrix can't be inverted" });
+      return;
+    }
+
+    const result = stateManager.transform(roomId, clientId, strokeIds, matrix);
+    if (!result) {
+      socket.emit("transform-rejected", { strokeIds });
+      resync();
+      return;
+    }
+
+    replayRecorder.record(roomId, "transform", result.op, clientId);
+    broadcastOp(roomId, result.op, clientId);
+    sendHistoryState();
+    console.log(`${userLabel} transformed ${strokeIds.length} element(s) in room ${roomId}`);
+  });
+
+  /**
+   * Handle live selection outlines
+   * - Relays the outline (four corners) of another user's selection while
+   *   they select, move, scale or rotate elements (null when deselected)
+   */
+  socket.on("selection-preview", (outline) => {
+    socket.to(roomId).emit("selection-preview", {
+      userId: socket.id,
+      outline
+    });
   });
 
   /**
    * Handle undo action
-   * - Removes user's most recent stroke from canvas
-   * - Syncs updated canvas state to all users
-   * - Updates undo/redo button states
+   * - Reverts the user's most recent command (a stroke, import, clear,
+   *   erase, edit, transform or layer move) as a whole
+   * - Broadcasts the change to all users
+   * - Updates the user's undo/redo button states
    */
   socket.on("undo", () => {
-    const result = stateManager.undo(roomId, socket.id);
+    const result = stateManager.undo(roomId, clientId);
     
     if (result) {
-      // Broadcast updated canvas state to all users in the room
-      io.to(roomId).emit("sync-state", {
-        strokes: result.strokes,
-        userId: socket.id,
-        canUndo: result.canUndo,
-        canRedo: result.canRedo
-      });
-      console.log(`${userLabel} undid stroke in room ${roomId}`);
+      replayRecorder.record(roomId, "undo", result.op, clientId);
+
+      // Broadcast the change to all users in the room
+      broadcastOp(roomId, result.op, clientId);
+      sendHistoryState();
+      console.log(`${userLabel} undid a change in room ${roomId}`);
     } else {
-      console.log(`${userLabel} tried to undo but has no strokes`);
+      console.log(`${userLabel} tried to undo but has nothing to undo`);
     }
   });
 
   /**
    * Handle redo action
-   * - Restores user's most recently undone stroke to canvas
-   * - Syncs updated canvas state to all users
-   * - Updates undo/redo button states
+   * - Re-applies the user's most recently undone command
+   * - Broadcasts the change to all users
+   * - Updates the user's undo/redo button states
    */
   socket.on("redo", () => {
-    const result = stateManager.redo(roomId, socket.id);
+    const result = stateManager.redo(roomId, clientId);
     
     if (result) {
-      // Broadcast updated canvas state to all users in the room
-      io.to(roomId).emit("sync-state", {
-        strokes: result.strokes,
-        userId: socket.id,
-        canUndo: result.canUndo,
-        canRedo: result.canRedo
-      });
-      console.log(`${userLabel} redid stroke in room ${roomId}`);
+      replayRecorder.record(roomId, "redo", result.op, clientId);
+
+      // Broadcast the change to all users in the room
+      broadcastOp(roomId, result.op, clientId);
+      sendHistoryState();
+      console.log(`${userLabel} redid a change in room ${roomId}`);
     } else {
       console.log(`${userLabel} tried to redo but has no redo history`);
     }
@@ -153,44 +713,316 @@ io.on("connection", (socket) => {
   /**
    * Handle cursor movement tracking
    * - Updates cursor position for this user
-   * - Broadcasts cursor position to other users for ghost cursor display
+   * - The position goes out with the room's next cursor frame (see
+   *   broadcastCursorFrames), for ghost cursor display
    */
   socket.on("cursor-move", ({ x, y }) => {
-    // Update cursor position in room state
     roomManager.updateCursor(roomId, socket.id, { x, y });
-    
-    // Broadcast cursor position to all other users (not the sender)
-    socket.to(roomId).emit("cursor-move", {
+  });
+
+  /**
+   * Handle viewport changes (zoom, pan and canvas size)
+   * - Relays the part of the drawing this user sees to everyone else, who
+   *   show it as an outline and can follow it
+   */
+  socket.on("viewport", (viewport) => {
+    presenceManager.setViewport(roomId, socket.id, viewport);
+    socket.to(roomId).emit("viewports", [{ userId: socket.id, ...viewport }]);
+  });
+
+  /**
+   * Handle a user starting or stopping a presentation
+   * - Everyone else is asked to follow the presenter's viewport; a new
+   *   presenter takes over from the last one
+   * - Acknowledged with {ok}
+   */
+  socket.on("present", ({ presenting }, ack) => {
+    presenceManager.setPresenting(roomId, socket.id, presenting);
+    broadcastUsers(roomId);
+
+    console.log(`${userLabel} ${presenting ? "started" : "stopped"} presenting in room ${roomId}`);
+    acknowledge(ack, { ok: true });
+  });
+
+  /**
+   * Handle live shape previews while a shape is being dragged
+   * - Relays the in-progress shape to everyone else (null when the drag ends)
+   * - Previews are never stored; the finished shape arrives as a normal "stroke"
+   */
+  socket.on("shape-preview", (shape) => {
+    if (shape !== null && (!stateManager.validateStroke(shape) || !shape.type)) {
+      return;
+    }
+
+    socket.to(roomId).emit("shape-preview", {
+      userId: socket.id,
+      shape
+    });
+  });
+
+  /**
+   * Handle live text previews while a text box is being typed in
+   * - Relays the text box to everyone else (null when editing ends)
+   * - A preview with an id is an edit of that placed text element
+   * - Previews are never stored; new text arrives as a normal "stroke",
+   *   edits as "text-update"
+   */
+  socket.on("text-preview", (text) => {
+    if (text !== null && !stateManager.validateText(text, { allowEmpty: true })) {
+      return;
+    }
+
+    socket.to(roomId).emit("text-preview", {
       userId: socket.id,
-      x,
-      y,
-      label: userLabel
+      text
     });
   });
 
+  /**
+   * Handle edits to placed text
+   * - Replaces the text element in place (empty text removes it)
+   * - Records the edit so the editor can undo/redo it
+   * - Broadcasts the in-place replacement to everyone in the room
+   */
+  socket.on("text-update", ({ id, text, fontFamily, fontSize, color }) => {
+    const result = stateManager.updateText(roomId, clientId, id, { text, fontFamily, fontSize, color });
+    if (!result) {
+      rejectPayload("text-update", "id", "the text was changed or removed, or its layer is locked or hidden");
+      return;
+    }
+
+    replayRecorder.record(roomId, "text-update", result.op, clientId);
+    broadcastOp(roomId, result.op, clientId);
+    sendHistoryState();
+    console.log(`${userLabel} edited text in room ${roomId}`);
+  });
+
+  /**
+   * Handle layer creation
+   * - Adds a new layer on top of the stack
+   * - Broadcasts the new layer list to everyone in the room
+   */
+  socket.on("layer-create", ({ name } = {}) => {
+    const layer = layerManager.createLayer(roomId, name);
+    if (!layer) {
+      console.log(`${userLabel} tried to create a layer but room ${roomId} has too many`);
+      return;
+    }
+
+    io.to(roomId).emit("layers-updated", layerManager.getLayers(roomId));
+  });
+
+  /**
+   * Handle layer rename, hide/show and lock/unlock
+   * - Broadcasts the new layer list to everyone in the room
+   */
+  socket.on("layer-update", ({ id, name, visible, locked }) => {
+    if (!layerManager.updateLayer(roomId, id, { name, visible, locked })) {
+      if (layerManager.getLayer(roomId, id)) {
+        rejectPayload("layer-update", "name", "name can't be empty");
+      } else {
+        rejectPayload("layer-update", "id", "id is not a layer of this room");
+      }
+      return;
+    }
+
+    io.to(roomId).emit("layers-updated", layerManager.getLayers(roomId));
+  });
+
+  /**
+   * Handle layer reordering
+   * - Moves a layer to a new position (0 is the bottom)
+   * - Broadcasts the new layer list to everyone in the room
+   */
+  socket.on("layer-move", ({ id, index }) => {
+    if (!layerManager.moveLayer(roomId, id, index)) {
+      if (layerManager.getLayer(roomId, id)) {
+        rejectPayload("layer-move", "index", `index must be less than ${layerManager.getLayers(roomId).length}`);
+      } else {
+        rejectPayload("layer-move", "id", "id is not a layer of this room");
+      }
+      return;
+    }
+
+    io.to(roomId).emit("layers-updated", layerManager.getLayers(roomId));
+  });
+
+  /**
+   * Handle moving selected elements to another layer
+   * - Replaces the elements in place with copies on the new layer, atomically
+   * - Rejected like a transform if the elements changed or a layer is locked;
+   *   the sender is re-synced
+   * - Records the move so the user can undo/redo it
+   * - Broadcasts the in-place replacements to everyone in the room
+   */
+  socket.on("move-to-layer", ({ strokeIds, layerId }) => {
+    const result = stateManager.moveToLayer(roomId, clientId, strokeIds, layerId);
+    if (!result) {
+      resync();
+      return;
+    }
+
+    replayRecorder.record(roomId, "move-to-layer", result.op, clientId);
+    broadcastOp(roomId, result.op, clientId);
+    sendHistoryState();
+    console.log(`${userLabel} moved ${strokeIds.length} element(s) to layer ${layerId} in room ${roomId}`);
+  });
+
   /**
    * Handle canvas clear action
-   * - Only removes strokes created by the requesting user
+   * - Only removes strokes owned by the requesting user's identity
+   * - Keeps strokes on locked layers
    * - Preserves other users' drawings
-   * - Syncs updated state to all users
+   * - Undoable as one command, like any other change
+   * - Broadcasts the removed strokes to all users
    */
-  socket.on("clear-canvas", ({ userId }) => {
-    const room = roomManager.getRoom(roomId);
-    const initialLength = room.strokes.length;
-    
-    // Filter out only the requesting user's strokes
-    room.strokes = room.strokes.filter(stroke => stroke.userId !== userId);
-    const removed = initialLength - room.strokes.length;
-    
-    // Clear redo history for this user since their strokes are gone
-    stateManager.clearRedoHistory(roomId, socket.id);
-    
-    // Sync updated canvas to all users in the room
-    io.to(roomId).emit("sync-state", {
-      strokes: room.strokes,
-      canRedo: false
+  socket.on("clear-canvas", () => {
+    // Remove only the requesting user's strokes
+    const result = stateManager.clearUserStrokes(roomId, clientId);
+    if (!result) {
+      console.log(`${userLabel} tried to clear but has no strokes in room ${roomId}`);
+      return;
+    }
+
+    replayRecorder.record(roomId, "clear-canvas", result.op, clientId);
+
+    // Send only the removed stroke IDs to all users in the room
+    broadcastOp(roomId, result.op, clientId);
+    sendHistoryState();
+    console.log(`${userLabel} cleared their strokes in room ${roomId} (removed ${result.op.strokeIds.length} strokes)`);
+  });
+
+  /**
+   * Handle an owner creating an invite to their password-protected room
+   * - Acknowledged with {token}, or {error} if the user can't invite
+   */
+  socket.on("create-invite", ({ role: inviteRole }, ack) => {
+    const token = accessManager.createInvite(roomId, clientId, inviteRole);
+    if (!token) {
+      acknowledge(ack, { error: "only the owner of a password-protected room can create invites" });
+      return;
+    }
+    acknowledge(ack, { token });
+  });
+
+  /**
+   * Send users out of the room: tell them why, then disconnect them
+   *
+   * @param {string} targetId - Client ID of the user to remove
+   * @param {string} action - "kicked" or "banned"
+   * @param {string} message - Explanation shown to the user
+   * @returns {number} Number of sockets disconnected
+   */
+  function removeFromRoom(targetId, action, message) {
+    const sockets = getUserSockets(roomId, targetId);
+    for (const target of sockets) {
+      target.emit("moderated", { action, message });
+      target.disconnect(true);
+    }
+    return sockets.length;
+  }
+
+  /**
+   * Handle the owner kicking a user out of the room
+   * - The user can come back if they still have access (see ban-user)
+   * - Acknowledged with {ok}, or {error}
+   */
+  socket.on("kick-user", ({ userId: targetId }, ack) => {
+    if (targetId === clientId) {
+      acknowledge(ack, { error: "you can't kick yourself" });
+      return;
+    }
+    if (removeFromRoom(targetId, "kicked", "The room owner removed you from this room.") === 0) {
+      acknowledge(ack, { error: "that user is not in the room" });
+      return;
+    }
+
+    console.log(`${userLabel} kicked ${targetId} from room ${roomId}`);
+    acknowledge(ack, { ok: true });
+  });
+
+  /**
+   * Handle the owner banning a user
+   * - The user is kicked and their identity can't join again (see access.js)
+   * - Every invite to the room is revoked; a protected room can also get a
+   *   new password, so a new identity needs the new password or a new invite
+   * - Acknowledged with {ok}, or {error}
+   */
+  socket.on("ban-user", async ({ userId: targetId, password }, ack) => {
+    const error = targetId === clientId ? "that user can't be banned" : await accessManager.ban(roomId, targetId, password);
+    if (error) {
+      acknowledge(ack, { error });
+      return;
+    }
+    removeFromRoom(targetId, "banned", "The room owner banned you from this room.");
+
+    console.log(`${userLabel} banned ${targetId} from room ${roomId}`);
+    acknowledge(ack, { ok: true });
+  });
+
+  /**
+   * Handle the owner freezing or unfreezing the board
+   * - While it is frozen only the owner can change the drawing
+   * - Everyone in the room is told, so their clients can block drawing
+   */
+  socket.on("set-frozen", ({ frozen }, ack) => {
+    if (!accessManager.setFrozen(roomId, frozen)) {
+      acknowledge(ack, { error: "the board can't be frozen" });
+      return;
+    }
+
+    socket.to(roomId).emit("moderated", {
+      action: frozen ? "frozen" : "unfrozen",
+      frozen,
+      message: frozen
+        ? "The room owner froze the board. Only they can draw until it is unfrozen."
+        : "The room owner unfroze the board. You can draw again."
     });
-    console.log(`${userLabel} cleared their strokes in room ${roomId} (removed ${removed} strokes)`);
+    acknowledge(ack, { ok: true });
+  });
+
+  /**
+   * Handle the owner removing every stroke of one user
+   * - Overrides layer locks and can't be undone; the user's history is dropped
+   * - The user is told, and their undo/redo buttons are reset
+   */
+  socket.on("clear-user-strokes", ({ userId: targetId }, ack) => {
+    if (typeof targetId !== "string") {
+      acknowledge(ack, { error: "no user given" });
+      return;
+    }
+
+    const op = stateManager.removeUserStrokes(roomId, targetId);
+    if (op) {
+      replayRecorder.record(roomId, "clear-user-strokes", op, clientId);
+      broadcastOp(roomId, op, targetId);
+    }
+
+    for (const target of getUserSockets(roomId, targetId)) {
+      target.emit("undo-state", false);
+      target.emit("redo-state", false);
+      target.emit("moderated", { action: "strokes-removed", message: "The room owner removed your strokes." });
+    }
+    console.log(`${userLabel} removed the strokes of ${targetId} in room ${roomId}`);
+    acknowledge(ack, { ok: true });
+  });
+
+  /**
+   * Handle the owner clearing the whole board
+   * - Removes every stroke and everyone's undo/redo history
+   * - Everyone else is told who cleared it
+   */
+  socket.on("clear-all", (_, ack) => {
+    const op = stateManager.clearRoomState(roomId);
+    replayRecorder.record(roomId, "clear-all", op, clientId);
+    broadcastOp(roomId, op, clientId);
+
+    io.to(roomId).emit("undo-state", false);
+    io.to(roomId).emit("redo-state", false);
+    socket.to(roomId).emit("moderated", { action: "cleared", message: "The room owner cleared the whole board." });
+
+    console.log(`${userLabel} cleared the whole board of room ${roomId}`);
+    acknowledge(ack, { ok: true });
   });
 
   /**
@@ -201,34 +1033,69 @@ io.on("connection", (socket) => {
    * - Updates user list for remaining users
    */
   socket.on("disconnect", () => {
+    // Users who were never let in have nothing to clean up
+    if (!role) return;
+
+    // A brush stroke still being drawn is abandoned
+    if (roomManager.endStroke(roomId, socket.id)) {
+      socket.to(roomId).emit("stroke-abandoned", socket.id);
+    }
+
     // Remove user from room manager
     roomManager.removeUser(roomId, socket.id);
     
-    // Notify other users about the disconnection (for cursor cleanup)
+    // Notify other users about the disconnection (for cursor and preview cleanup)
     socket.to(roomId).emit("user-disconnected", socket.id);
     
     console.log(`${userLabel} left room ${roomId}`);
-    userLabels.delete(socket.id);
-    
-    // Update room users list and clean up if room is empty
-    if (roomUsers.has(roomId)) {
-      roomUsers.get(roomId).delete(socket.id);
-      const userList = Array.from(roomUsers.get(roomId).values());
-      
-      // Broadcast updated user list to remaining users
-      io.to(roomId).emit("users-updated", userList);
-      
-      if (userList.length === 0) {
-        // Clean up empty room tracking
-        roomUsers.delete(roomId);
-        console.log(`Room ${roomId} is now empty`);
-      } else {
-        console.log(`Room ${roomId} now has ${userList.length} users`);
-      }
+
+    // Broadcast updated user list to remaining users
+    presenceManager.leave(roomId, socket.id);
+    broadcastUsers(roomId);
+
+    const userCount = presenceManager.getUsers(roomId).length;
+    if (userCount === 0) {
+      console.log(`Room ${roomId} is now empty`);
+    } else {
+      console.log(`Room ${roomId} now has ${userCount} users`);
     }
   });
 });
 
+/**
+ * Let a REST request about a room through only if its sender may join the room
+ * - Credentials come in headers, like those of register-user: X-Client-Key
+ *   (the secret client key), and X-Room-Password or X-Room-Invite for users
+ *   who aren't members of a protected room yet
+ * - Banned users, and users without the password or an invite, get 403;
+ *   wrong passwords count against the client address like on register-user,
+ *   and an address out of attempts gets 429
+ * - Routes that change the room also need a role that may change it right
+ *   now: viewers can't, and only the owner can while the board is frozen.
+ *   While the room's changes can't be saved they get 503
+ *
+ * @param {boolean} [edit] - True if the route changes the room
+ * @returns {Function} Express middleware
+ */
+function requireRoomAccess(edit = false) {
+  return async (req, res, next) => {
+    const { roomId } = req.params;
+    const access = await accessManager.authorize(roomId, getClientId(req.get("X-Client-Key")), {
+      password: req.get("X-Room-Password"),
+      invite: req.get("X-Room-Invite")
+    }, req.ip);
+    const error = access.error || (edit ? accessManager.getEditError(roomId, access.role) : null);
+    if (error) {
+      return res.status(error === "too-many-attempts" ? 429 : 403).json({ error });
+    }
+    const storageError = edit ? roomManager.getStorageError(roomId) : null;
+    if (storageError) {
+      return res.status(503).json({ error: storageError });
+    }
+    next();
+  };
+}
+
 /**
  * REST API Endpoint: Get all rooms statistics
  * Returns information about all active rooms including user counts and stroke counts
@@ -241,6 +1108,14 @@ app.get("/api/rooms", (req, res) => {
   });
 });
 
+/**
+ * REST API Endpoint: Get rate limiting counters
+ * Returns how often clients hit their limits since the server started
+ */
+app.get("/api/rate-limits", (req, res) => {
+  res.json(getRateLimitStats());
+});
+
 /**
  * REST API Endpoint: Get specific room statistics
  * Returns detailed information about a specific room by ID
@@ -254,6 +1129,140 @@ app.get("/api/rooms/:roomId", (req, res) => {
   }
 });
 
+/**
+ * REST API Endpoint: Export a room's drawing
+ * Query: format=svg|png|json (default png), padding, background, scale
+ * Images composite the visible layers in order and are cropped to the
+ * drawing's bounding box plus padding; JSON holds every element and the layers
+ */
+app.get("/api/rooms/:roomId/export", requireRoomAccess(), (req, res) => {
+  const { roomId } = req.params;
+  const format = req.query.format || "png";
+
+  if (!["svg", "png", "json"].includes(format)) {
+    return res.status(400).json({ error: "format must be svg, png or json" });
+  }
+
+  const { options, error } = parseExportOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const strokes = layerManager.getVisibleStrokes(roomId);
+  const fileName = `${roomId.replace(/[^A-Za-z0-9_-]/g, "_")}.${format}`;
+  res.set("Content-Disposition", `inline; filename="${fileName}"`);
+
+  if (format === "json") {
+    const allStrokes = roomManager.getStrokes(roomId);
+    return res.json({
+      roomId,
+      exportedAt: Date.now(),
+      bounds: getStrokeBounds(allStrokes),
+      layers: layerManager.getLayers(roomId),
+      strokes: allStrokes
+    });
+  }
+
+  if (!isWithinSizeLimit(strokes, options)) {
+    return res.status(413).json({ error: "Export is too large, reduce scale or padding" });
+  }
+
+  if (format === "svg") {
+    res.type("image/svg+xml").send(renderSvg(strokes, options));
+  } else {
+    res.type("image/png").send(renderPng(strokes, options));
+  }
+});
+
+/**
+ * REST API Endpoint: Get the session replay of a room
+ * Returns every recorded drawing operation with its timestamp, oldest first
+ */
+app.get("/api/rooms/:roomId/replay", requireRoomAccess(), (req, res) => {
+  res.json(replayRecorder.getReplay(req.params.roomId));
+});
+
+/**
+ * REST API Endpoint: List saved versions of a room
+ * Returns version summaries (without stroke data), oldest first
+ */
+app.get("/api/rooms/:roomId/versions", requireRoomAccess(), (req, res) => {
+  res.json({ versions: versionManager.listVersions(req.params.roomId) });
+});
+
+/**
+ * REST API Endpoint: Save the current drawing as a named version
+ * Body: { label, author }
+ */
+app.post("/api/rooms/:roomId/versions", requireRoomAccess(true), (req, res) => {
+  const { label, author } = req.body || {};
+  const version = versionManager.createVersion(req.params.roomId, label, author);
+  res.status(201).json({
+    id: version.id,
+    label: version.label,
+    author: version.author,
+    createdAt: version.createdAt,
+    strokeCount: version.strokes.length
+  });
+});
+
+/**
+ * REST API Endpoint: Restore a room to a saved version
+ * - Saves the current drawing as a new version first (so the restore is undoable)
+ * - Records the restore in the history of the user whose client key made
+ *   the request, so they can also undo it like any change
+ * - Pushes the restored state to every connected user in the room
+ * Body: { author }
+ */
+app.post("/api/rooms/:roomId/versions/:versionId/restore", requireRoomAccess(true), (req, res) => {
+  const { roomId, versionId } = req.params;
+  const { author } = req.body || {};
+
+  const previous = roomManager.getStrokes(roomId);
+  const result = versionManager.restoreVersion(roomId, versionId, author);
+  if (!result) {
+    return res.status(404).json({ error: "Version not found" });
+  }
+
+  const op = { type: "replace", strokes: result.restored.strokes };
+  replayRecorder.record(roomId, "restore", op, author);
+
+  // The restorer can undo the restore; everyone else keeps their history
+  const clientId = getClientId(req.get("X-Client-Key"));
+  if (clientId) {
+    stateManager.recordReplace(roomId, clientId, previous, result.restored.strokes);
+    getUserSockets(roomId, clientId).forEach(userSocket => {
+      userSocket.emit("undo-state", stateManager.canUserUndo(roomId, clientId));
+      userSocket.emit("redo-state", stateManager.canUserRedo(roomId, clientId));
+    });
+  }
+
+  broadcastOp(roomId, op, author);
+
+  res.json({
+    restoredVersionId: result.restored.id,
+    backupVersionId: result.backup.id
+  });
+});
+
+/**
+ * Answer requests that failed outside a route's own checks with a JSON
+ * error like every endpoint, instead of Express's HTML error page
+ * - Malformed or oversized bodies get their 4xx status and the reason
+ * - Anything else is logged and answered with a plain 500
+ */
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(`${req.method} ${req.path} failed:`, err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+  const error = err.type === "entity.parse.failed" ? "the request body is not valid JSON" : err.message;
+  res.status(status).json({ error });
+});
+
 // Start the server on port 3001
 server.listen(3001, () => {
   console.log("Socket.IO server running on port 3001");
@@ -0,0 +1,149 @@
+/**
+ * Shape Geometry Module
+ *
+ * Shape elements live in room.strokes next to freehand strokes. They carry a
+ * `type` and are defined by two points (start and end corner of the drag):
+ *   { type: 'rectangle'|'ellipse'|'line'|'arrow', color, fill, width, points: [start, end] }
+ * Rectangles and ellipses may also carry a `rotation` (radians) around their
+ * centre; their points are the corners before rotation.
+ *
+ * The helpers here mirror the shape rendering in the client's canvasLogic.js
+ * and are used for export, bounds and eraser hit-testing.
+ */
+
+// Element types besides freehand strokes
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'line', 'arrow'];
+
+// Shapes that are open lines and therefore can't be filled
+const LINE_SHAPE_TYPES = ['line', 'arrow'];
+
+// Number of segments used to approximate an ellipse outline
+const ELLIPSE_SEGMENTS = 48;
+
+/**
+ * Rotate a point around a centre
+ *
+ * @param {Object} point - {x, y}
+ * @param {Object} center - {x, y}
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Rotated point {x, y}
+ */
+function rotatePoint(point, center, angle) {
+  if (!angle) return { x: point.x, y: point.y };
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+}
+
+/**
+ * Check whether an element is a shape (as opposed to a freehand stroke)
+ *
+ * @param {Object} element - Stroke or shape
+ * @returns {boolean} True for shapes
+ */
+function isShape(element) {
+  return SHAPE_TYPES.includes(element.type);
+}
+
+/**
+ * Compute the two barbs of an arrow head
+ * Same geometry as drawArrowHead in the client's canvasLogic.js
+ *
+ * @param {Object} start - Arrow start {x, y}
+ * @param {Object} end - Arrow tip {x, y}
+ * @param {number} width - Line width
+ * @returns {Array} Barb end points [left, right]
+ */
+function getArrowHead(start, end, width) {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const length = Math.max(10, width * 4);
+  return [angle - Math.PI / 6, angle + Math.PI / 6].map(a => ({
+    x: end.x - length * Math.cos(a),
+    y: end.y - length * Math.sin(a)
+  }));
+}
+
+/**
+ * Approximate a shape's outline as a list of polylines
+ *
+ * @param {Object} shape - Shape element
+ * @returns {Array<Array>} Polylines of points {x, y}
+ */
+function getShapeOutline(shape) {
+  const [start, end] = shape.points;
+  const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const rotate = points => points.map(point => rotatePoint(point, center, shape.rotation || 0));
+
+  switch (shape.type) {
+    case 'rectangle':
+      return [rotate([
+        { x: start.x, y: start.y },
+        { x: end.x, y: start.y },
+        { x: end.x, y: end.y },
+        { x: start.x, y: end.y },
+        { x: start.x, y: start.y }
+      ])];
+    case 'ellipse': {
+      const rx = Math.abs(end.x - start.x) / 2;
+      const ry = Math.abs(end.y - start.y) / 2;
+      const points = [];
+      for (let i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+        const a = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+        points.push({ x: center.x + rx * Math.cos(a), y: center.y + ry * Math.sin(a) });
+      }
+      return [rotate(points)];
+    }
+    case 'arrow': {
+      const [left, right] = getArrowHead(start, end, shape.width);
+      return [[start, end], [left, end, right]];
+    }
+    default:
+      return [[start, end]];
+  }
+}
+
+/**
+ * Check whether a point lies inside a filled shape's area
+ *
+ * @param {Object} point - {x, y}
+ * @param {Object} shape - Shape element
+ * @returns {boolean} True if the shape is filled and contains the point
+ */
+function isInsideFill(point, shape) {
+  if (!shape.fill || LINE_SHAPE_TYPES.includes(shape.type)) return false;
+
+  const [start, end] = shape.points;
+  const center = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+
+  // Work in the shape's unrotated frame
+  point = rotatePoint(point, center, -(shape.rotation || 0));
+
+  const minX = Math.min(start.x, end.x);
+  const maxX = Math.max(start.x, end.x);
+  const minY = Math.min(start.y, end.y);
+  const maxY = Math.max(start.y, end.y);
+
+  if (shape.type === 'rectangle') {
+    return point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY;
+  }
+
+  // Ellipse
+  const rx = (maxX - minX) / 2;
+  const ry = (maxY - minY) / 2;
+  if (rx === 0 || ry === 0) return false;
+  const dx = (point.x - (minX + rx)) / rx;
+  const dy = (point.y - (minY + ry)) / ry;
+  return dx * dx + dy * dy <= 1;
+}
+
+module.exports = {
+  SHAPE_TYPES,
+  LINE_SHAPE_TYPES,
+  rotatePoint,
+  isShape,
+  getArrowHead,
+  getShapeOutline,
+  isInsideFill
+};
@@ -6,27 +6,54 @@
  * operations without affecting other users' drawings.
  * 
  * Key features:
- * - Per-user undo/redo stacks
+ * - Per-user history of reversible commands (adds, clears and in-place
+ *   actions), each undone and redone as a whole
+ * - Vector erasing that splits strokes (undoable by the eraser)
+ * - Editing placed text in place (undoable by the editor)
+ * - Moving, scaling and rotating elements in place (undoable by the mover)
+ * - Moving elements between layers (undoable by the mover)
+ * - Locked layers: nothing on them is erased, edited, moved or undone
+ * - Moderation: removing a user's strokes or everything (room owners only)
  * - Stroke validation for security
  * - State synchronization for new users
  * - Automatic cleanup
  */
 
 const roomManager = require('./rooms');
+const layerManager = require('./layers');
+const { computeErase } = require('./eraser');
+const { SHAPE_TYPES, LINE_SHAPE_TYPES } = require('./shapes');
+const {
+  TEXT_FONTS, MAX_TEXT_LENGTH, MAX_TEXT_LINES, MIN_FONT_SIZE, MAX_FONT_SIZE, FORBIDDEN_CHARS
+} = require('./text');
+const { ROTATABLE_TYPES, transformElement } = require('./transform');
+const { isValidColor, MIN_WIDTH, MAX_WIDTH, COORDINATE_LIMIT, MAX_STROKE_POINTS } = require('./validation');
+
+// Maximum number of commands kept in a user's undo history
+const MAX_HISTORY_LENGTH = 200;
 
 class StateManager {
   constructor() {
-    // Store undo/redo stacks per user per room
+    // Per-user history of reversible commands, per room
     // Structure: Map<roomId, Map<userId, {undoStack: [], redoStack: []}>>
+    // Commands:
+    // - { type: 'add', strokes }     - strokes the user added (a stroke or an import)
+    // - { type: 'remove', removed }  - strokes the user removed, with where
+    //   they were: [{stroke, index}] (clear)
+    // - { type: 'splice', action }   - an in-place action {timestamp, changes[]}
+    //   (erase, text edit, transform, layer move; see applyErase)
+    // - { type: 'replace', removed, strokes } - a version restore: the strokes
+    //   it removed, with where they were, and the strokes it added
     this.userStacks = new Map();
   }
 
   /**
-   * Initialize undo/redo stacks for a user in a room
+   * Get the history of a user in a room
    * Creates empty stacks if they don't exist
    * 
    * @param {string} roomId - Room identifier
-   * @param {string} userId - User's socket ID
+   * @param {string} userId - User's client ID (see identity.js)
+   * @returns {Object} Stacks {undoStack, redoStack} of commands, oldest first
    */
   initializeUserStacks(roomId, userId) {
     if (!this.userStacks.has(roomId)) {
@@ -34,131 +61,576 @@ class StateManager {
     }
     if (!this.userStacks.get(roomId).has(userId)) {
       this.userStacks.get(roomId).set(userId, {
-        undoStack: [],  // Stores removed strokes for redo
-        redoStack: []   // Currently unused (for future enhancement)
+        undoStack: [],  // Commands that can be undone
+        redoStack: []   // Undone commands that can be redone
       });
     }
+    return this.userStacks.get(roomId).get(userId);
+  }
+
+  /**
+   * Record a command a user just carried out
+   * A new command invalidates the user's redo history; other users' commands
+   * don't, so redo stays available while others keep drawing
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @param {Object} command - Command (see constructor)
+   */
+  record(roomId, userId, command) {
+    const userStacks = this.initializeUserStacks(roomId, userId);
+    userStacks.undoStack.push(command);
+    userStacks.redoStack = [];
+
+    if (userStacks.undoStack.length > MAX_HISTORY_LENGTH) {
+      userStacks.undoStack.shift();
+    }
   }
 
   /**
-   * Undo the last stroke by a user
-   * - Finds and removes the user's most recent stroke
-   * - Stores it in undo stack for potential redo
-   * - Returns updated canvas state
+   * Add a stroke to a room and record it for undo
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @param {Object} stroke - Validated stroke
+   * @returns {Object} Stroke with added metadata (see RoomManager.addStroke)
+   */
+  addStroke(roomId, userId, stroke) {
+    const strokeWithMeta = roomManager.addStroke(roomId, stroke, userId);
+    this.record(roomId, userId, { type: 'add', strokes: [strokeWithMeta] });
+    return strokeWithMeta;
+  }
+
+  /**
+   * Add a group of strokes (an import) to a room and record it as one command
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @param {Array} strokes - Validated strokes
+   * @returns {Array} Strokes with added metadata (see RoomManager.addStrokeGroup)
+   */
+  addStrokeGroup(roomId, userId, strokes) {
+    const added = roomManager.addStrokeGroup(roomId, strokes, userId);
+    this.record(roomId, userId, { type: 'add', strokes: added });
+    return added;
+  }
+
+  /**
+   * Record a replacement of the whole drawing (a version restore) for undo
+   * Only the strokes it removed and added are kept, so undoing it leaves
+   * what others drew since alone. Other users' histories are kept too:
+   * their commands skip whatever the restore changed.
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user who replaced it (see identity.js)
+   * @param {Array} previous - Strokes before the replacement
+   * @param {Array} strokes - Strokes after it
+   */
+  recordReplace(roomId, userId, previous, strokes) {
+    const previousIds = new Set(previous.map(stroke => stroke.id));
+    const ids = new Set(strokes.map(stroke => stroke.id));
+    const removed = [];
+    previous.forEach((stroke, index) => {
+      if (!ids.has(stroke.id)) removed.push({ stroke, index });
+    });
+    const added = strokes.filter(stroke => !previousIds.has(stroke.id));
+    if (removed.length > 0 || added.length > 0) {
+      this.record(roomId, userId, { type: 'replace', removed, strokes: added });
+    }
+  }
+
+  /**
+   * Remove every stroke a user owns, except those on locked layers
+   * Recorded as one command, so the whole clear can be undone
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, or null if nothing was removed
+   */
+  clearUserStrokes(roomId, userId) {
+    const removed = [];
+    roomManager.getStrokes(roomId).forEach((stroke, index) => {
+      if (stroke.userId === userId && !layerManager.isLocked(roomId, stroke)) {
+        removed.push({ stroke, index });
+      }
+    });
+    if (removed.length === 0) return null;
+
+    const strokeIds = removed.map(({ stroke }) => stroke.id);
+    roomManager.removeStrokes(roomId, strokeIds);
+    this.record(roomId, userId, { type: 'remove', removed });
+
+    console.log(`Cleared ${removed.length} stroke(s) by ${userId} in room ${roomId}`);
+    return this.buildResult(roomId, userId, { type: 'remove', strokeIds });
+  }
+
+  /**
+   * Undo the last command by a user
+   * - Adds, clears and in-place actions are each undone as a whole
+   * - Commands whose strokes others have since changed or removed entirely
+   *   have nothing left to undo and are skipped
+   * - Refused if the command touches a locked layer
+   * - Returns updated canvas state and the room op that was applied
    * 
    * @param {string} roomId - Room identifier
-   * @param {string} userId - User's socket ID
-   * @returns {Object|null} Result object with strokes and undo/redo states, or null if no strokes to undo
+   * @param {string} userId - User's client ID (see identity.js)
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, or null if nothing to undo
    */
   undo(roomId, userId) {
-    const room = roomManager.getRoom(roomId);
-    const strokes = room.strokes;
+    const userStacks = this.initializeUserStacks(roomId, userId);
+
+    while (userStacks.undoStack.length > 0) {
+      const command = userStacks.undoStack[userStacks.undoStack.length - 1];
+      if (this.touchesLockedLayer(roomId, getCommandElements(command))) {
+        console.log(`Undo refused: ${userId}'s last change in room ${roomId} is on a locked layer`);
+        return null;
+      }
+
+      userStacks.undoStack.pop();
+      const op = this.revertCommand(roomId, command);
+      if (!op) continue;
+
+      userStacks.redoStack.push(command);
+      console.log(`Undo: Reverted ${command.type} by ${userId} in room ${roomId}. Undo stack size: ${userStacks.undoStack.length}`);
+      return this.buildResult(roomId, userId, op);
+    }
+
+    console.log(`Undo failed: User ${userId} has nothing to undo in room ${roomId}`);
+    return null;
+  }
+
+  /**
+   * Redo the last command a user undid
+   * - Works the same way as undo, in the other direction
+   * - Returns updated canvas state and the room op that was applied
+   * 
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, or null if no undo history
+   */
+  redo(roomId, userId) {
+    const userStacks = this.initializeUserStacks(roomId, userId);
 
-    this.initializeUserStacks(roomId, userId);
-    const userStacks = this.userStacks.get(roomId).get(userId);
+    while (userStacks.redoStack.length > 0) {
+      const command = userStacks.redoStack[userStacks.redoStack.length - 1];
+      if (this.touchesLockedLayer(roomId, getCommandElements(command))) {
+        console.log(`Redo refused: ${userId}'s last undone change in room ${roomId} is on a locked layer`);
+        return null;
+      }
+
+      userStacks.redoStack.pop();
+      const op = this.applyCommand(roomId, command);
+      if (!op) continue;
+
+      userStacks.undoStack.push(command);
+      console.log(`Redo: Re-applied ${command.type} by ${userId} in room ${roomId}. Redo stack size: ${userStacks.redoStack.length}`);
+      return this.buildResult(roomId, userId, op);
+    }
 
-    // Find the last stroke created by this user (searching backwards for efficiency)
-    let lastStrokeIndex = -1;
-    for (let i = strokes.length - 1; i >= 0; i--) {
-      if (strokes[i].userId === userId) {
-        lastStrokeIndex = i;
-        break;
+    console.log(`Redo failed: User ${userId} has nothing to redo in room ${roomId}`);
+    return null;
+  }
+
+  /**
+   * Carry out a recorded command again (redo)
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} command - Command (see constructor)
+   * @returns {Object|null} The room op that was applied, or null if nothing changed
+   */
+  applyCommand(roomId, command) {
+    const present = new Set(roomManager.getStrokes(roomId).map(stroke => stroke.id));
+
+    switch (command.type) {
+      case 'add': {
+        // Put back the strokes that are still gone
+        const strokes = command.strokes.filter(stroke => !present.has(stroke.id));
+        if (strokes.length === 0) return null;
+        roomManager.restoreStrokes(roomId, strokes);
+        return { type: 'add-many', strokes };
       }
+      case 'remove': {
+        const strokeIds = command.removed.map(({ stroke }) => stroke.id).filter(id => present.has(id));
+        if (strokeIds.length === 0) return null;
+        roomManager.removeStrokes(roomId, strokeIds);
+        return { type: 'remove', strokeIds };
+      }
+      case 'replace':
+        return this.swapStrokes(roomId, command.removed.map(({ stroke }) => stroke),
+          command.strokes.map(stroke => ({ stroke })));
+      default:
+        return this.applyErase(roomId, command.action);
     }
+  }
 
-    // No strokes found for this user
-    if (lastStrokeIndex === -1) {
-      console.log(`Undo failed: User ${userId} has no strokes in room ${roomId}`);
-      return null;
+  /**
+   * Undo a recorded command
+   * Only what is still as the command left it is reverted, so strokes that
+   * others changed since are never duplicated
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} command - Command (see constructor)
+   * @returns {Object|null} The room op that was applied, or null if nothing changed
+   */
+  revertCommand(roomId, command) {
+    const present = new Set(roomManager.getStrokes(roomId).map(stroke => stroke.id));
+
+    switch (command.type) {
+      case 'add': {
+        const strokeIds = command.strokes.map(stroke => stroke.id).filter(id => present.has(id));
+        if (strokeIds.length === 0) return null;
+        roomManager.removeStrokes(roomId, strokeIds);
+        return { type: 'remove', strokeIds };
+      }
+      case 'remove': {
+        // Put the cleared strokes back where they were in the drawing order
+        const changes = command.removed
+          .filter(({ stroke }) => !present.has(stroke.id))
+          .map(({ stroke, index }) => ({ removeIds: [], strokes: [stroke], index }));
+        if (changes.length === 0) return null;
+        roomManager.spliceStrokes(roomId, changes);
+        return { type: 'splice', changes };
+      }
+      case 'replace':
+        return this.swapStrokes(roomId, command.strokes, command.removed);
+      default:
+        return this.revertErase(roomId, command.action);
     }
+  }
 
-    // Remove stroke from canvas and store in undo stack
-    const removedStroke = strokes.splice(lastStrokeIndex, 1)[0];
-    userStacks.undoStack.push(removedStroke);
+  /**
+   * Take strokes out of the drawing and put others back, as one replace op
+   * (undo and redo of a version restore)
+   * Strokes that are already gone, or already back, are skipped
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} remove - Strokes to take out
+   * @param {Array} restore - Strokes to put back [{stroke, index}]; without an index they go on top
+   * @returns {Object|null} The replace op that was applied, or null if nothing changed
+   */
+  swapStrokes(roomId, remove, restore) {
+    const removeIds = new Set(remove.map(stroke => stroke.id));
+    const current = roomManager.getStrokes(roomId);
+    const present = new Set(current.map(stroke => stroke.id));
+    const strokes = current.filter(stroke => !removeIds.has(stroke.id));
+    const missing = restore.filter(({ stroke }) => !present.has(stroke.id));
+    if (strokes.length === current.length && missing.length === 0) return null;
 
-    console.log(`Undo: Removed stroke ${removedStroke.id} from room ${roomId}. Undo stack size: ${userStacks.undoStack.length}`);
+    missing.forEach(({ stroke, index = strokes.length }) => {
+      strokes.splice(Math.min(index, strokes.length), 0, stroke);
+    });
+    roomManager.replaceStrokes(roomId, strokes);
+    return { type: 'replace', strokes };
+  }
 
-    return {
-      success: true,
-      strokes: room.strokes,
-      removedStroke: removedStroke,
-      canUndo: this.canUserUndo(roomId, userId),
-      canRedo: this.canUserRedo(roomId, userId)
+  /**
+   * Erase along a path, splitting every stroke it crosses
+   * - Hit strokes are replaced in place by the pieces that survive
+   * - Pieces keep the original stroke's owner, style, group and layer
+   * - Elements on hidden or locked layers are left alone
+   * - The erase is recorded so the eraser can undo and redo it
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user erasing (see identity.js)
+   * @param {Array} path - Eraser path points {x, y}
+   * @param {number} radius - Eraser radius
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, {error} if the
+   *   erase would take too much work (see eraser.js), or null if nothing was hit
+   */
+  erase(roomId, userId, path, radius) {
+    const room = roomManager.getRoom(roomId);
+    const changes = computeErase(room.strokes, path, radius);
+    if (!changes) return { error: 'points cross too much of the drawing to erase at once' };
+
+    const hits = changes.filter(hit => layerManager.isEditable(roomId, hit.original));
+    if (hits.length === 0) return null;
+
+    const now = Date.now();
+    const action = {
+      timestamp: now,
+      changes: hits.map(hit => ({
+        original: hit.original,
+        index: hit.index,
+        pieces: hit.pieces.map(points => ({
+          ...hit.original,
+          id: `${hit.original.userId}-${now}-${Math.random().toString(36).substr(2, 9)}`,
+          points
+        }))
+      }))
     };
+
+    const op = this.commitAction(roomId, userId, action);
+
+    console.log(`Erase by ${userId} split ${hits.length} stroke(s) in room ${roomId}`);
+    return this.buildResult(roomId, userId, op);
   }
 
   /**
-   * Redo the last undone stroke by a user
-   * - Restores the most recently undone stroke
-   * - Returns updated canvas state
-   * 
+   * Edit a placed text element in place
+   * - Anyone in the room can edit text; the element keeps its owner and
+   *   its position in the drawing order, but gets a new ID
+   * - Emptying the text removes the element
+   * - Text on hidden or locked layers can't be edited
+   * - The edit is recorded like an erase, so the editor can undo and redo it
+   *
    * @param {string} roomId - Room identifier
-   * @param {string} userId - User's socket ID
-   * @returns {Object|null} Result object with strokes and undo/redo states, or null if no undo history
+   * @param {string} userId - Client ID of the user editing (see identity.js)
+   * @param {string} textId - ID of the text element
+   * @param {Object} changes - New {text, fontFamily, fontSize, color}; missing fields are kept
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, or null if the edit is invalid
    */
-  redo(roomId, userId) {
-    const room = roomManager.getRoom(roomId);
-    this.initializeUserStacks(roomId, userId);
-    const userStacks = this.userStacks.get(roomId).get(userId);
+  updateText(roomId, userId, textId, changes) {
+    const strokes = roomManager.getStrokes(roomId);
+    const index = strokes.findIndex(stroke => stroke.id === textId);
+    const original = strokes[index];
+    if (!original || original.type !== 'text' || !layerManager.isEditable(roomId, original)) return null;
+
+    const now = Date.now();
+    const updated = {
+      ...original,
+      id: `${original.userId}-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      text: changes.text ?? original.text,
+      fontFamily: changes.fontFamily ?? original.fontFamily,
+      fontSize: changes.fontSize ?? original.fontSize,
+      color: changes.color ?? original.color
+    };
+
+    const removing = typeof updated.text === 'string' && updated.text.trim() === '';
+    if (!removing && !this.validateStroke(updated)) return null;
+
+    const op = this.commitAction(roomId, userId, {
+      timestamp: now,
+      changes: [{ original, index, pieces: removing ? [] : [updated] }]
+    });
+
+    console.log(`Text ${textId} ${removing ? 'removed' : 'edited'} by ${userId} in room ${roomId}`);
+    return this.buildResult(roomId, userId, op);
+  }
 
-    // Check if there's anything to redo
-    if (userStacks.undoStack.length === 0) {
-      console.log(`Redo failed: User ${userId} has no undo history in room ${roomId}`);
+  /**
+   * Apply an affine transform (move, scale, rotate) to a set of elements
+   * - Each element is replaced in place by its transformed copy with a new ID
+   * - All-or-nothing: if any element no longer exists (someone else changed
+   *   or removed it first), is on a hidden or locked layer, or a result is
+   *   invalid, nothing is changed
+   * - The transform is recorded like an erase, so the user can undo and redo it
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user transforming (see identity.js)
+   * @param {Array<string>} strokeIds - IDs of the elements to transform
+   * @param {Array} matrix - Affine matrix [a, b, c, d, e, f]
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, or null if rejected
+   */
+  transform(roomId, userId, strokeIds, matrix) {
+    const strokes = roomManager.getStrokes(roomId);
+    const ids = new Set(strokeIds);
+    const targets = [];
+    strokes.forEach((stroke, index) => {
+      if (ids.has(stroke.id)) targets.push({ original: stroke, index });
+    });
+
+    if (targets.length !== ids.size) {
+      console.log(`Transform by ${userId} rejected: elements changed since they were selected`);
+      return null;
+    }
+
+    if (!targets.every(({ original }) => layerManager.isEditable(roomId, original))) {
+      console.log(`Transform by ${userId} rejected: elements are on a hidden or locked layer`);
+      return null;
+    }
+
+    const now = Date.now();
+    const changes = targets.map(({ original, index }) => ({
+      original,
+      index,
+      pieces: [{
+        ...transformElement(original, matrix),
+        id: `${original.userId}-${now}-${Math.random().toString(36).substr(2, 9)}`
+      }]
+    }));
+
+    if (!changes.every(change => this.validateStroke(change.pieces[0]))) {
+      console.log(`Transform by ${userId} rejected: result is out of bounds`);
+      return null;
+    }
+
+    const op = this.commitAction(roomId, userId, { timestamp: now, changes });
+
+    console.log(`Transform by ${userId} moved ${changes.length} element(s) in room ${roomId}`);
+    return this.buildResult(roomId, userId, op);
+  }
+
+  /**
+   * Move a set of elements to another layer
+   * - Each element is replaced in place by a copy on the new layer with a new ID
+   * - All-or-nothing, like transform: every element must still exist and be
+   *   editable, and the target layer must exist and not be locked
+   * - The move is recorded like an erase, so the user can undo and redo it
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user moving the elements (see identity.js)
+   * @param {Array<string>} strokeIds - IDs of the elements to move
+   * @param {string} layerId - Target layer
+   * @returns {Object|null} Result object with strokes, op and undo/redo states, or null if rejected
+   */
+  moveToLayer(roomId, userId, strokeIds, layerId) {
+    if (!layerManager.canDrawOn(roomId, layerId)) {
+      console.log(`Layer move by ${userId} rejected: layer ${layerId} is missing or locked`);
       return null;
     }
 
-    // Restore stroke from undo stack
-    const stroke = userStacks.undoStack.pop();
-    room.strokes.push(stroke);
-    userStacks.redoStack.push(stroke);
+    const strokes = roomManager.getStrokes(roomId);
+    const ids = new Set(strokeIds);
+    const targets = [];
+    strokes.forEach((stroke, index) => {
+      if (ids.has(stroke.id)) targets.push({ original: stroke, index });
+    });
 
-    console.log(`Redo: Restored stroke ${stroke.id} to room ${roomId}. Undo stack size: ${userStacks.undoStack.length}`);
+    if (targets.length !== ids.size || !targets.every(({ original }) => layerManager.isEditable(roomId, original))) {
+      console.log(`Layer move by ${userId} rejected: elements changed or are on a hidden or locked layer`);
+      return null;
+    }
+
+    const now = Date.now();
+    const changes = targets
+      .filter(({ original }) => layerManager.getLayer(roomId, original.layerId).id !== layerId)
+      .map(({ original, index }) => ({
+        original,
+        index,
+        pieces: [{
+          ...original,
+          id: `${original.userId}-${now}-${Math.random().toString(36).substr(2, 9)}`,
+          layerId
+        }]
+      }));
+    if (changes.length === 0) return null;
 
+    const op = this.commitAction(roomId, userId, { timestamp: now, changes });
+
+    console.log(`Layer move by ${userId} moved ${changes.length} element(s) to ${layerId} in room ${roomId}`);
+    return this.buildResult(roomId, userId, op);
+  }
+
+  /**
+   * Check whether any of a set of elements is on a locked layer
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} elements - Room elements
+   * @returns {boolean} True if at least one element is locked
+   */
+  touchesLockedLayer(roomId, elements) {
+    return elements.some(element => layerManager.isLocked(roomId, element));
+  }
+
+  /**
+   * Apply a new in-place action and record it for undo
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @param {Object} action - Action {timestamp, changes[]} (see applyErase)
+   * @returns {Object} The splice op that was applied
+   */
+  commitAction(roomId, userId, action) {
+    const op = this.applyErase(roomId, action);
+    this.record(roomId, userId, { type: 'splice', action });
+    return op;
+  }
+
+  /**
+   * Apply a recorded erase: swap each original stroke for its pieces
+   * Originals that are no longer on the canvas (e.g. undone by their owner) are skipped
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} action - Erase action {timestamp, changes[]}
+   * @returns {Object|null} The splice op that was applied, or null if nothing changed
+   */
+  applyErase(roomId, action) {
+    const present = new Set(roomManager.getStrokes(roomId).map(stroke => stroke.id));
+    const changes = action.changes
+      .filter(change => present.has(change.original.id))
+      .map(change => ({
+        removeIds: [change.original.id],
+        strokes: change.pieces,
+        index: change.index
+      }));
+    if (changes.length === 0) return null;
+
+    roomManager.spliceStrokes(roomId, changes);
+    return { type: 'splice', changes };
+  }
+
+  /**
+   * Revert a recorded erase: swap the pieces back for each original stroke
+   * A change is only reverted while all of its pieces are still intact, so
+   * strokes that were modified since are never duplicated
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} action - Erase action {timestamp, changes[]}
+   * @returns {Object|null} The splice op that was applied, or null if nothing changed
+   */
+  revertErase(roomId, action) {
+    const present = new Set(roomManager.getStrokes(roomId).map(stroke => stroke.id));
+    const changes = action.changes
+      .filter(change => !present.has(change.original.id) &&
+        change.pieces.every(piece => present.has(piece.id)))
+      .reverse()
+      .map(change => ({
+        removeIds: change.pieces.map(piece => piece.id),
+        strokes: [change.original],
+        index: change.index
+      }));
+    if (changes.length === 0) return null;
+
+    roomManager.spliceStrokes(roomId, changes);
+    return { type: 'splice', changes };
+  }
+
+  /**
+   * Build the result of an undo/redo/erase for broadcasting
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - User's client ID (see identity.js)
+   * @param {Object} op - Room op that was applied
+   * @returns {Object} Result object with strokes, op and undo/redo states
+   */
+  buildResult(roomId, userId, op) {
     return {
       success: true,
-      strokes: room.strokes,
-      restoredStroke: stroke,
+      strokes: roomManager.getStrokes(roomId),
+      op: op,
       canUndo: this.canUserUndo(roomId, userId),
       canRedo: this.canUserRedo(roomId, userId)
     };
   }
 
   /**
-   * Check if user can undo (has at least one stroke on canvas)
+   * Check if user can undo (has commands in their history)
    * 
    * @param {string} roomId - Room identifier
-   * @param {string} userId - User's socket ID
-   * @returns {boolean} True if user has strokes to undo
+   * @param {string} userId - User's client ID (see identity.js)
+   * @returns {boolean} True if user has commands to undo
    */
   canUserUndo(roomId, userId) {
-    this.initializeUserStacks(roomId, userId);
-    const userStacks = this.userStacks.get(roomId).get(userId);
-    const room = roomManager.getRoom(roomId);
-    
-    // Can undo if there's at least one stroke by this user on the canvas
-    const hasUserStroke = room.strokes.some(s => s.userId === userId);
-    return hasUserStroke;
+    return this.initializeUserStacks(roomId, userId).undoStack.length > 0;
   }
 
   /**
-   * Check if user can redo (has undo history)
+   * Check if user can redo (has undone commands)
    * 
    * @param {string} roomId - Room identifier
-   * @param {string} userId - User's socket ID
-   * @returns {boolean} True if user has undo history to redo
+   * @param {string} userId - User's client ID (see identity.js)
+   * @returns {boolean} True if user has undone commands to redo
    */
   canUserRedo(roomId, userId) {
-    this.initializeUserStacks(roomId, userId);
-    const userStacks = this.userStacks.get(roomId).get(userId);
-    return userStacks.undoStack.length > 0;
+    return this.initializeUserStacks(roomId, userId).redoStack.length > 0;
   }
 
   /**
    * Clear undo/redo history for a user or entire room
-   * Called when new strokes are added or user clears their canvas
+   * Called when a user's strokes are removed by the room owner
    * 
    * @param {string} roomId - Room identifier
-   * @param {string} userId - User's socket ID (optional, if null clears entire room)
+   * @param {string} userId - User's client ID (optional, if null clears entire room)
    */
   clearRedoHistory(roomId, userId = null) {
     if (!this.userStacks.has(roomId)) return;
@@ -183,7 +655,7 @@ class StateManager {
    * Used to sync new users with current canvas state
    * 
    * @param {string} roomId - Room identifier
-   * @returns {Object} State object with strokes, userCount, and timestamp
+   * @returns {Object} State object with strokes, layers, seq, userCount, and timestamp
    */
   getSyncState(roomId) {
     const strokes = roomManager.getStrokes(roomId);
@@ -191,6 +663,9 @@ class StateManager {
 
     return {
       strokes: strokes,
+      layers: layerManager.getLayers(roomId),
+      seq: roomManager.getSeq(roomId),
+      epoch: roomManager.getEpoch(roomId),
       userCount: room.users.size,
       timestamp: Date.now()
     };
@@ -198,9 +673,13 @@ class StateManager {
 
   /**
    * Validate stroke data for security and integrity
-   * Checks for required fields and valid data ranges
+   * Checks for required fields and valid data ranges: a hex colour, a width
+   * the size slider allows and at most MAX_STROKE_POINTS points
+   * Freehand strokes have no type and may give every point its own width;
+   * shapes ('rectangle', 'ellipse', 'line', 'arrow') carry two corner points
+   * and an optional fill colour; text is checked by validateText
    * 
-   * @param {Object} stroke - Stroke object to validate
+   * @param {Object} stroke - Stroke or shape object to validate
    * @returns {boolean} True if stroke is valid
    */
   validateStroke(stroke) {
@@ -209,6 +688,18 @@ class StateManager {
       return false;
     }
 
+    // The layer is optional (default layer); whether it exists is up to the caller
+    if (stroke.layerId !== undefined &&
+        (typeof stroke.layerId !== 'string' || stroke.layerId.length === 0 || stroke.layerId.length > 100)) {
+      console.log('Invalid stroke: Invalid layer');
+      return false;
+    }
+
+    // Text has its own fields
+    if (stroke.type === 'text') {
+      return this.validateText(stroke);
+    }
+
     // Check required fields
     if (!stroke.color || !stroke.width || !Array.isArray(stroke.points)) {
       console.log('Invalid stroke: Missing required fields');
@@ -216,21 +707,171 @@ class StateManager {
     }
 
     // Check points array is not empty
-    if (stroke.points.length === 0) {
-      console.log('Invalid stroke: Empty points array');
+    if (stroke.points.length === 0 || stroke.points.length > MAX_STROKE_POINTS) {
+      console.log('Invalid stroke: Empty or oversized points array');
+      return false;
+    }
+
+    if (!isValidColor(stroke.color)) {
+      console.log('Invalid stroke: Invalid colour');
+      return false;
+    }
+
+    if (!Number.isFinite(stroke.width) || stroke.width < MIN_WIDTH || stroke.width > MAX_WIDTH) {
+      console.log('Invalid stroke: Width out of range');
+      return false;
+    }
+
+    // Freehand strokes have no type; anything else must be a known shape
+    if (stroke.type !== undefined && !SHAPE_TYPES.includes(stroke.type)) {
+      console.log(`Invalid stroke: Unknown element type ${stroke.type}`);
+      return false;
+    }
+
+    if (!this.validateRotation(stroke)) {
+      return false;
+    }
+
+    if (!this.validatePointWidths(stroke)) {
+      return false;
+    }
+
+    if (SHAPE_TYPES.includes(stroke.type)) {
+      // Shapes are defined by their start and end corner
+      if (stroke.points.length !== 2) {
+        console.log('Invalid shape: Shapes need exactly two points');
+        return false;
+      }
+
+      // Fill is optional: null/absent for no fill, otherwise a colour string
+      if (stroke.fill != null) {
+        if (LINE_SHAPE_TYPES.includes(stroke.type)) {
+          console.log('Invalid shape: Lines and arrows cannot be filled');
+          return false;
+        }
+        if (!isValidColor(stroke.fill)) {
+          console.log('Invalid shape: Invalid fill colour');
+          return false;
+        }
+      }
+    }
+
+    return this.validatePoints(stroke.points);
+  }
+
+  /**
+   * Validate a text element: a single anchor point, a known font, a font
+   * size within range and text within the length, line and character limits
+   *
+   * @param {Object} element - Text element to validate
+   * @param {Object} options - {allowEmpty}: accept empty text (for live previews)
+   * @returns {boolean} True if the text element is valid
+   */
+  validateText(element, { allowEmpty = false } = {}) {
+    if (!element || typeof element !== 'object' || element.type !== 'text') {
+      return false;
+    }
+
+    if (typeof element.text !== 'string' || (!allowEmpty && element.text.trim() === '')) {
+      console.log('Invalid text: Missing text');
       return false;
     }
 
-    // Validate each point in the stroke
-    for (const point of stroke.points) {
+    if (element.text.length > MAX_TEXT_LENGTH || element.text.split('\n').length > MAX_TEXT_LINES) {
+      console.log('Invalid text: Text too long');
+      return false;
+    }
+
+    if (FORBIDDEN_CHARS.test(element.text)) {
+      console.log('Invalid text: Text contains control characters');
+      return false;
+    }
+
+    if (!TEXT_FONTS.includes(element.fontFamily)) {
+      console.log(`Invalid text: Unknown font ${element.fontFamily}`);
+      return false;
+    }
+
+    if (!Number.isFinite(element.fontSize) || element.fontSize < MIN_FONT_SIZE || element.fontSize > MAX_FONT_SIZE) {
+      console.log('Invalid text: Font size out of range');
+      return false;
+    }
+
+    if (!isValidColor(element.color)) {
+      console.log('Invalid text: Invalid colour');
+      return false;
+    }
+
+    if (!Array.isArray(element.points) || element.points.length !== 1) {
+      console.log('Invalid text: Text needs exactly one anchor point');
+      return false;
+    }
+
+    if (!this.validateRotation(element)) {
+      return false;
+    }
+
+    return this.validatePoints(element.points);
+  }
+
+  /**
+   * Validate an element's optional rotation
+   * Only rectangles, ellipses and text store a rotation; other elements are
+   * rotated by moving their points
+   *
+   * @param {Object} element - Element to validate
+   * @returns {boolean} True if the rotation is absent or valid
+   */
+  validateRotation(element) {
+    if (element.rotation === undefined) return true;
+
+    if (!ROTATABLE_TYPES.includes(element.type) || !Number.isFinite(element.rotation)) {
+      console.log('Invalid element: Invalid rotation');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate the optional per-point widths of a stroke
+   * Only freehand strokes have them; each is positive and at most the
+   * stroke's width (the width at full pressure)
+   *
+   * @param {Object} stroke - Stroke to validate
+   * @returns {boolean} True if the widths are absent or valid
+   */
+  validatePointWidths(stroke) {
+    const widths = stroke.points.filter(point => point && point.width !== undefined).map(point => point.width);
+    if (widths.length === 0) return true;
+
+    if (stroke.type !== undefined) {
+      console.log('Invalid shape: Only freehand strokes have point widths');
+      return false;
+    }
+
+    if (!widths.every(width => Number.isFinite(width) && width > 0 && width <= stroke.width)) {
+      console.log('Invalid stroke: Point width out of range');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate element points
+   *
+   * @param {Array} points - Points {x, y}
+   * @returns {boolean} True if every point has in-bounds coordinates
+   */
+  validatePoints(points) {
+    for (const point of points) {
       // Check point has valid x,y coordinates
-      if (typeof point.x !== 'number' || typeof point.y !== 'number') {
+      if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
         console.log('Invalid stroke: Point has invalid coordinates');
         return false;
       }
       
-      // Check coordinates are within reasonable bounds (prevent DoS/overflow)
-      if (point.x < -10000 || point.x > 10000 || point.y < -10000 || point.y > 10000) {
+      // Check coordinates are within the sanity bound (the board is otherwise infinite)
+      if (Math.abs(point.x) > COORDINATE_LIMIT || Math.abs(point.y) > COORDINATE_LIMIT) {
         console.log('Invalid stroke: Point coordinates out of bounds');
         return false;
       }
@@ -246,30 +887,81 @@ class StateManager {
    * @returns {Object} Statistics object
    */
   getStateStats(roomId) {
-    const redoStack = this.redoHistory.get(roomId) || [];
+    const histories = Array.from((this.userStacks.get(roomId) || new Map()).values());
     const room = roomManager.getRoomStats(roomId);
 
     return {
       roomId: roomId,
       strokeCount: room ? room.strokeCount : 0,
-      redoAvailable: redoStack.length,
+      undoAvailable: histories.reduce((total, stacks) => total + stacks.undoStack.length, 0),
+      redoAvailable: histories.reduce((total, stacks) => total + stacks.redoStack.length, 0),
       roomStats: room
     };
   }
 
+  /**
+   * Remove every stroke a user owns, on any layer, and forget their history
+   * Used by the room owner to deal with a disruptive user, so it overrides
+   * layer locks and can't be undone by either of them
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} userId - Client ID of the user whose strokes go (see identity.js)
+   * @returns {Object|null} Room op that was applied, or null if the user had no strokes
+   */
+  removeUserStrokes(roomId, userId) {
+    const strokeIds = roomManager.getStrokes(roomId)
+      .filter(stroke => stroke.userId === userId)
+      .map(stroke => stroke.id);
+    this.clearRedoHistory(roomId, userId);
+    if (strokeIds.length === 0) return null;
+
+    roomManager.removeStrokes(roomId, strokeIds);
+    console.log(`Removed ${strokeIds.length} stroke(s) by ${userId} in room ${roomId}`);
+    return { type: 'remove', strokeIds };
+  }
+
   /**
    * Clear all state for a room (strokes and history)
-   * Nuclear option for room reset
+   * Nuclear option for room reset, used by the room owner's clear-all
    * 
    * @param {string} roomId - Room identifier
+   * @returns {Object} Room op that was applied
    */
   clearRoomState(roomId) {
-    const room = roomManager.getRoom(roomId);
-    room.strokes = [];
-    this.undoHistory.delete(roomId);
-    this.redoHistory.delete(roomId);
+    roomManager.replaceStrokes(roomId, []);
+    this.userStacks.delete(roomId);
     
     console.log(`Cleared all state for room ${roomId}`);
+    return { type: 'replace', strokes: [] };
+  }
+}
+
+/**
+ * Every element an in-place action touches: the originals and their replacements
+ *
+ * @param {Object} action - Action {timestamp, changes[]} (see applyErase)
+ * @returns {Array} Elements
+ */
+function getActionElements(action) {
+  return action.changes.flatMap(change => [change.original, ...change.pieces]);
+}
+
+/**
+ * Every element a command touches
+ *
+ * @param {Object} command - Command (see StateManager constructor)
+ * @returns {Array} Elements
+ */
+function getCommandElements(command) {
+  switch (command.type) {
+    case 'add':
+      return command.strokes;
+    case 'remove':
+      return command.removed.map(({ stroke }) => stroke);
+    case 'replace':
+      return [...command.removed.map(({ stroke }) => stroke), ...command.strokes];
+    default:
+      return getActionElements(command.action);
   }
 }
 
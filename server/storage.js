@@ -0,0 +1,441 @@
+/**
+ * Room Storage Module
+ *
+ * Pluggable persistence backends for room drawing state. RoomManager writes
+ * every mutation through the active backend as a small operation record and
+ * periodically hands it a full snapshot of the room.
+ *
+ * Backends:
+ * - MemoryStorage: keeps nothing beyond the live room objects (state is lost
+ *   when a room is unloaded or the server restarts)
+ * - FileStorage: append-only op log plus periodic snapshots on disk, so rooms
+ *   survive restarts and are reloaded lazily. Writes are buffered per room
+ *   and flushed asynchronously in order, so they never block the event loop
+ *   or throw into a socket handler; a write that fails is logged, kept and
+ *   retried, and the room reports the failure until a retry succeeds
+ *
+ * Backend interface:
+ * - load(roomId)             -> { snapshot: {createdAt, seq, strokes} | null, ops: [] } | null
+ * - append(roomId, op)       -> record a single mutation
+ * - snapshot(roomId, state)  -> persist full state and discard the op log
+ * - loadVersions(roomId)     -> saved named versions, or null
+ * - saveVersions(roomId, versions) -> persist the full version list
+ * - loadLayers(roomId)       -> saved layer list, or null
+ * - saveLayers(roomId, layers) -> persist the full layer list
+ * - loadAccess(roomId)       -> saved access record, or null
+ * - saveAccess(roomId, access) -> persist the access record
+ * - loadReplay(roomId)       -> full session replay log, or null
+ * - appendReplay(roomId, entry) -> record a single replay entry
+ * - saveReplay(roomId, entries) -> replace the replay log (after it was compacted)
+ * - getWriteError(roomId)    -> why the room's last writes failed, or null once they are on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// How long to wait before retrying writes that failed (ms)
+const WRITE_RETRY_DELAY = 5000;
+
+/**
+ * In-memory backend
+ * Rooms only live as long as RoomManager keeps them loaded
+ */
+class MemoryStorage {
+  constructor() {
+    this.durable = false;
+  }
+
+  load() {
+    return null;
+  }
+
+  append() {}
+
+  snapshot() {}
+
+  loadVersions() {
+    return null;
+  }
+
+  saveVersions() {}
+
+  loadLayers() {
+    return null;
+  }
+
+  saveLayers() {}
+
+  loadAccess() {
+    return null;
+  }
+
+  saveAccess() {}
+
+  loadReplay() {
+    return null;
+  }
+
+  appendReplay() {}
+
+  saveReplay() {}
+
+  getWriteError() {
+    return null;
+  }
+}
+
+/**
+ * File-based backend
+ *
+ * Layout per room:
+ *   <dir>/<roomId>/snapshot.json - last full state {createdAt, seq, strokes}
+ *   <dir>/<roomId>/ops.log       - newline-delimited JSON ops since that snapshot
+ *   <dir>/<roomId>/versions.json - named versions of the room
+ *   <dir>/<roomId>/layers.json   - layer list of the room
+ *   <dir>/<roomId>/access.json   - owner, password hash and members of the room
+ *   <dir>/<roomId>/replay.log    - newline-delimited JSON session replay (rewritten when compacted)
+ */
+class FileStorage {
+  /**
+   * @param {string} dir - Directory that holds all room data
+   */
+  constructor(dir) {
+    this.durable = true;
+    this.dir = dir;
+    // Writes not on disk yet, per room (see getPending)
+    this.pending = new Map();
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Resolve the directory for a room
+   * Room IDs come from clients, so anything outside [A-Za-z0-9_-] is escaped
+   * to keep the path inside the storage directory
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {string} Absolute room directory
+   */
+  roomDir(roomId) {
+    const safeName = String(roomId).replace(/[^A-Za-z0-9_-]/g,
+      (char) => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+    return path.join(this.dir, safeName);
+  }
+
+  /**
+   * Load persisted state for a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} Snapshot and ops to replay, or null if nothing is stored
+   */
+  load(roomId) {
+    const dir = this.roomDir(roomId);
+    if (!fs.existsSync(dir)) return null;
+
+    const snapshotFile = path.join(dir, 'snapshot.json');
+    const logFile = path.join(dir, 'ops.log');
+
+    let snapshot = null;
+    if (fs.existsSync(snapshotFile)) {
+      snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+    }
+
+    const ops = readJsonLines(logFile);
+
+    if (!snapshot && ops.length === 0) return null;
+    return { snapshot, ops };
+  }
+
+  /**
+   * Append a single operation to the room's op log
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} op - Operation record
+   */
+  append(roomId, op) {
+    this.queueAppend(roomId, 'ops.log', JSON.stringify(op) + '\n');
+  }
+
+  /**
+   * Write a full snapshot and truncate the op log
+   * Ops still waiting to be appended are part of the snapshot, so they are dropped
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} state - {createdAt, seq, epoch, strokes}
+   */
+  snapshot(roomId, state) {
+    const pending = this.getPending(roomId);
+    pending.appends.delete('ops.log');
+    this.queueWrite(roomId, 'snapshot.json', JSON.stringify(state));
+    this.queueWrite(roomId, 'ops.log', '');
+  }
+
+  /**
+   * Load the saved versions of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array|null} Versions, or null if none were saved
+   */
+  loadVersions(roomId) {
+    const file = path.join(this.roomDir(roomId), 'versions.json');
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Persist the full version list of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} versions - All versions of the room
+   */
+  saveVersions(roomId, versions) {
+    this.queueWrite(roomId, 'versions.json', JSON.stringify(versions));
+  }
+
+  /**
+   * Load the layer list of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array|null} Layers, or null if none were saved
+   */
+  loadLayers(roomId) {
+    const file = path.join(this.roomDir(roomId), 'layers.json');
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Persist the full layer list of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} layers - All layers of the room
+   */
+  saveLayers(roomId, layers) {
+    this.queueWrite(roomId, 'layers.json', JSON.stringify(layers));
+  }
+
+  /**
+   * Load the access record of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Object|null} Access record, or null if the room is open
+   */
+  loadAccess(roomId) {
+    const file = path.join(this.roomDir(roomId), 'access.json');
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Persist the access record of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} access - Access record of the room
+   */
+  saveAccess(roomId, access) {
+    this.queueWrite(roomId, 'access.json', JSON.stringify(access));
+  }
+
+  /**
+   * Load the full session replay log of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array|null} Replay entries, or null if none were recorded
+   */
+  loadReplay(roomId) {
+    const file = path.join(this.roomDir(roomId), 'replay.log');
+    if (!fs.existsSync(file)) return null;
+    return readJsonLines(file);
+  }
+
+  /**
+   * Append a single entry to the room's session replay log
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Object} entry - Replay entry
+   */
+  appendReplay(roomId, entry) {
+    this.queueAppend(roomId, 'replay.log', JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Replace the room's session replay log (entries waiting to be appended
+   * are dropped, the new log already has them)
+   *
+   * @param {string} roomId - Room identifier
+   * @param {Array} entries - Replay entries, oldest first
+   */
+  saveReplay(roomId, entries) {
+    this.getPending(roomId).appends.delete('replay.log');
+    this.queueWrite(roomId, 'replay.log', entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+
+  /**
+   * Get why a room's writes are failing
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {string|null} Error of the last failed flush, or null if nothing failed since the last success
+   */
+  getWriteError(roomId) {
+    const pending = this.pending.get(roomId);
+    return pending ? pending.error : null;
+  }
+
+  /**
+   * Get the writes of a room that aren't on disk yet
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Object} {writes: Map<file, contents>, appends: Map<file, lines[]>,
+   *   torn: Set<file>, flushing, retryTimer, error}
+   */
+  getPending(roomId) {
+    if (!this.pending.has(roomId)) {
+      this.pending.set(roomId, {
+        writes: new Map(),   // Whole files to replace, in the order they were queued
+        appends: new Map(),  // Lines to add to the end of files
+        torn: new Set(),     // Files a failed append may have left without a final newline
+        flushing: false,
+        retryTimer: null,
+        error: null
+      });
+    }
+    return this.pending.get(roomId);
+  }
+
+  /**
+   * Queue replacing a whole file of a room; a later write to the same file
+   * supersedes it
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} file - File name in the room directory
+   * @param {string} contents - New contents
+   */
+  queueWrite(roomId, file, contents) {
+    const pending = this.getPending(roomId);
+    pending.writes.delete(file);
+    pending.writes.set(file, contents);
+    this.flush(roomId);
+  }
+
+  /**
+   * Queue adding lines to the end of a file of a room
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} file - File name in the room directory
+   * @param {string} line - Line to append, with its newline
+   */
+  queueAppend(roomId, file, line) {
+    const pending = this.getPending(roomId);
+    if (!pending.appends.has(file)) pending.appends.set(file, []);
+    pending.appends.get(file).push(line);
+    this.flush(roomId);
+  }
+
+  /**
+   * Write everything queued for a room, one flush at a time: whole files
+   * first (via a temp file and rename, like a snapshot before its truncated
+   * op log), then appends
+   * A failed flush keeps whatever wasn't superseded meanwhile, records the
+   * error and is retried after WRITE_RETRY_DELAY
+   *
+   * @param {string} roomId - Room identifier
+   */
+  async flush(roomId) {
+    const pending = this.getPending(roomId);
+    if (pending.flushing || pending.retryTimer) return;
+    if (pending.writes.size === 0 && pending.appends.size === 0) {
+      this.pending.delete(roomId);
+      return;
+    }
+
+    const writes = pending.writes;
+    const appends = pending.appends;
+    pending.writes = new Map();
+    pending.appends = new Map();
+    pending.flushing = true;
+
+    const dir = this.roomDir(roomId);
+    const written = new Set();
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      for (const [file, contents] of writes) {
+        const target = path.join(dir, file);
+        await fs.promises.writeFile(target + '.tmp', contents);
+        await fs.promises.rename(target + '.tmp', target);
+        written.add(file);
+        pending.torn.delete(file);
+      }
+      for (const [file, lines] of appends) {
+        // Start on a fresh line after an append that may have been cut short
+        const prefix = pending.torn.has(file) ? '\n' : '';
+        pending.torn.add(file);
+        await fs.promises.appendFile(path.join(dir, file), prefix + lines.join(''));
+        pending.torn.delete(file);
+        written.add(file);
+      }
+      pending.error = null;
+    } catch (error) {
+      console.error(`Could not save room ${roomId}, retrying in ${WRITE_RETRY_DELAY / 1000}s: ${error.message}`);
+      pending.error = error.message;
+
+      // Put back what failed, in front of anything queued since, unless a
+      // newer write of the whole file superseded it meanwhile
+      for (const [file, lines] of appends) {
+        if (written.has(file) || pending.writes.has(file)) continue;
+        pending.appends.set(file, [...lines, ...(pending.appends.get(file) || [])]);
+      }
+      const failedWrites = [...writes].filter(([file]) => !written.has(file) && !pending.writes.has(file));
+      pending.writes = new Map([...failedWrites, ...pending.writes]);
+      pending.retryTimer = setTimeout(() => {
+        pending.retryTimer = null;
+        this.flush(roomId);
+      }, WRITE_RETRY_DELAY).unref();
+    } finally {
+      pending.flushing = false;
+    }
+
+    if (!pending.retryTimer) this.flush(roomId);
+  }
+}
+
+/**
+ * Read a newline-delimited JSON file
+ * Unparseable lines (a torn final line from a crash mid-write) are skipped;
+ * everything before them is intact
+ *
+ * @param {string} file - File path
+ * @returns {Array} Parsed entries (empty if the file doesn't exist)
+ */
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      console.log(`Skipping corrupt log entry in ${file}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Create the storage backend selected by environment variables
+ * - STORAGE_BACKEND: "file" (default) or "memory"
+ * - STORAGE_DIR: directory for the file backend (default: server/data)
+ *
+ * @returns {MemoryStorage|FileStorage} Storage backend instance
+ */
+function createStorage() {
+  const backend = process.env.STORAGE_BACKEND || 'file';
+
+  if (backend === 'memory') {
+    return new MemoryStorage();
+  }
+
+  const dir = process.env.STORAGE_DIR || path.join(__dirname, 'data');
+  return new FileStorage(dir);
+}
+
+module.exports = { MemoryStorage, FileStorage, createStorage };
@@ -0,0 +1,146 @@
+/**
+ * Text Element Module
+ *
+ * Text elements live in room.strokes next to strokes and shapes. They are
+ * anchored at their top-left corner, may span several lines and may be
+ * rotated (radians) around the anchor:
+ *   { type: 'text', text, fontFamily, fontSize, color, rotation?, points: [topLeft] }
+ *
+ * Line layout mirrors drawText in the client's canvasLogic.js. The server has
+ * no font metrics, so text width is estimated from the character count; that
+ * is only used for export bounds and eraser hit-testing.
+ */
+
+const { rotatePoint } = require('./shapes');
+
+// Font families offered by the text tool
+const TEXT_FONTS = ['sans-serif', 'serif', 'monospace', 'cursive'];
+
+// Limits on a single text element
+const MAX_TEXT_LENGTH = 500;
+const MAX_TEXT_LINES = 20;
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 96;
+
+// Line height as a multiple of the font size
+const LINE_HEIGHT = 1.2;
+
+// Average glyph width as a fraction of the font size (for width estimates)
+const AVERAGE_CHAR_WIDTH = 0.6;
+
+// Control characters (other than newline) and bidi overrides are not allowed
+const FORBIDDEN_CHARS = /[\u0000-\u0009\u000B-\u001F\u007F-\u009F‪-‮⁦-⁩]/;
+
+/**
+ * Check whether an element is a text element
+ *
+ * @param {Object} element - Stroke, shape or text
+ * @returns {boolean} True for text
+ */
+function isText(element) {
+  return element.type === 'text';
+}
+
+/**
+ * Split a text element into its lines
+ *
+ * @param {Object} element - Text element
+ * @returns {Array<string>} Lines
+ */
+function getTextLines(element) {
+  return element.text.split('\n');
+}
+
+/**
+ * Top edge of a line of text
+ * Lines are centred in their line box, like in a textarea
+ *
+ * @param {Object} element - Text element
+ * @param {number} line - Line index
+ * @returns {number} Y coordinate of the line's top edge
+ */
+function getLineTop(element, line) {
+  const { y } = element.points[0];
+  return y + element.fontSize * ((LINE_HEIGHT - 1) / 2 + line * LINE_HEIGHT);
+}
+
+/**
+ * Estimate the size of a text element's unrotated box
+ *
+ * @param {Object} element - Text element
+ * @returns {Object} {width, height}
+ */
+function getTextSize(element) {
+  const lines = getTextLines(element);
+  const longest = Math.max(...lines.map(line => line.length));
+
+  return {
+    width: longest * element.fontSize * AVERAGE_CHAR_WIDTH,
+    height: lines.length * element.fontSize * LINE_HEIGHT
+  };
+}
+
+/**
+ * Corners of a text element's (estimated) box, rotated around the anchor
+ *
+ * @param {Object} element - Text element
+ * @returns {Array} Corners {x, y}, clockwise from the anchor
+ */
+function getTextCorners(element) {
+  const anchor = element.points[0];
+  const { width, height } = getTextSize(element);
+
+  return [
+    { x: anchor.x, y: anchor.y },
+    { x: anchor.x + width, y: anchor.y },
+    { x: anchor.x + width, y: anchor.y + height },
+    { x: anchor.x, y: anchor.y + height }
+  ].map(corner => rotatePoint(corner, anchor, element.rotation || 0));
+}
+
+/**
+ * Estimate the bounding box of a text element
+ *
+ * @param {Object} element - Text element
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+function getTextBounds(element) {
+  const corners = getTextCorners(element);
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Check whether a point lies within a text element's (estimated) box
+ *
+ * @param {Object} point - {x, y}
+ * @param {Object} element - Text element
+ * @param {number} margin - Amount to grow the box on every side
+ * @returns {boolean} True if the point is inside
+ */
+function isInsideText(point, element, margin = 0) {
+  const anchor = element.points[0];
+  const local = rotatePoint(point, anchor, -(element.rotation || 0));
+  const { width, height } = getTextSize(element);
+
+  return local.x >= anchor.x - margin && local.x <= anchor.x + width + margin &&
+    local.y >= anchor.y - margin && local.y <= anchor.y + height + margin;
+}
+
+module.exports = {
+  TEXT_FONTS,
+  MAX_TEXT_LENGTH,
+  MAX_TEXT_LINES,
+  MIN_FONT_SIZE,
+  MAX_FONT_SIZE,
+  LINE_HEIGHT,
+  FORBIDDEN_CHARS,
+  isText,
+  getTextLines,
+  getLineTop,
+  getTextCorners,
+  getTextBounds,
+  isInsideText
+};
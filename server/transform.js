@@ -0,0 +1,113 @@
+/**
+ * Transform Geometry Module
+ *
+ * Applies 2D affine transforms to room elements (move, scale, rotate from the
+ * selection tool). Matrices use the canvas convention [a, b, c, d, e, f]:
+ *   x' = a * x + c * y + e
+ *   y' = b * x + d * y + f
+ *
+ * Freehand strokes, lines and arrows transform point by point. Rectangles,
+ * ellipses and text keep their own frame: their anchor moves with the
+ * transform, their size scales along their own axes and the rotation of the
+ * transform is added to their `rotation` (radians). Stroke widths are kept.
+ *
+ * Mirrors transformElement in the client's canvasLogic.js.
+ */
+
+const { MIN_FONT_SIZE, MAX_FONT_SIZE } = require('./text');
+
+// Elements that carry a rotation instead of rotated points
+const ROTATABLE_TYPES = ['rectangle', 'ellipse', 'text'];
+
+/**
+ * Check a matrix is six finite numbers and not degenerate
+ *
+ * @param {*} matrix - Candidate matrix
+ * @returns {boolean} True for a usable matrix
+ */
+function isValidMatrix(matrix) {
+  if (!Array.isArray(matrix) || matrix.length !== 6 || !matrix.every(Number.isFinite)) {
+    return false;
+  }
+  const [a, b, c, d] = matrix;
+  return Math.abs(a * d - b * c) > 1e-6;
+}
+
+/**
+ * Transform a point, keeping any extra point fields
+ *
+ * @param {Object} point - {x, y, ...}
+ * @param {Array} matrix - [a, b, c, d, e, f]
+ * @returns {Object} Transformed point
+ */
+function transformPoint(point, [a, b, c, d, e, f]) {
+  return { ...point, x: a * point.x + c * point.y + e, y: b * point.x + d * point.y + f };
+}
+
+/**
+ * Apply a transform's linear part (no translation) to a direction vector
+ *
+ * @param {number} x - Vector x
+ * @param {number} y - Vector y
+ * @param {Array} matrix - [a, b, c, d, e, f]
+ * @returns {Object} Transformed vector {x, y}
+ */
+function transformVector(x, y, [a, b, c, d]) {
+  return { x: a * x + c * y, y: b * x + d * y };
+}
+
+/**
+ * Transform a room element
+ *
+ * @param {Object} element - Stroke, shape or text
+ * @param {Array} matrix - [a, b, c, d, e, f]
+ * @returns {Object} Transformed copy of the element
+ */
+function transformElement(element, matrix) {
+  if (!ROTATABLE_TYPES.includes(element.type)) {
+    return { ...element, points: element.points.map(point => transformPoint(point, matrix)) };
+  }
+
+  const rotation = element.rotation || 0;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  // The element's own axes after the transform
+  const u = transformVector(cos, sin, matrix);
+  const v = transformVector(-sin, cos, matrix);
+  const scaleX = Math.hypot(u.x, u.y);
+  const scaleY = Math.hypot(v.x, v.y);
+  const newRotation = Math.atan2(u.y, u.x);
+
+  if (element.type === 'text') {
+    const fontSize = element.fontSize * Math.sqrt(scaleX * scaleY);
+    return {
+      ...element,
+      fontSize: Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, Math.round(fontSize * 10) / 10)),
+      rotation: newRotation,
+      points: [transformPoint(element.points[0], matrix)]
+    };
+  }
+
+  // Rectangles and ellipses are stored unrotated around their centre
+  const [start, end] = element.points;
+  const center = transformPoint({ x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 }, matrix);
+  const halfWidth = ((end.x - start.x) / 2) * scaleX;
+  const halfHeight = ((end.y - start.y) / 2) * scaleY;
+
+  return {
+    ...element,
+    rotation: newRotation,
+    points: [
+      { ...start, x: center.x - halfWidth, y: center.y - halfHeight },
+      { ...end, x: center.x + halfWidth, y: center.y + halfHeight }
+    ]
+  };
+}
+
+module.exports = {
+  ROTATABLE_TYPES,
+  isValidMatrix,
+  transformPoint,
+  transformElement
+};
@@ -0,0 +1,352 @@
+/**
+ * Event Validation Module
+ *
+ * Every event a client sends is checked against a schema for that event
+ * before its handler runs (see the middleware in server.js). Schemas check
+ * the shape and types of a payload and cap its size, and sanitise it:
+ * objects are reduced to the fields their schema knows, and labels (user
+ * and layer names) are cleaned up. Handlers only ever see the sanitised
+ * payload.
+ *
+ * Schemas don't know about the room, so handlers and the state manager still
+ * check what depends on it (layers, ownership, roles), and validateStroke
+ * still checks the rules of each element type.
+ *
+ * A schema is a function (value, path) returning {value} with the sanitised
+ * value, or {path, error} for the first problem found.
+ */
+
+const { FORBIDDEN_CHARS, MAX_TEXT_LENGTH, MIN_FONT_SIZE, MAX_FONT_SIZE } = require('./text');
+
+// Brush and eraser width range allowed by the size slider
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 30;
+
+// The board is infinite; coordinates are only kept within ±COORDINATE_LIMIT
+// so sums and products of them stay far from losing precision
+const COORDINATE_LIMIT = 1e9;
+
+// Maximum number of points in a single element
+const MAX_STROKE_POINTS = 20000;
+
+// Maximum number of points in a single streamed stroke batch
+const MAX_STREAM_BATCH = 500;
+
+// Maximum number of points in a single eraser path (the client splits longer
+// gestures, see splitEraserPath in client/src/canvasLogic.js)
+const MAX_ERASER_POINTS = 2000;
+
+// Maximum number of strokes accepted in a single import
+const MAX_IMPORT_STROKES = 5000;
+
+// Maximum number of elements in a single transform or layer move
+const MAX_TRANSFORM_ELEMENTS = 5000;
+
+// Largest canvas a viewport may report, in pixels
+const MAX_VIEWPORT_SIZE = 20000;
+
+// Maximum lengths of user and layer names, IDs and other strings
+const MAX_USERNAME_LENGTH = 32;
+const MAX_LAYER_NAME_LENGTH = 50;
+const MAX_ID_LENGTH = 100;
+const MAX_SECRET_LENGTH = 1000;
+
+// Colours are hex codes: #rgb, #rgba, #rrggbb or #rrggbbaa
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const FORBIDDEN_CHARS_GLOBAL = new RegExp(FORBIDDEN_CHARS.source, 'g');
+
+/**
+ * Check whether a value is a colour the client can draw with
+ *
+ * @param {*} color - Candidate colour
+ * @returns {boolean} True for a hex colour code
+ */
+function isValidColor(color) {
+  return typeof color === 'string' && COLOR_PATTERN.test(color);
+}
+
+/**
+ * Describe a problem with a value
+ *
+ * @param {string} path - Where the value is in the payload (empty for the payload itself)
+ * @param {string} problem - What is wrong with it
+ * @returns {Object} {path, error}
+ */
+function fail(path, problem) {
+  return { path, error: `${path || 'payload'} ${problem}` };
+}
+
+/**
+ * Schema for a string
+ *
+ * @param {Object} options - {min, max} length
+ * @returns {Function} Schema
+ */
+function string({ min = 0, max }) {
+  return (value, path) => {
+    if (typeof value !== 'string') return fail(path, 'must be a string');
+    if (value.length < min) return fail(path, min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+    if (value.length > max) return fail(path, `must be at most ${max} characters`);
+    return { value };
+  };
+}
+
+/**
+ * Schema for a name shown to other users
+ * Control characters and bidi overrides are removed, whitespace is collapsed
+ * and the name is cut to its maximum length; an empty name becomes undefined
+ *
+ * @param {number} max - Maximum length
+ * @returns {Function} Schema
+ */
+function label(max) {
+  return (value, path) => {
+    if (typeof value !== 'string') return fail(path, 'must be a string');
+    const cleaned = value.replace(FORBIDDEN_CHARS_GLOBAL, '').replace(/\s+/g, ' ').trim().slice(0, max);
+    return { value: cleaned || undefined };
+  };
+}
+
+/**
+ * Schema for a finite number
+ *
+ * @param {Object} options - {min, max, integer}
+ * @returns {Function} Schema
+ */
+function number({ min = -Infinity, max = Infinity, integer = false } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fail(path, 'must be a number');
+    if (integer && !Number.isInteger(value)) return fail(path, 'must be a whole number');
+    if (value < min) return fail(path, `must be at least ${min}`);
+    if (value > max) return fail(path, `must be at most ${max}`);
+    return { value };
+  };
+}
+
+/**
+ * Schema for a boolean
+ *
+ * @returns {Function} Schema
+ */
+function boolean() {
+  return (value, path) => typeof value === 'boolean' ? { value } : fail(path, 'must be true or false');
+}
+
+/**
+ * Schema for one of a fixed set of values
+ *
+ * @param {Array} values - Allowed values
+ * @returns {Function} Schema
+ */
+function oneOf(values) {
+  return (value, path) => values.includes(value) ? { value } : fail(path, `must be one of ${values.join(', ')}`);
+}
+
+/**
+ * Schema for a colour (see isValidColor)
+ *
+ * @returns {Function} Schema
+ */
+function color() {
+  return (value, path) => isValidColor(value) ? { value } : fail(path, 'must be a colour like #ff0000');
+}
+
+/**
+ * Schema for an array
+ *
+ * @param {Function} item - Schema of every item
+ * @param {Object} options - {min, max} number of items; with skipInvalid,
+ *   invalid items are replaced by null instead of failing the array, so the
+ *   handler can tell how many were dropped
+ * @returns {Function} Schema
+ */
+function array(item, { min = 0, max, skipInvalid = false }) {
+  return (value, path) => {
+    if (!Array.isArray(value)) return fail(path, 'must be a list');
+    if (value.length < min) return fail(path, min === 1 ? 'must not be empty' : `must have at least ${min} items`);
+    if (value.length > max) return fail(path, `must have at most ${max} items`);
+
+    const items = [];
+    for (let index = 0; index < value.length; index++) {
+      const result = item(value[index], `${path}[${index}]`);
+      if (result.error && !skipInvalid) return result;
+      items.push(result.error ? null : result.value);
+    }
+    return { value: items };
+  };
+}
+
+/**
+ * Schema for an object with known fields
+ * Fields that aren't listed are dropped, and so are fields whose sanitised
+ * value is undefined
+ *
+ * @param {Object} fields - Schema of every field; wrap optional ones in optional()
+ * @returns {Function} Schema
+ */
+function object(fields) {
+  return (value, path) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(path, 'must be an object');
+
+    const sanitised = {};
+    for (const [key, schema] of Object.entries(fields)) {
+      const result = schema(value[key], path ? `${path}.${key}` : key);
+      if (result.error) return result;
+      if (result.value !== undefined) sanitised[key] = result.value;
+    }
+    return { value: sanitised };
+  };
+}
+
+/**
+ * Make a schema accept a missing value
+ *
+ * @param {Function} schema - Schema of the value when present
+ * @returns {Function} Schema
+ */
+function optional(schema) {
+  return (value, path) => value === undefined ? { value } : schema(value, path);
+}
+
+/**
+ * Make a schema accept null (used to clear previews)
+ *
+ * @param {Function} schema - Schema of the value when not null
+ * @returns {Function} Schema
+ */
+function nullable(schema) {
+  return (value, path) => value === null ? { value } : schema(value, path);
+}
+
+/**
+ * Schema for events without a payload: anything goes, and the handler gets nothing
+ *
+ * @returns {Function} Schema
+ */
+function none() {
+  return () => ({ value: undefined });
+}
+
+const id = string({ min: 1, max: MAX_ID_LENGTH });
+const coordinate = number({ min: -COORDINATE_LIMIT, max: COORDINATE_LIMIT });
+const width = number({ min: MIN_WIDTH, max: MAX_WIDTH });
+
+// A point; freehand strokes may give every point its own width
+const point = object({ x: coordinate, y: coordinate, width: optional(number({ min: 0, max: MAX_WIDTH })) });
+
+// Fields of any element (stroke, shape or text); which ones an element
+// needs depends on its type and is up to validateStroke
+const ELEMENT_FIELDS = {
+  type: optional(string({ max: 20 })),
+  color: color(),
+  fill: optional(nullable(color())),
+  width: optional(width),
+  points: array(point, { min: 1, max: MAX_STROKE_POINTS }),
+  layerId: optional(id),
+  rotation: optional(number()),
+  text: optional(string({ max: MAX_TEXT_LENGTH })),
+  fontFamily: optional(string({ max: 50 })),
+  fontSize: optional(number({ min: MIN_FONT_SIZE, max: MAX_FONT_SIZE }))
+};
+const element = object(ELEMENT_FIELDS);
+
+const elementIds = array(id, { min: 1, max: MAX_TRANSFORM_ELEMENTS });
+const userTarget = object({ userId: id });
+
+// Schema of the payload of every event a client may send
+const EVENT_SCHEMAS = {
+  'register-user': optional(object({
+    username: optional(label(MAX_USERNAME_LENGTH)),
+    clientKey: optional(string({ max: MAX_SECRET_LENGTH })),
+    lastSeq: optional(nullable(number({ min: 0, integer: true }))),
+    epoch: optional(nullable(string({ max: MAX_ID_LENGTH }))),
+    create: optional(object({ password: optional(string({ max: MAX_SECRET_LENGTH })) })),
+    password: optional(string({ max: MAX_SECRET_LENGTH })),
+    invite: optional(string({ max: MAX_SECRET_LENGTH }))
+  })),
+  'request-sync': none(),
+  'stroke': element,
+  'stroke-begin': object({
+    color: color(),
+    width,
+    layerId: optional(id),
+    points: array(point, { min: 1, max: MAX_STREAM_BATCH })
+  }),
+  'stroke-append': object({ points: array(point, { min: 1, max: MAX_STREAM_BATCH }) }),
+  'stroke-end': optional(object({ points: optional(array(point, { max: MAX_STREAM_BATCH })) })),
+  'import-strokes': object({ strokes: array(element, { min: 1, max: MAX_IMPORT_STROKES, skipInvalid: true }) }),
+  'erase': object({ points: array(point, { min: 1, max: MAX_ERASER_POINTS }), width }),
+  'transform': object({ strokeIds: elementIds, matrix: array(number(), { min: 6, max: 6 }) }),
+  'selection-preview': nullable(array(object({ x: number(), y: number() }), { min: 4, max: 4 })),
+  'undo': none(),
+  'redo': none(),
+  'cursor-move': object({ x: coordinate, y: coordinate }),
+  'viewport': object({
+    zoom: number({ min: 0.01, max: 100 }),
+    panX: number(),
+    panY: number(),
+    width: number({ min: 1, max: MAX_VIEWPORT_SIZE }),
+    height: number({ min: 1, max: MAX_VIEWPORT_SIZE })
+  }),
+  'present': object({ presenting: boolean() }),
+  'shape-preview': nullable(element),
+  'text-preview': nullable(object({ ...ELEMENT_FIELDS, id: optional(id) })),
+  'text-update': object({
+    id,
+    text: string({ max: MAX_TEXT_LENGTH }),
+    fontFamily: optional(string({ max: 50 })),
+    fontSize: optional(number({ min: MIN_FONT_SIZE, max: MAX_FONT_SIZE })),
+    color: optional(color())
+  }),
+  'layer-create': optional(object({ name: optional(label(MAX_LAYER_NAME_LENGTH)) })),
+  'layer-update': object({
+    id,
+    name: optional(label(MAX_LAYER_NAME_LENGTH)),
+    visible: optional(boolean()),
+    locked: optional(boolean())
+  }),
+  'layer-move': object({ id, index: number({ min: 0, integer: true }) }),
+  'move-to-layer': object({ strokeIds: elementIds, layerId: id }),
+  'clear-canvas': none(),
+  'create-invite': object({ role: oneOf(['editor', 'viewer']) }),
+  'kick-user': userTarget,
+  'ban-user': object({ userId: id, password: optional(string({ max: MAX_SECRET_LENGTH })) }),
+  'set-frozen': object({ frozen: boolean() }),
+  'clear-user-strokes': userTarget,
+  'clear-all': none()
+};
+
+/**
+ * Check whether the server handles an event
+ *
+ * @param {*} event - Event name
+ * @returns {boolean} True if the event has a schema
+ */
+function isKnownEvent(event) {
+  return typeof event === 'string' && Object.hasOwn(EVENT_SCHEMAS, event);
+}
+
+/**
+ * Validate and sanitise the payload of an event
+ *
+ * @param {string} event - Event name
+ * @param {*} payload - First argument sent with the event
+ * @returns {Object} {value} with the sanitised payload, or {path, error}
+ */
+function validatePayload(event, payload) {
+  if (!isKnownEvent(event)) {
+    return { path: '', error: `unknown event ${String(event).slice(0, MAX_ID_LENGTH)}` };
+  }
+  return EVENT_SCHEMAS[event](payload, '');
+}
+
+module.exports = {
+  validatePayload,
+  isKnownEvent,
+  isValidColor,
+  MIN_WIDTH,
+  MAX_WIDTH,
+  COORDINATE_LIMIT,
+  MAX_STROKE_POINTS
+};
@@ -0,0 +1,105 @@
+/**
+ * Version Manager Module
+ *
+ * Named snapshots of a room's drawing that can be listed and restored.
+ * Versions are kept on the room object and written through the room
+ * storage backend, so they share the room's lifetime and durability.
+ *
+ * Restoring never discards anything: the current drawing is captured as a
+ * new version first, so a restore can itself be undone by restoring that.
+ */
+
+const roomManager = require('./rooms');
+
+// Oldest versions are dropped once a room has this many
+const MAX_VERSIONS = 50;
+
+// Maximum length of a version label
+const MAX_LABEL_LENGTH = 100;
+
+class VersionManager {
+  /**
+   * Get the version list for a room, loading it from storage on first use
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Versions, oldest first
+   */
+  getVersions(roomId) {
+    const room = roomManager.getRoom(roomId);
+    if (!room.versions) {
+      room.versions = roomManager.storage.loadVersions(roomId) || [];
+    }
+    return room.versions;
+  }
+
+  /**
+   * List versions without their stroke data
+   *
+   * @param {string} roomId - Room identifier
+   * @returns {Array} Version summaries {id, label, author, createdAt, strokeCount}
+   */
+  listVersions(roomId) {
+    return this.getVersions(roomId).map(version => ({
+      id: version.id,
+      label: version.label,
+      author: version.author,
+      createdAt: version.createdAt,
+      strokeCount: version.strokes.length
+    }));
+  }
+
+  /**
+   * Capture the current drawing of a room as a named version
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} label - Human readable label
+   * @param {string} author - Who created the version
+   * @returns {Object} The created version
+   */
+  createVersion(roomId, label, author) {
+    const room = roomManager.getRoom(roomId);
+    const versions = this.getVersions(roomId);
+
+    const version = {
+      id: `v-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      label: String(label || '').trim().slice(0, MAX_LABEL_LENGTH) || `Version ${versions.length + 1}`,
+      author: String(author || '').trim().slice(0, MAX_LABEL_LENGTH) || 'Anonymous',
+      createdAt: Date.now(),
+      strokes: room.strokes.slice()
+    };
+
+    versions.push(version);
+    if (versions.length > MAX_VERSIONS) {
+      versions.splice(0, versions.length - MAX_VERSIONS);
+    }
+    roomManager.storage.saveVersions(roomId, versions);
+
+    console.log(`Version ${version.id} ("${version.label}") saved in room ${roomId}`);
+    return version;
+  }
+
+  /**
+   * Restore a room to a saved version
+   * The current drawing is saved as a new version first so the restore can
+   * be reverted
+   *
+   * @param {string} roomId - Room identifier
+   * @param {string} versionId - Version to restore
+   * @param {string} author - Who requested the restore
+   * @returns {Object|null} {restored, backup} versions, or null if not found
+   */
+  restoreVersion(roomId, versionId, author) {
+    const version = this.getVersions(roomId).find(v => v.id === versionId);
+    if (!version) return null;
+
+    const backup = this.createVersion(roomId, `Before restoring "${version.label}"`, author);
+    roomManager.replaceStrokes(roomId, version.strokes);
+
+    console.log(`Room ${roomId} restored to version ${versionId}`);
+    return { restored: version, backup };
+  }
+}
+
+// Export singleton instance
+const versionManager = new VersionManager();
+module.exports = versionManager;